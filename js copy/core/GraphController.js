@@ -45,7 +45,7 @@ export class GraphController extends EventEmitter {
       this.view.updateFormat(format);
       // Invalidate GFA cache when graph structure changes (e.g., after resolution or undo)
       // but NOT on initial user load (that would clear it before first render)
-      if (source === 'resolution' || source === 'undo') {
+      if (source === 'resolution' || source === 'undo' || source === 'redo' || source === 'session') {
         this.view.invalidateGfaNodes();
       }
       this.view.render();
@@ -201,6 +201,15 @@ export class GraphController extends EventEmitter {
     );
   }
 
+  /**
+   * Restore a saved session (model and view state) without re-running the layout
+   * @param {Object} session - {model, view} as written by the session manager
+   */
+  restoreSession(session) {
+    this.model.restoreSession(session.model);
+    this.view.setViewState(session.view || {});
+  }
+
   /**
    * Pin selected nodes
    */
@@ -222,19 +231,107 @@ export class GraphController extends EventEmitter {
    * Undo last operation
    */
   undo() {
-    this.model.undo();
+    const operation = this.model.undo();
 
     // Restart layout with restored state
     if (this.layoutManager.isRunning) {
       this.layoutManager.restart();
     }
+
+    return operation;
+  }
+
+  /**
+   * Redo last undone operation
+   */
+  redo() {
+    const operation = this.model.redo();
+
+    if (this.layoutManager.isRunning) {
+      this.layoutManager.restart();
+    }
+
+    return operation;
+  }
+
+  /**
+   * Jump to a step in the history timeline
+   */
+  jumpToHistory(position) {
+    const operations = this.model.jumpToHistory(position);
+
+    if (this.layoutManager.isRunning) {
+      this.layoutManager.restart();
+    }
+
+    return operations;
+  }
+
+  /**
+   * Continue on a side branch of the history
+   */
+  switchHistoryBranch(branchIndex) {
+    const operations = this.model.switchHistoryBranch(branchIndex);
+
+    if (operations && this.layoutManager.isRunning) {
+      this.layoutManager.restart();
+    }
+
+    return operations;
   }
 
   /**
    * Save a path
    */
-  savePath(nodeSequence, pathName) {
-    return this.model.savePath(nodeSequence, pathName);
+  savePath(nodeSequence, pathName, options = {}) {
+    return this.model.savePath(nodeSequence, pathName, 'user', options);
+  }
+
+  /**
+   * Import paths found in a GFA file (P-lines and W-lines) as saved paths
+   * @param {Array} gfaPaths - Paths emitted by GfaParser ('pathFound')
+   * @returns {Object} {imported, skipped} - Saved path objects and names of paths with no valid nodes
+   */
+  importGfaPaths(gfaPaths) {
+    const imported = [];
+    const skipped = [];
+
+    // Paths that come with the file are part of the load, not undoable edits
+    this.model.withoutHistory(() => {
+      gfaPaths.forEach(gfaPath => {
+        const path = this.model.savePath(gfaPath.segments, gfaPath.name, 'gfa', {
+          orientations: gfaPath.orientations,
+          overlaps: gfaPath.overlaps,
+          metadata: gfaPath.metadata || null
+        });
+
+        if (path) {
+          imported.push(path);
+        } else {
+          skipped.push(gfaPath.name);
+        }
+      });
+    });
+
+    return { imported, skipped };
+  }
+
+  /**
+   * Import named node sets found in a GFA file (GFA2 U-groups)
+   * @param {Array} gfaSets - Sets emitted by GfaParser ('selectionSetFound')
+   * @returns {Array} Saved selection sets
+   */
+  importGfaSelectionSets(gfaSets) {
+    return gfaSets
+      .map(gfaSet => this.model.saveSelectionSet(gfaSet.nodeIds, gfaSet.name, 'gfa'))
+      .filter(Boolean);
+  }
+
+  /**
+   * Select the nodes of a saved selection set
+   */
+  selectSelectionSet(index) {
+    this.model.selectSelectionSet(index);
   }
 
   /**
@@ -258,6 +355,24 @@ export class GraphController extends EventEmitter {
     this.model.clearAllPaths();
   }
 
+  /**
+   * Select a node and center the view on it
+   * @returns {boolean} False if the node doesn't exist
+   */
+  focusNode(nodeId) {
+    const node = this.model.getNode(nodeId);
+    if (!node) {
+      return false;
+    }
+
+    this.model.selectNodes(node.id, { additive: false });
+    if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+      this.view.centerOn(node.x, node.y);
+    }
+
+    return true;
+  }
+
   /**
    * Get current selection
    */
@@ -286,7 +401,7 @@ export class GraphController extends EventEmitter {
    * Redraw the graph (restart layout)
    */
   redraw() {
-    if (this.layoutManager.simulation) {
+    if (this.layoutManager.hasSimulation) {
       this.layoutManager.restart();
     } else {
       this.layoutManager.start(
@@ -298,6 +413,15 @@ export class GraphController extends EventEmitter {
     }
   }
 
+  /**
+   * Switch between force-directed, hierarchical and path layout
+   * @param {string} mode - 'force', 'hierarchical' or 'path'
+   * @param {Object} options - {pathId} of the backbone path (path mode)
+   */
+  setLayoutMode(mode, options = {}) {
+    this.layoutManager.setLayoutMode(mode, this.view.canvas.width, this.view.canvas.height, options);
+  }
+
   /**
    * Reset view (zoom/pan)
    */
@@ -1,10 +1,16 @@
 // GraphModel.js - Data layer with state management and event emission
 
 import { EventEmitter } from './EventEmitter.js';
+import { History } from '../model/History.js';
+import { GraphEditOperation } from '../operations/GraphEditOperation.js';
+import { PathEditOperation } from '../operations/PathEditOperation.js';
+import { PinOperation } from '../operations/PinOperation.js';
+import { flipOrientation } from '../utils/sequence-utils.js';
 
 /**
  * GraphModel is the single source of truth for all graph data.
  * Emits events when state changes, but never directly manipulates the DOM.
+ * Edits are recorded as Operations in a History, so they can be undone and redone.
  *
  * Events emitted:
  * - graphLoaded: {nodes, links, format}
@@ -18,6 +24,10 @@ import { EventEmitter } from './EventEmitter.js';
  * - pathSaved: {path, source}
  * - pathRemoved: {pathId, source}
  * - pathSelected: {pathIndex, source}
+ * - selectionSetSaved: {selectionSet, source}
+ * - selectionSetsCleared: {source}
+ * - sessionRestored: {source}
+ * - stateRestored: {type: 'undo'|'redo'|'session', source}
  * - stateChanged: {type, data, source}
  * - historyChanged: {canUndo, canRedo}
  */
@@ -29,6 +39,7 @@ export class GraphModel extends EventEmitter {
     this._nodes = [];
     this._links = [];
     this._format = 'dot'; // 'dot' or 'gfa'
+    this._graphHeader = null; // {version, tags} of the loaded GFA file, used by GFA export
 
     // Selection state
     this._selectedNodes = new Set();
@@ -44,13 +55,21 @@ export class GraphModel extends EventEmitter {
       '#ff9ff3', '#54a0ff', '#5f27cd', '#00d2d3', '#ff9f43'
     ];
 
-    // History (undo/redo)
-    this._history = [];
-    this._maxHistorySize = 20;
+    // Named node sets (e.g. GFA2 U-groups)
+    this._selectionSets = [];
+
+    // History (undo/redo); steps are stored as deltas, so many fit
+    this._maxHistorySize = 500;
+    this._history = new History(this._maxHistorySize);
+    this._activeOperation = null; // edits made while an operation runs belong to it
+    this._historySuspended = 0;
+    this._restoreBatch = null; // set while jumping through several steps
 
     // Metadata
     this._nodeMap = new Map(); // id -> node for fast lookup
     this._linkMap = new Map(); // index -> link for fast lookup
+    this._linkIdMap = new Map(); // stable link id -> link
+    this._nextLinkId = 1;
   }
 
   // ===== GRAPH DATA ACCESSORS =====
@@ -76,6 +95,20 @@ export class GraphModel extends EventEmitter {
     return this._format;
   }
 
+  /**
+   * Get the header of the loaded GFA file ({version, tags} or null)
+   */
+  get graphHeader() {
+    return this._graphHeader;
+  }
+
+  /**
+   * Remember the header of the loaded file (kept across resolutions and merges)
+   */
+  setGraphHeader(header) {
+    this._graphHeader = header;
+  }
+
   /**
    * Get node by ID
    */
@@ -90,6 +123,13 @@ export class GraphModel extends EventEmitter {
     return this._linkMap.get(linkIndex);
   }
 
+  /**
+   * Get link by its stable ID
+   */
+  getLinkById(linkId) {
+    return this._linkIdMap.get(String(linkId));
+  }
+
   // ===== SELECTION ACCESSORS =====
 
   get selectedNodes() {
@@ -121,20 +161,66 @@ export class GraphModel extends EventEmitter {
     return null;
   }
 
+  get selectionSets() {
+    return [...this._selectionSets];
+  }
+
   // ===== HISTORY ACCESSORS =====
 
   get canUndo() {
-    return this._history.length >= 2; // Need at least 2 entries to undo
+    return this._history.canUndo();
+  }
+
+  get canRedo() {
+    return this._history.canRedo();
+  }
+
+  /**
+   * What undo() / redo() would apply (null if nothing)
+   */
+  get undoDescription() {
+    const operation = this._history.peek();
+    return operation ? operation.description : null;
+  }
+
+  get redoDescription() {
+    const redoStack = this._history.redoStack;
+    return redoStack.length > 0 ? redoStack[redoStack.length - 1].description : null;
+  }
+
+  /**
+   * Summaries of undoable operations, oldest first
+   */
+  get historyEntries() {
+    return this._history.getHistory();
+  }
+
+  /**
+   * Applied and undone steps plus side branches (see History.getTimeline)
+   */
+  get historyTimeline() {
+    return this._history.getTimeline();
   }
 
   // ===== GRAPH MUTATIONS =====
 
   /**
-   * Load a complete graph (replaces existing data)
+   * Load a complete graph (replaces existing data).
+   * A new graph starts a new history, unless the load is part of an edit (e.g. resolution).
    */
   loadGraph(nodes, links, format = 'dot', source = 'user') {
-    // Save to history before replacing
-    this._saveHistory('loadGraph');
+    // A new file replaces everything; inside an operation (e.g. a resolution) paths are kept
+    const freshLoad = !this._activeOperation && !this._historySuspended;
+    const hadPaths = this._savedPaths.length > 0;
+    const hadSelectionSets = this._selectionSets.length > 0;
+
+    if (freshLoad) {
+      this._history.clear();
+      this._savedPaths = [];
+      this._currentPathIndex = -1;
+      this._nextPathId = 1;
+      this._selectionSets = [];
+    }
 
     this._nodes = [...nodes];
     this._links = [...links];
@@ -149,16 +235,24 @@ export class GraphModel extends EventEmitter {
     this._pinnedNodes.clear();
 
     this.emit('graphLoaded', { nodes: this.nodes, links: this.links, format, source });
+    if (freshLoad && hadPaths) {
+      this.emit('pathsCleared', { source });
+    }
+    if (freshLoad && hadSelectionSets) {
+      this.emit('selectionSetsCleared', { source });
+    }
     this.emit('stateChanged', { type: 'graphLoaded', data: { nodeCount: nodes.length, linkCount: links.length }, source });
-    this.emit('historyChanged', { canUndo: this.canUndo, canRedo: false });
+    this._emitHistoryChanged();
   }
 
   /**
    * Add a node to the graph
    */
   addNode(node, source = 'user') {
-    this._saveHistory('addNode');
+    return this.transaction('addNode', `Add node ${node.id}`, () => this._addNode(node, source));
+  }
 
+  _addNode(node, source) {
     this._nodes.push(node);
     this._nodeMap.set(String(node.id), node);
 
@@ -170,8 +264,12 @@ export class GraphModel extends EventEmitter {
    * Remove nodes by IDs
    */
   removeNodes(nodeIds, source = 'user') {
-    this._saveHistory('removeNodes');
+    const ids = Array.isArray(nodeIds) ? nodeIds : [nodeIds];
+    const description = ids.length === 1 ? `Remove node ${ids[0]}` : `Remove ${ids.length} nodes`;
+    return this.transaction('removeNodes', description, () => this._removeNodes(nodeIds, source));
+  }
 
+  _removeNodes(nodeIds, source) {
     const idsToRemove = new Set(Array.isArray(nodeIds) ? nodeIds : [nodeIds]);
 
     // Remove nodes
@@ -202,8 +300,12 @@ export class GraphModel extends EventEmitter {
    * This is a specialized operation for node merging that handles edges properly
    */
   mergeNodes(nodeIdsToMerge, mergedNode, newEdges, source = 'operation') {
-    this._saveHistory('mergeNodes');
+    const description = `Merge ${nodeIdsToMerge.length} nodes into ${mergedNode.id}`;
+    return this.transaction('mergeNodes', description,
+      () => this._mergeNodes(nodeIdsToMerge, mergedNode, newEdges, source));
+  }
 
+  _mergeNodes(nodeIdsToMerge, mergedNode, newEdges, source) {
     const idsToRemove = new Set(nodeIdsToMerge.map(id => String(id)));
 
     // Remove original nodes
@@ -259,7 +361,6 @@ export class GraphModel extends EventEmitter {
       data: { mergedNodeId: mergedNode.id, removedCount: idsToRemove.size },
       source
     });
-    this.emit('historyChanged', { canUndo: this.canUndo, canRedo: false });
   }
 
   /**
@@ -335,6 +436,30 @@ export class GraphModel extends EventEmitter {
    * Pin/unpin a node
    */
   pinNode(nodeId, pinned = true, source = 'user') {
+    if (!this._nodeMap.has(String(nodeId))) {
+      console.warn(`[GraphModel] Node ${nodeId} not found`);
+      return;
+    }
+
+    this.perform(new PinOperation(this, [nodeId], pinned));
+  }
+
+  /**
+   * Pin selected nodes (one undo step)
+   */
+  pinSelectedNodes(source = 'user') {
+    if (this._selectedNodes.size === 0) {
+      return;
+    }
+
+    this.perform(new PinOperation(this, this._selectedNodes, true));
+  }
+
+  /**
+   * Set a node's pin state without recording it (used by PinOperation)
+   * @param {Object} fixed - {fx, fy} to restore instead of the current position
+   */
+  _setPinned(nodeId, pinned, fixed = null, source = 'user') {
     const node = this._nodeMap.get(String(nodeId));
 
     if (!node) {
@@ -344,8 +469,8 @@ export class GraphModel extends EventEmitter {
 
     if (pinned) {
       this._pinnedNodes.add(nodeId);
-      node.fx = node.x;
-      node.fy = node.y;
+      node.fx = fixed ? fixed.fx : node.x;
+      node.fy = fixed ? fixed.fy : node.y;
     } else {
       this._pinnedNodes.delete(nodeId);
       node.fx = null;
@@ -355,45 +480,98 @@ export class GraphModel extends EventEmitter {
     this.emit('nodePinned', { nodeId, pinned, source });
   }
 
-  /**
-   * Pin selected nodes
-   */
-  pinSelectedNodes(source = 'user') {
-    this._selectedNodes.forEach(nodeId => {
-      this.pinNode(nodeId, true, source);
-    });
-  }
-
   // ===== PATH MUTATIONS =====
 
   /**
    * Save a new path
+   * @param {string|Array} nodeSequence - Comma-separated node IDs or array of IDs
+   * @param {string} pathName - Optional path name
+   * @param {string} source - Event source tag
+   * @param {Object} options - Optional per-step data
+   * @param {Array<string>} options.orientations - '+'/'-' per step (aligned with nodeSequence)
+   * @param {Array<string>} options.overlaps - CIGAR overlap per step transition
+   * @param {Object} options.metadata - Extra path metadata (e.g. GFA walk sample/haplotype)
    */
-  savePath(nodeSequence, pathName = null, source = 'user') {
+  savePath(nodeSequence, pathName = null, source = 'user', options = {}) {
+    return this.pathTransaction('savePath', path => `Save path "${path ? path.name : pathName}"`,
+      () => this._savePath(nodeSequence, pathName, source, options));
+  }
+
+  _savePath(nodeSequence, pathName, source, options) {
+    const { orientations = null, overlaps = null, metadata = null } = options;
+
     const nodeIds = typeof nodeSequence === 'string'
       ? nodeSequence.split(',').map(id => id.trim())
       : nodeSequence;
 
-    // Validate nodes exist
-    const validNodes = nodeIds.filter(id => this._nodeMap.has(String(id)));
+    // Validate nodes exist (keep per-step orientations aligned with surviving nodes)
+    const validNodes = [];
+    const validOrientations = [];
+    const keptSteps = [];
+    nodeIds.forEach((id, index) => {
+      if (this._nodeMap.has(String(id))) {
+        validNodes.push(id);
+        keptSteps.push(index);
+        if (orientations) {
+          validOrientations.push(orientations[index] || '+');
+        }
+      }
+    });
 
     if (validNodes.length === 0) {
       console.warn('[GraphModel] No valid nodes in path sequence');
       return null;
     }
 
-    // Find edges in path
+    // Joins between surviving steps that skipped a missing node are gaps, not adjacencies
+    const gaps = new Set();
+    for (let i = 0; i < keptSteps.length - 1; i++) {
+      if (keptSteps[i + 1] !== keptSteps[i] + 1) {
+        gaps.add(i);
+      }
+    }
+    if (gaps.size > 0) {
+      console.warn(`[GraphModel] Path "${pathName || 'unnamed'}": ${nodeIds.length - validNodes.length} missing node(s), ${gaps.size} join(s) marked as gaps`);
+    }
+
+    // Link indices by "source|target", so each step only looks at links between its two nodes
+    const linksByEnds = new Map();
+    this._links.forEach((link, index) => {
+      const key = `${link.source?.id ?? link.source}|${link.target?.id ?? link.target}`;
+      if (!linksByEnds.has(key)) linksByEnds.set(key, []);
+      linksByEnds.get(key).push(index);
+    });
+
+    // Find edges in path (orientation-aware when both the path and the link carry orientations)
     const pathEdges = new Set();
     for (let i = 0; i < validNodes.length - 1; i++) {
-      const sourceId = validNodes[i];
-      const targetId = validNodes[i + 1];
-
-      this._links.forEach((link, index) => {
-        const linkSourceId = String(link.source?.id || link.source);
-        const linkTargetId = String(link.target?.id || link.target);
+      if (gaps.has(i)) continue;
+
+      const sourceId = String(validNodes[i]);
+      const targetId = String(validNodes[i + 1]);
+      const sourceOri = orientations ? validOrientations[i] : null;
+      const targetOri = orientations ? validOrientations[i + 1] : null;
+
+      // Forward: a(o1) -> b(o2); reversed form of the same link: b(~o2) -> a(~o1)
+      const candidates = [
+        ...(linksByEnds.get(`${sourceId}|${targetId}`) || []).map(index => ({ index, reversed: false })),
+        ...(linksByEnds.get(`${targetId}|${sourceId}`) || []).map(index => ({ index, reversed: true }))
+      ];
+
+      candidates.forEach(({ index, reversed }) => {
+        const link = this._links[index];
+        const oriented = sourceOri && (link.srcOrientation !== undefined || link.tgtOrientation !== undefined);
+        if (!oriented) {
+          pathEdges.add(index);
+          return;
+        }
 
-        if ((linkSourceId === String(sourceId) && linkTargetId === String(targetId)) ||
-            (linkSourceId === String(targetId) && linkTargetId === String(sourceId))) {
+        const linkSourceOri = link.srcOrientation || '+';
+        const linkTargetOri = link.tgtOrientation || '+';
+        const matches = reversed
+          ? linkSourceOri === flipOrientation(targetOri) && linkTargetOri === flipOrientation(sourceOri)
+          : linkSourceOri === sourceOri && linkTargetOri === targetOri;
+        if (matches) {
           pathEdges.add(index);
         }
       });
@@ -409,6 +587,21 @@ export class GraphModel extends EventEmitter {
       timestamp: new Date()
     };
 
+    if (orientations) {
+      path.orientations = validOrientations;
+    }
+    if (overlaps) {
+      // Realign with the surviving steps; a join across a missing node has no known overlap
+      path.overlaps = keptSteps.slice(0, -1).map((step, i) =>
+        gaps.has(i) ? '*' : (overlaps[step] ?? '*'));
+    }
+    if (gaps.size > 0) {
+      path.gaps = [...gaps];
+    }
+    if (metadata) {
+      path.metadata = { ...metadata };
+    }
+
     this._savedPaths.push(path);
     this._currentPathIndex = this._savedPaths.length - 1;
 
@@ -426,6 +619,11 @@ export class GraphModel extends EventEmitter {
       return;
     }
 
+    const name = this._savedPaths[pathIndex].name;
+    this.pathTransaction('removePath', `Remove path "${name}"`, () => this._removePath(pathIndex, source));
+  }
+
+  _removePath(pathIndex, source) {
     const removed = this._savedPaths.splice(pathIndex, 1)[0];
 
     // Adjust current index
@@ -456,6 +654,12 @@ export class GraphModel extends EventEmitter {
    * Clear all paths
    */
   clearAllPaths(source = 'user') {
+    const count = this._savedPaths.length;
+    this.pathTransaction('clearAllPaths', `Clear ${count} path${count === 1 ? '' : 's'}`,
+      () => this._clearAllPaths(source));
+  }
+
+  _clearAllPaths(source) {
     this._savedPaths = [];
     this._currentPathIndex = -1;
     this._nextPathId = 1;
@@ -464,50 +668,343 @@ export class GraphModel extends EventEmitter {
     this.emit('stateChanged', { type: 'pathsCleared', data: {}, source });
   }
 
+  // ===== SELECTION SETS =====
+
+  /**
+   * Save a named set of nodes that can be re-selected later
+   * @returns {Object|null} The saved set, or null if none of the nodes exist
+   */
+  saveSelectionSet(nodeIds, name = null, source = 'user') {
+    const validNodes = nodeIds.map(String).filter(id => this._nodeMap.has(id));
+
+    if (validNodes.length === 0) {
+      return null;
+    }
+
+    const selectionSet = {
+      name: name || `Set ${this._selectionSets.length + 1}`,
+      nodeIds: validNodes,
+      timestamp: new Date()
+    };
+
+    this._selectionSets.push(selectionSet);
+
+    this.emit('selectionSetSaved', { selectionSet, source });
+
+    return selectionSet;
+  }
+
+  /**
+   * Select the nodes of a saved selection set
+   */
+  selectSelectionSet(index, source = 'user') {
+    const selectionSet = this._selectionSets[index];
+    if (!selectionSet) {
+      return;
+    }
+
+    const existing = selectionSet.nodeIds.filter(id => this._nodeMap.has(id));
+    this.selectNodes(existing, { additive: false, source });
+  }
+
+  /**
+   * Clear all selection sets
+   */
+  clearSelectionSets(source = 'user') {
+    this._selectionSets = [];
+
+    this.emit('selectionSetsCleared', { source });
+  }
+
+  // ===== SESSION =====
+
+  /**
+   * Plain, JSON-safe snapshot of everything the user has built up:
+   * positions, pins, merged/resolved structure, paths and selection sets
+   */
+  getSessionState() {
+    return {
+      format: this._format,
+      graphHeader: this._graphHeader,
+      nodes: this._nodes.map(({ vx, vy, index, ...node }) => node),
+      links: this._links.map(({ index, ...link }) => ({
+        ...link,
+        source: link.source?.id ?? link.source,
+        target: link.target?.id ?? link.target
+      })),
+      selectedNodes: Array.from(this._selectedNodes),
+      selectedEdges: Array.from(this._selectedEdges),
+      pinnedNodes: Array.from(this._pinnedNodes),
+      savedPaths: this._savedPaths.map(path => ({
+        ...path,
+        nodes: Array.from(path.nodes),
+        edges: Array.from(path.edges)
+      })),
+      currentPathIndex: this._currentPathIndex,
+      nextPathId: this._nextPathId,
+      selectionSets: this._selectionSets.map(set => ({ ...set })),
+      nextLinkId: this._nextLinkId
+    };
+  }
+
+  /**
+   * Replace the model with a snapshot from getSessionState().
+   * Node positions are kept as saved; history starts fresh from the restored state.
+   */
+  restoreSession(state, source = 'session') {
+    this._applyState(state);
+    this._history.clear();
+
+    this._emitRestored('session', source);
+    this.emit('sessionRestored', { source });
+    this.emit('stateChanged', { type: 'sessionRestored', data: { nodeCount: this._nodes.length, linkCount: this._links.length }, source });
+    this._emitHistoryChanged();
+  }
+
   // ===== HISTORY (UNDO/REDO) =====
 
+  /**
+   * Execute an operation and record it for undo.
+   * Operations run inside another operation (or with history suspended) are part
+   * of that step and aren't recorded on their own. Results of null/false mean
+   * nothing changed, and aren't recorded either.
+   * @param {Operation} operation - Operation with execute()/reverse()
+   * @returns {*} The operation's result
+   */
+  perform(operation) {
+    if (this._activeOperation || this._historySuspended) {
+      return operation.execute();
+    }
+
+    let result;
+    this._activeOperation = operation;
+    try {
+      result = operation.execute();
+    } finally {
+      this._activeOperation = null;
+    }
+
+    if (result === null || result === false) {
+      return result;
+    }
+
+    operation.markExecuted();
+    this._history.push(operation);
+    this._emitHistoryChanged();
+
+    return result;
+  }
+
+  /**
+   * Run an edit of nodes/links (and paths/selection) as one undoable step
+   * @param {string} name - Operation name
+   * @param {string|Function} description - History text, or (result) => text
+   * @param {Function} apply - The edit
+   */
+  transaction(name, description, apply) {
+    if (this._activeOperation || this._historySuspended) {
+      return apply();
+    }
+    return this.perform(new GraphEditOperation(this, name, description, apply));
+  }
+
+  /**
+   * Run an edit of the saved paths only as one undoable step (cheaper than transaction())
+   */
+  pathTransaction(name, description, apply) {
+    if (this._activeOperation || this._historySuspended) {
+      return apply();
+    }
+    return this.perform(new PathEditOperation(this, name, description, apply));
+  }
+
+  /**
+   * Run edits without recording them (e.g. paths imported with a file)
+   */
+  withoutHistory(apply) {
+    this._historySuspended++;
+    try {
+      return apply();
+    } finally {
+      this._historySuspended--;
+    }
+  }
+
   /**
    * Undo last operation
+   * @returns {Operation|null} The undone operation
    */
   undo(source = 'user') {
     if (!this.canUndo) {
-      return;
+      return null;
     }
 
-    // Remove current state
-    this._history.pop();
+    const operation = this._history.undo();
+    this._emitHistoryChanged();
+    return operation;
+  }
 
-    // Restore previous state
-    const previousState = this._history[this._history.length - 1];
-    this._nodes = JSON.parse(JSON.stringify(previousState.nodes));
-    this._links = JSON.parse(JSON.stringify(previousState.links));
+  /**
+   * Redo the last undone operation
+   * @returns {Operation|null} The redone operation
+   */
+  redo(source = 'user') {
+    if (!this.canRedo) {
+      return null;
+    }
 
+    const operation = this._history.redo();
+    this._emitHistoryChanged();
+    return operation;
+  }
+
+  /**
+   * Undo or redo until a point in the timeline is reached.
+   * Listeners hear about the restored state once, not once per step.
+   * @param {number} position - Number of applied steps (0 = before the first)
+   * @returns {Array<Operation>} The operations undone or redone
+   */
+  jumpToHistory(position) {
+    const type = position < this._history.getUndoCount() ? 'undo' : 'redo';
+    const operations = this._batchRestore(type, () => this._history.jumpTo(position));
+
+    this._emitHistoryChanged();
+    return operations;
+  }
+
+  /**
+   * Go to the end of a side branch: undo to its fork point, then redo its steps.
+   * The steps that were ahead of the fork become a branch in turn.
+   * @param {number} branchIndex - Index in historyTimeline.branches
+   * @returns {Array<Operation>|null} The branch's operations (null if there is no such branch)
+   */
+  switchHistoryBranch(branchIndex) {
+    const branch = this._history.branches[branchIndex];
+    if (!branch) {
+      return null;
+    }
+
+    this._batchRestore('redo', () => {
+      this._history.jumpTo(branch.forkIndex);
+      this._history.switchBranch(branchIndex);
+      this._history.jumpTo(this._history.getUndoCount() + this._history.getRedoCount());
+    });
+
+    this._emitHistoryChanged();
+    return branch.operations;
+  }
+
+  /**
+   * Forget all undo/redo steps
+   */
+  clearHistory() {
+    this._history.clear();
+    this._emitHistoryChanged();
+  }
+
+  /**
+   * Undo/redo a GraphEditOperation's changes
+   */
+  _applyDelta(delta, type) {
+    delta.apply(this, type);
     this._rebuildMaps();
+    this._emitRestored(type, type);
+  }
+
+  /**
+   * Snapshot for PathEditOperation
+   */
+  _capturePaths() {
+    return {
+      savedPaths: this._savedPaths.map(path => ({ ...path, nodes: new Set(path.nodes), edges: new Set(path.edges) })),
+      currentPathIndex: this._currentPathIndex,
+      nextPathId: this._nextPathId
+    };
+  }
+
+  _restorePaths(state, type) {
+    this._savedPaths = state.savedPaths.map(path => ({ ...path, nodes: new Set(path.nodes), edges: new Set(path.edges) }));
+    this._currentPathIndex = state.currentPathIndex;
+    this._nextPathId = state.nextPathId;
 
-    this.emit('stateRestored', { type: 'undo', source });
-    this.emit('graphLoaded', { nodes: this.nodes, links: this.links, format: this._format, source: 'undo' });
-    this.emit('historyChanged', { canUndo: this.canUndo, canRedo: false });
+    if (this._restoreBatch) {
+      this._restoreBatch.paths = true;
+      return;
+    }
+
+    this.emit('stateRestored', { type, source: type });
+    this.emit('pathSelected', { pathIndex: this._currentPathIndex, path: this.currentPath, source: type });
+  }
+
+  /**
+   * Run several undo/redo steps, then notify listeners once
+   */
+  _batchRestore(type, apply) {
+    const batch = { graph: false, paths: false };
+    this._restoreBatch = batch;
+    try {
+      return apply();
+    } finally {
+      this._restoreBatch = null;
+
+      if (batch.graph) {
+        this._emitRestored(type, type);
+      } else if (batch.paths) {
+        this.emit('stateRestored', { type, source: type });
+        this.emit('pathSelected', { pathIndex: this._currentPathIndex, path: this.currentPath, source: type });
+      }
+    }
+  }
+
+  _emitHistoryChanged() {
+    this.emit('historyChanged', { canUndo: this.canUndo, canRedo: this.canRedo });
   }
 
   // ===== INTERNAL HELPERS =====
 
   /**
-   * Save current state to history
+   * Replace graph, paths, selection and pins with a state from getSessionState()
    */
-  _saveHistory(operation) {
-    this._history.push({
-      operation,
-      nodes: JSON.parse(JSON.stringify(this._nodes)),
-      links: JSON.parse(JSON.stringify(this._links)),
-      timestamp: Date.now()
-    });
+  _applyState(state) {
+    this._nodes = state.nodes.map(node => ({ ...node }));
+    this._links = state.links.map(link => ({ ...link }));
+    this._format = state.format || 'dot';
+    this._graphHeader = state.graphHeader || null;
+    this._nextLinkId = state.nextLinkId || 1;
+
+    this._rebuildMaps();
+
+    this._selectedNodes = new Set((state.selectedNodes || []).filter(id => this._nodeMap.has(String(id))));
+    this._selectedEdges = new Set(state.selectedEdges || []);
+    this._pinnedNodes = new Set((state.pinnedNodes || []).filter(id => this._nodeMap.has(String(id))));
+
+    this._savedPaths = (state.savedPaths || []).map(path => ({
+      ...path,
+      nodes: new Set(Array.from(path.nodes, String)),
+      edges: new Set(path.edges),
+      timestamp: new Date(path.timestamp)
+    }));
+    this._currentPathIndex = state.currentPathIndex ?? -1;
+    this._nextPathId = state.nextPathId || this._savedPaths.length + 1;
+
+    this._selectionSets = (state.selectionSets || []).map(set => ({
+      ...set,
+      timestamp: new Date(set.timestamp)
+    }));
+  }
 
-    // Limit history size
-    if (this._history.length > this._maxHistorySize) {
-      this._history.shift();
+  /**
+   * Tell listeners the whole state was replaced
+   */
+  _emitRestored(type, source) {
+    if (this._restoreBatch) {
+      this._restoreBatch.graph = true;
+      return;
     }
 
-    this.emit('historyChanged', { canUndo: this.canUndo, canRedo: false });
+    this.emit('graphLoaded', { nodes: this.nodes, links: this.links, format: this._format, source: type });
+    this.emit('stateRestored', { type, source });
+    this.emit('pathSelected', { pathIndex: this._currentPathIndex, path: this.currentPath, source });
   }
 
   /**
@@ -521,11 +1018,30 @@ export class GraphModel extends EventEmitter {
       this._nodeMap.set(String(node.id), node);
     });
 
+    this._linkIdMap.clear();
+
     this._links.forEach((link, index) => {
       this._linkMap.set(index, link);
+
+      // Links copied during resolution share their original's ID; give copies (and new links) their own
+      if (link.id === undefined || link.id === null || this._linkIdMap.has(String(link.id))) {
+        link.id = this._generateLinkId();
+      }
+      this._linkIdMap.set(String(link.id), link);
     });
   }
 
+  /**
+   * Generate a link ID that isn't used yet
+   */
+  _generateLinkId() {
+    let id;
+    do {
+      id = `link${this._nextLinkId++}`;
+    } while (this._linkIdMap.has(id));
+    return id;
+  }
+
   /**
    * Get next color from palette
    */
@@ -540,15 +1056,19 @@ export class GraphModel extends EventEmitter {
     this._nodes = [];
     this._links = [];
     this._format = 'dot';
+    this._graphHeader = null;
     this._selectedNodes.clear();
     this._selectedEdges.clear();
     this._pinnedNodes.clear();
     this._savedPaths = [];
     this._currentPathIndex = -1;
     this._nextPathId = 1;
-    this._history = [];
+    this._selectionSets = [];
+    this._history.clear();
     this._nodeMap.clear();
     this._linkMap.clear();
+    this._linkIdMap.clear();
+    this._nextLinkId = 1;
 
     this.emit('modelReset', { source: 'system' });
   }
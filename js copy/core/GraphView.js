@@ -3,6 +3,7 @@
 import { EventEmitter } from './EventEmitter.js';
 import { GfaRenderer } from '../view/renderers/GfaRenderer.js';
 import { DotRenderer } from '../view/renderers/DotRenderer.js';
+import { GfaSvgExporter } from '../view/renderers/GfaSvgExporter.js';
 
 /**
  * GraphView handles all rendering and DOM interactions.
@@ -61,7 +62,7 @@ export class GraphView extends EventEmitter {
   }
 
   _setupZoom() {
-    const zoom = d3.zoom()
+    this._zoom = d3.zoom()
       .scaleExtent([0.01, 10])
       .on('zoom', (event) => {
         this.transform = event.transform;
@@ -69,7 +70,7 @@ export class GraphView extends EventEmitter {
         this.render();
       });
 
-    d3.select(this.canvas).call(zoom);
+    d3.select(this.canvas).call(this._zoom);
   }
 
   _setupDragHandlers() {
@@ -87,7 +88,21 @@ export class GraphView extends EventEmitter {
   render() {
     if (!this.canvas || !this.ctx) return;
 
-    const renderData = {
+    const renderData = this._getRenderData();
+
+    // Route to appropriate renderer based on format
+    if (this._format === 'gfa') {
+      this._gfaRenderer.render(renderData);
+    } else {
+      this._dotRenderer.render(renderData);
+    }
+  }
+
+  /**
+   * Current view state in the shape renderers expect
+   */
+  _getRenderData() {
+    return {
       nodes: this._nodes,
       edges: this._links,
       transform: this.transform,
@@ -96,13 +111,6 @@ export class GraphView extends EventEmitter {
       highlightedPath: this._highlightedPath,
       scaleFactor: 1.0
     };
-
-    // Route to appropriate renderer based on format
-    if (this._format === 'gfa') {
-      this._gfaRenderer.render(renderData);
-    } else {
-      this._dotRenderer.render(renderData);
-    }
   }
 
   /**
@@ -130,7 +138,11 @@ export class GraphView extends EventEmitter {
    */
   invalidateGfaNodes() {
     console.log('[GraphView] Invalidating GFA nodes cache - will be recreated on next render');
+
+    // Keep flips of nodes that survive the change
+    const nodeStates = this._gfaRenderer.getNodeStates();
     this._gfaRenderer.clearCache();
+    this._gfaRenderer.setNodeStates(nodeStates);
   }
 
   /**
@@ -195,10 +207,12 @@ export class GraphView extends EventEmitter {
       this._highlightedPath.nodes = new Set(path.nodes);
       this._highlightedPath.edges = new Set(path.edges);
       this._highlightedPath.currentColor = path.color;
+      this._highlightedPath.name = path.name;
     } else {
       this._highlightedPath.nodes.clear();
       this._highlightedPath.edges.clear();
       this._highlightedPath.currentColor = '#ff6b6b';
+      this._highlightedPath.name = null;
     }
   }
 
@@ -346,6 +360,253 @@ export class GraphView extends EventEmitter {
       .call(zoom.transform, d3.zoomIdentity);
   }
 
+  /**
+   * Pan (and optionally zoom) so a simulation point is at the canvas center
+   */
+  centerOn(x, y, scale = null) {
+    const k = scale || Math.max(this.transform.k, 1);
+    const target = d3.zoomIdentity
+      .translate(this.canvas.width / 2 - x * k, this.canvas.height / 2 - y * k)
+      .scale(k);
+
+    d3.select(this.canvas)
+      .transition()
+      .duration(750)
+      .call(this._zoom.transform, target);
+  }
+
+  // ===== SESSION =====
+
+  /**
+   * View state worth keeping across sessions: zoom/pan and GFA node orientations
+   * @returns {Object} {transform: {x, y, k}, gfaNodes}
+   */
+  getViewState() {
+    return {
+      transform: { x: this.transform.x, y: this.transform.y, k: this.transform.k },
+      gfaNodes: this._gfaRenderer.getNodeStates()
+    };
+  }
+
+  /**
+   * Restore state from getViewState() (no transition, so it is exact)
+   */
+  setViewState({ transform = null, gfaNodes = null } = {}) {
+    if (gfaNodes) {
+      this._gfaRenderer.setNodeStates(gfaNodes);
+    }
+
+    if (transform) {
+      d3.select(this.canvas).call(
+        this._zoom.transform,
+        d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k)
+      );
+    }
+
+    this.render();
+  }
+
+  // ===== EXPORT =====
+
+  /**
+   * Export the GFA view as SVG
+   * @param {Object} options - {scope: 'graph'|'viewport', includeSelection, background}
+   * @returns {Object} {svg, width, height, nodeCount, edgeCount}
+   */
+  toSvg(options = {}) {
+    if (this._format !== 'gfa') {
+      throw new Error('SVG export is only available for GFA-style graphs');
+    }
+
+    // Make sure the renderer's visual nodes match the current state
+    this.render();
+
+    const exporter = new GfaSvgExporter(this._gfaRenderer);
+    return exporter.export(this._getRenderData(), {
+      ...options,
+      width: this.canvas.width,
+      height: this.canvas.height
+    });
+  }
+
+  /**
+   * Render the whole graph onto another canvas, fitted to width × height.
+   * The canvas gets width·scale × height·scale pixels, so line widths and
+   * labels keep their on-screen proportions at any resolution.
+   * @param {HTMLCanvasElement} target - Canvas to draw on (resized here)
+   * @param {Object} options - {width, height, scale, background ('transparent' or a color), showLabels, showLegend}
+   * @returns {HTMLCanvasElement} The target canvas
+   */
+  renderToCanvas(target, options = {}) {
+    const {
+      width = this.canvas.width,
+      height = this.canvas.height,
+      scale = 1,
+      background = 'transparent',
+      showLabels = true,
+      showLegend = false
+    } = options;
+
+    // Make sure GFA visual nodes exist before measuring them
+    this.render();
+
+    const renderer = this._format === 'gfa' ? this._gfaRenderer : this._dotRenderer;
+    const ctx = target.getContext('2d');
+    target.width = Math.round(width * scale);
+    target.height = Math.round(height * scale);
+
+    const renderData = {
+      ...this._getRenderData(),
+      transform: this._getFittedTransform(width, height),
+      selection: { nodes: new Set(), edges: new Set() },
+      showLabels
+    };
+
+    const screenCanvas = renderer.canvas;
+    const screenCtx = renderer.ctx;
+    try {
+      renderer.canvas = target;
+      renderer.ctx = ctx;
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      renderer.render(renderData);
+
+      if (background !== 'transparent') {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, target.width, target.height);
+        ctx.restore();
+      }
+
+      if (showLegend) {
+        this._drawLegend(ctx, this._getLegendEntries());
+      }
+    } finally {
+      renderer.canvas = screenCanvas;
+      renderer.ctx = screenCtx;
+      this.render();
+    }
+
+    return target;
+  }
+
+  /**
+   * Transform that fits every node into width × height with a margin
+   */
+  _getFittedTransform(width, height, padding = 40) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const extend = (x, y, margin) => {
+      minX = Math.min(minX, x - margin);
+      minY = Math.min(minY, y - margin);
+      maxX = Math.max(maxX, x + margin);
+      maxY = Math.max(maxY, y + margin);
+    };
+
+    if (this._format === 'gfa' && this._gfaRenderer.gfaVisualNodes.length > 0) {
+      this._gfaRenderer.gfaVisualNodes.forEach(gfaNode => {
+        gfaNode.segments.forEach(segment => extend(segment.x, segment.y, gfaNode.width));
+      });
+    } else {
+      this._nodes.forEach(node => extend(node.x || 0, node.y || 0, 12));
+    }
+
+    if (!Number.isFinite(minX)) {
+      return d3.zoomIdentity;
+    }
+
+    const graphWidth = Math.max(maxX - minX, 1);
+    const graphHeight = Math.max(maxY - minY, 1);
+    const k = Math.min((width - 2 * padding) / graphWidth, (height - 2 * padding) / graphHeight);
+
+    return d3.zoomIdentity
+      .translate(
+        (width - graphWidth * k) / 2 - minX * k,
+        (height - graphHeight * k) / 2 - minY * k
+      )
+      .scale(k);
+  }
+
+  /**
+   * Legend entries for what the current view shows
+   */
+  _getLegendEntries() {
+    const entries = [];
+
+    if (this._highlightedPath.nodes.size > 0) {
+      entries.push({ label: this._highlightedPath.name || 'Highlighted path', color: this._highlightedPath.currentColor });
+    }
+    if (this._pinnedNodes.size > 0) {
+      entries.push({ label: 'Pinned node', color: '#ff8800', outline: true });
+    }
+    if (this._links.some(link => link.gfaType === 'gap')) {
+      entries.push({ label: 'Gap (estimated distance)', color: '#333333', dash: [8, 6] });
+    }
+    if (this._links.some(link => link.edgeType === 'containment')) {
+      entries.push({ label: 'Containment', color: '#333333', dash: [2, 4] });
+    }
+    if (this._format === 'gfa') {
+      entries.push({ label: 'Segment start', color: 'rgba(255, 0, 0, 0.8)', dot: true });
+      entries.push({ label: 'Segment end', color: 'rgba(0, 255, 0, 0.8)', dot: true });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Draw a legend box in the top-left corner (in logical pixels)
+   */
+  _drawLegend(ctx, entries) {
+    if (entries.length === 0) return;
+
+    const lineHeight = 18;
+    const padding = 10;
+
+    ctx.save();
+    ctx.font = '12px Arial';
+    const textWidth = Math.max(...entries.map(entry => ctx.measureText(entry.label).width));
+    const boxWidth = textWidth + 3 * padding + 24;
+    const boxHeight = entries.length * lineHeight + 2 * padding - 4;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.strokeStyle = '#cccccc';
+    ctx.lineWidth = 1;
+    ctx.fillRect(padding, padding, boxWidth, boxHeight);
+    ctx.strokeRect(padding, padding, boxWidth, boxHeight);
+
+    entries.forEach((entry, index) => {
+      const x = 2 * padding;
+      const y = 2 * padding + index * lineHeight + 3;
+
+      ctx.setLineDash(entry.dash || []);
+      if (entry.dot) {
+        ctx.fillStyle = entry.color;
+        ctx.beginPath();
+        ctx.arc(x + 12, y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+      } else if (entry.outline) {
+        ctx.strokeStyle = entry.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 4, y - 5, 16, 10);
+      } else {
+        ctx.strokeStyle = entry.color;
+        ctx.lineWidth = entry.dash ? 2 : 5;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + 24, y);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = '#333333';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(entry.label, x + 24 + padding, y);
+    });
+
+    ctx.restore();
+  }
+
   /**
    * Clean up event listeners
    */
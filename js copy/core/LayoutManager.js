@@ -1,23 +1,57 @@
 // LayoutManager.js - Force-directed layout with dampening and cycle prevention
 
 import { EventEmitter } from './EventEmitter.js';
+import { WorkerSimulation } from '../layout/WorkerSimulation.js';
+import { HierarchicalLayout } from '../layout/HierarchicalLayout.js';
+import { PathLayout } from '../layout/PathLayout.js';
+
+// Forces a new simulation starts with
+const DEFAULT_FORCES = { charge: -300, linkDistance: 100 };
+
+// Pull of branch nodes towards their side of the backbone (path mode)
+const LANE_STRENGTH = 0.3;
+
+// force: d3 force simulation; hierarchical: layered layout (HierarchicalLayout), nodes stay put afterwards;
+// path: a saved path pinned left to right (PathLayout), force simulation for the rest
+export const LAYOUT_MODES = ['force', 'hierarchical', 'path'];
 
 /**
  * LayoutManager handles automated graph layout using D3 force simulation.
  * Includes dampening to prevent oscillation and cycle guards.
  *
+ * Where Web Workers are available the simulation runs in one (see WorkerSimulation),
+ * so large graphs don't stall dragging and zooming; otherwise it runs on the main thread.
+ *
+ * In hierarchical mode the positions come from HierarchicalLayout instead. The simulation
+ * is still attached (not running) so pins and link binding work, but it is never reheated.
+ * In path mode the backbone path's nodes are pinned on a horizontal axis and the force
+ * simulation runs as usual around them.
+ *
  * Events emitted:
  * - layoutTick: {alpha}
  * - layoutEnd: {}
+ * - layoutModeChanged: {mode, pathId}
  */
 export class LayoutManager extends EventEmitter {
-  constructor(model) {
+  constructor(model, options = {}) {
     super();
 
     this.model = model;
-    this.simulation = null;
+    this.simulation = null; // d3 simulation (main-thread mode)
+    this.worker = null;     // WorkerSimulation (worker mode)
+    this.useWorker = options.useWorker ?? WorkerSimulation.isSupported();
     this.isRunning = false;
 
+    this.layoutMode = 'force';
+    this.hierarchical = new HierarchicalLayout();
+    this.pathLayout = new PathLayout();
+    this.backbonePathId = null; // Saved path used in path mode
+    this._pathPins = new Set(); // Nodes pinned by the path layout, not the user
+
+    // Canvas size of the last start, reused by restarts
+    this.canvasWidth = 800;
+    this.canvasHeight = 600;
+
     // Dampening configuration
     this.dampeningEnabled = true;
     this.dampeningThreshold = 0.5; // Minimum position change to emit update (pixels)
@@ -38,7 +72,14 @@ export class LayoutManager extends EventEmitter {
   _setupModelListeners() {
     // When graph is loaded, restart simulation
     this.model.on('graphLoaded', ({ nodes, links, source }) => {
-      if (source !== this.layoutSourceTag) {
+      if (source === 'session' || source === 'undo' || source === 'redo') {
+        // Restored sessions and history steps keep their saved positions
+        const pathMode = this.layoutMode === 'path' && this._pinBackbone();
+        this.attach(this.model._nodes, this.model._links);
+        if (pathMode) {
+          this._applyPathForces();
+        }
+      } else if (source !== this.layoutSourceTag) {
         // Use actual arrays from model, not event copies
         this.start(this.model._nodes, this.model._links);
       }
@@ -67,12 +108,27 @@ export class LayoutManager extends EventEmitter {
 
       // If user is dragging, boost simulation
       if (source === 'user' || source === 'drag') {
+        if (this.worker) {
+          this.worker.moveNode(nodeId, x, y);
+        }
         this.boostSimulation();
       }
     });
 
     // When a node is pinned, update simulation
     this.model.on('nodePinned', ({ nodeId, pinned }) => {
+      // The worker has its own copy of fx/fy, set by the model
+      if (this.worker) {
+        const node = this.model.getNode(nodeId);
+        if (node) {
+          this.worker.setFixed(nodeId, node.fx ?? null, node.fy ?? null);
+        }
+        if (this.isRunning) {
+          this.worker.restart(0.1);
+        }
+        return;
+      }
+
       if (this.isRunning) {
         const node = this.model.getNode(nodeId);
         if (node && this.simulation) {
@@ -91,7 +147,7 @@ export class LayoutManager extends EventEmitter {
     // When nodes are merged, update simulation data
     this.model.on('nodesMerged', () => {
       console.log('[LayoutManager] nodesMerged event received! isRunning:', this.isRunning);
-      if (this.simulation) {
+      if (this.hasSimulation) {
         console.log('[LayoutManager] Updating simulation data...');
         this.updateSimulationData();
       } else {
@@ -99,15 +155,31 @@ export class LayoutManager extends EventEmitter {
       }
     });
 
+    // Leave path mode when its backbone path is removed
+    const checkBackbone = () => {
+      if (this.layoutMode === 'path' && !this._backbonePath()) {
+        this.setLayoutMode('force');
+      }
+    };
+    this.model.on('pathRemoved', checkBackbone);
+    this.model.on('pathsCleared', checkBackbone);
+
     console.log('[LayoutManager] Event listeners registered, including nodesMerged');
   }
 
   // ===== SIMULATION CONTROL =====
 
+  /**
+   * Whether nodes are bound to a simulation (running or not)
+   */
+  get hasSimulation() {
+    return Boolean(this.simulation || this.worker);
+  }
+
   /**
    * Start simulation with nodes and links
    */
-  start(nodes, links, canvasWidth = 800, canvasHeight = 600) {
+  start(nodes, links, canvasWidth = this.canvasWidth, canvasHeight = this.canvasHeight) {
     console.log(`🔧 [LayoutManager] start() called with ${nodes.length} nodes and ${links.length} links`);
 
     // DIAGNOSTIC: Check if we're receiving the actual arrays or copies
@@ -115,19 +187,47 @@ export class LayoutManager extends EventEmitter {
       nodes === this.model._nodes ? '✅ YES (nodes)' : '❌ NO (nodes)',
       links === this.model._links ? '✅ YES (links)' : '❌ NO (links)');
 
-    if (this.simulation) {
+    if (this.hasSimulation) {
       this.stop();
     }
 
+    this.canvasWidth = canvasWidth;
+    this.canvasHeight = canvasHeight;
+
+    if (this.layoutMode === 'hierarchical') {
+      this._startHierarchical(nodes, links, canvasWidth, canvasHeight);
+      return null;
+    }
+
+    // Backbone placed and pinned first; if its path is gone this falls back to force mode
+    const pathMode = this.layoutMode === 'path' && this._pinBackbone({ placeBranches: true });
+    const simulation = this._startForce(nodes, links, canvasWidth, canvasHeight);
+    if (pathMode) {
+      this._applyPathForces();
+    }
+
+    return simulation;
+  }
+
+  /**
+   * Start the force simulation (worker or main thread)
+   */
+  _startForce(nodes, links, canvasWidth = 800, canvasHeight = 600) {
     this.isRunning = true;
     this._lastPositions.clear();
 
+    if (this.useWorker) {
+      this._startWorker(nodes, links, { x: canvasWidth / 2, y: canvasHeight / 2 }, 1, true);
+      console.log('[LayoutManager] ✅ Simulation started in worker');
+      return null;
+    }
+
     // Create D3 force simulation (matching existing behavior)
     this.simulation = d3.forceSimulation(nodes)
-      .force('charge', d3.forceManyBody().strength(-300))
+      .force('charge', d3.forceManyBody().strength(DEFAULT_FORCES.charge))
       .force('link', d3.forceLink(links)
         .id(d => d.id)
-        .distance(100))
+        .distance(DEFAULT_FORCES.linkDistance))
       .force('center', d3.forceCenter(canvasWidth / 2, canvasHeight / 2))
       .on('tick', () => this._onTick())
       .on('end', () => this._onEnd());
@@ -136,10 +236,42 @@ export class LayoutManager extends EventEmitter {
     return this.simulation;
   }
 
+  /**
+   * Bind nodes and links to a simulation without moving anything.
+   * Dragging, pinning and merges still work; the layout only runs when boosted.
+   */
+  attach(nodes, links) {
+    // Center on the current layout so the center force doesn't shift it on the next boost
+    const center = { x: 400, y: 300 };
+    if (nodes.length > 0) {
+      center.x = nodes.reduce((sum, node) => sum + (node.x || 0), 0) / nodes.length;
+      center.y = nodes.reduce((sum, node) => sum + (node.y || 0), 0) / nodes.length;
+    }
+
+    if (this.useWorker) {
+      this.stop();
+      this._startWorker(nodes, links, center, 0, false);
+      console.log('[LayoutManager] ✅ Simulation attached in worker (not running)');
+      return null;
+    }
+
+    this._startForce(nodes, links);
+    this.stop();
+    this.simulation.alpha(0);
+    this.simulation.force('center', d3.forceCenter(center.x, center.y));
+
+    console.log('[LayoutManager] ✅ Simulation attached (not running)');
+    return this.simulation;
+  }
+
   /**
    * Stop simulation
    */
   stop() {
+    if (this.worker) {
+      this.worker.stop();
+      this.isRunning = false;
+    }
     if (this.simulation) {
       this.simulation.stop();
       this.isRunning = false;
@@ -150,21 +282,64 @@ export class LayoutManager extends EventEmitter {
    * Restart simulation with current nodes
    */
   restart() {
-    if (this.simulation) {
-      this.simulation.alpha(1).restart();
+    if (this.layoutMode === 'hierarchical') {
+      this._startHierarchical(this.model._nodes, this.model._links, this.canvasWidth, this.canvasHeight);
+      return;
+    }
+    if (this.layoutMode === 'path') {
+      this._pinBackbone();
+    }
+    this.reheat(1);
+  }
+
+  /**
+   * Restart simulation with a given energy (low values nudge, 1 re-lays out)
+   */
+  reheat(alpha) {
+    // The layered layout is static; moving nodes by force would undo it
+    if (this.layoutMode === 'hierarchical') return;
+
+    if (this.worker) {
+      this.isRunning = true;
+      this.worker.restart(alpha);
+    } else if (this.simulation) {
+      this.simulation.alpha(alpha).restart();
     }
   }
 
   /**
    * Update simulation data (nodes and links) without recreating simulation
    * This is used when the graph structure changes (e.g., nodes merged)
+   * @param {boolean} running - Whether the layout should move afterwards (default: yes)
    */
-  updateSimulationData() {
-    if (!this.simulation) {
+  updateSimulationData(running = true) {
+    if (!this.hasSimulation) {
       console.warn('[LayoutManager] Cannot update simulation data - no simulation exists');
       return;
     }
 
+    // Structure changed: lay out the new layers
+    if (this.layoutMode === 'hierarchical') {
+      this._startHierarchical(this.model._nodes, this.model._links, this.canvasWidth, this.canvasHeight);
+      return;
+    }
+
+    // The backbone may have changed (e.g. merged nodes on the path)
+    if (this.layoutMode === 'path') {
+      this._pinBackbone();
+    }
+
+    if (this.worker) {
+      // The worker binds links to node objects and gets positions as typed arrays
+      this.worker.setData(this.model._nodes, this.model._links, 0.1, running);
+      if (this.layoutMode === 'path') {
+        this._applyPathForces();
+      }
+      this.isRunning = running;
+      console.log(`[LayoutManager] ✅ Worker simulation updated with ${this.model._nodes.length} nodes and ${this.model._links.length} links`);
+      return;
+    }
+
     console.log('🔧 [LayoutManager] CRITICAL FIX ACTIVE - Using _nodes and _links directly (not getters)');
 
     // CRITICAL: Must use the ACTUAL arrays, not copies, so D3 can mutate them
@@ -190,7 +365,7 @@ export class LayoutManager extends EventEmitter {
     // D3 will mutate the link objects, replacing string IDs with node object references
     const newLinkForce = d3.forceLink(links)
       .id(d => d.id)
-      .distance(100);
+      .distance(DEFAULT_FORCES.linkDistance);
 
     // Replace the link force
     this.simulation.force('link', newLinkForce);
@@ -213,9 +388,12 @@ export class LayoutManager extends EventEmitter {
       console.error('[LayoutManager] CRITICAL: Link force is NULL!');
     }
 
-    // Mark as running and restart simulation with LOW energy (gentle repositioning)
-    this.isRunning = true;
-    this.simulation.alpha(0.1).restart();
+    // Restart simulation with LOW energy (gentle repositioning), unless asked to stay still
+    this.isRunning = running;
+    this.simulation.alpha(0.1);
+    if (running) {
+      this.simulation.restart();
+    }
 
     console.log('[LayoutManager] ✅ Simulation restarted with updated data');
   }
@@ -224,7 +402,13 @@ export class LayoutManager extends EventEmitter {
    * Boost simulation (e.g., during drag)
    */
   boostSimulation(alpha = 0.3) {
-    if (this.simulation) {
+    // Dragging in hierarchical mode moves only the dragged node
+    if (this.layoutMode === 'hierarchical') return;
+
+    if (this.worker) {
+      this.isRunning = true;
+      this.worker.setAlphaTarget(alpha);
+    } else if (this.simulation) {
       this.simulation.alphaTarget(alpha).restart();
     }
   }
@@ -233,7 +417,9 @@ export class LayoutManager extends EventEmitter {
    * Cool down simulation (e.g., after drag ends)
    */
   coolSimulation() {
-    if (this.simulation) {
+    if (this.worker) {
+      this.worker.setAlphaTarget(0);
+    } else if (this.simulation) {
       this.simulation.alphaTarget(0);
     }
   }
@@ -242,24 +428,202 @@ export class LayoutManager extends EventEmitter {
    * Update center force (e.g., on canvas resize)
    */
   updateCenter(width, height) {
-    if (this.simulation) {
+    this.canvasWidth = width;
+    this.canvasHeight = height;
+
+    // The pinned backbone anchors the path layout
+    if (this.layoutMode === 'path') return;
+
+    if (this.worker) {
+      this.worker.setCenter(width / 2, height / 2);
+    } else if (this.simulation) {
       this.simulation.force('center', d3.forceCenter(width / 2, height / 2));
     }
   }
 
-  // ===== SIMULATION CALLBACKS =====
+  // ===== LAYOUT MODES =====
 
-  _onTick() {
-    // Always update all nodes directly (for smooth animation)
-    this.simulation.nodes().forEach(node => {
-      // Update node positions directly in the model's array (no events)
-      const modelNode = this.model.getNode(node.id);
-      if (modelNode) {
-        modelNode.x = node.x;
-        modelNode.y = node.y;
+  /**
+   * Switch layout mode and lay out the current graph with it
+   * @param {string} mode - One of LAYOUT_MODES
+   * @param {Object} options - {pathId} of the saved path to use as backbone (path mode)
+   */
+  setLayoutMode(mode, canvasWidth = this.canvasWidth, canvasHeight = this.canvasHeight, options = {}) {
+    if (!LAYOUT_MODES.includes(mode)) {
+      throw new Error(`Unknown layout mode "${mode}"`);
+    }
+
+    if (mode === 'path') {
+      const pathId = options.pathId ?? this.backbonePathId;
+      if (!this.model._savedPaths.some(path => path.id === pathId)) {
+        throw new Error('The path layout needs a saved path as backbone');
+      }
+      this.backbonePathId = pathId;
+    } else {
+      this.backbonePathId = null;
+    }
+
+    this._releasePathPins();
+    this.layoutMode = mode;
+    this.emit('layoutModeChanged', { mode, pathId: this.backbonePathId });
+
+    if (this.model._nodes.length > 0) {
+      this.start(this.model._nodes, this.model._links, canvasWidth, canvasHeight);
+    }
+  }
+
+  /**
+   * Place the backbone path on the axis and pin its nodes
+   * @param {Object} options - {placeBranches}: also move the other nodes next to the backbone
+   * @returns {boolean} False if the backbone path no longer exists (back in force mode)
+   */
+  _pinBackbone({ placeBranches = false } = {}) {
+    const path = this._backbonePath();
+    if (!path) {
+      console.warn('[LayoutManager] Backbone path not found, switching to force layout');
+      this._releasePathPins();
+      this.layoutMode = 'force';
+      this.backbonePathId = null;
+      this.emit('layoutModeChanged', { mode: 'force', pathId: null });
+      return false;
+    }
+
+    this.pathLayout.setPath(path);
+    this.pathLayout.placeBranches = placeBranches;
+    this.pathLayout.start(this.model._nodes, this.model._links, this.canvasWidth, this.canvasHeight);
+
+    this._releasePathPins();
+    this.pathLayout.backbone.forEach(({ id, x, y }) => {
+      const node = this.model.getNode(id);
+      node.fx = x;
+      node.fy = y;
+      this._pathPins.add(id);
+      if (this.worker) {
+        this.worker.setFixed(id, x, y);
       }
     });
 
+    return true;
+  }
+
+  /**
+   * Keep branch nodes on the side of the backbone they were seeded on.
+   * The pinned backbone anchors the layout, so the center force goes: it would
+   * keep shifting the free nodes towards the mean.
+   */
+  _applyPathForces() {
+    const lanes = this.pathLayout.lanes;
+
+    if (this.worker) {
+      this.worker.setCenter(null, null);
+      this.worker.setLanes(lanes, LANE_STRENGTH);
+    } else if (this.simulation) {
+      this.simulation.force('center', null);
+      this.simulation.force('lane', d3.forceY(node => lanes.get(String(node.id)) ?? node.y)
+        .strength(node => (lanes.has(String(node.id)) ? LANE_STRENGTH : 0)));
+    }
+  }
+
+  /**
+   * Unpin the backbone, except nodes the user pinned
+   */
+  _releasePathPins() {
+    const pinned = this.model.pinnedNodes;
+
+    this._pathPins.forEach(id => {
+      const node = this.model.getNode(id);
+      if (!node || pinned.has(id) || pinned.has(String(id))) return;
+
+      node.fx = null;
+      node.fy = null;
+      if (this.worker) {
+        this.worker.setFixed(id, null, null);
+      }
+    });
+
+    this._pathPins.clear();
+  }
+
+  _backbonePath() {
+    return this.model._savedPaths.find(path => path.id === this.backbonePathId) || null;
+  }
+
+  /**
+   * Run the layered layout, then attach the (stopped) simulation to the result.
+   * DOT rankdir and rank=same hints come from the graph header.
+   */
+  _startHierarchical(nodes, links, canvasWidth = 800, canvasHeight = 600) {
+    const header = this.model.graphHeader;
+    this.hierarchical.setDirection(header && header.attrs ? header.attrs.rankdir : null);
+    this.hierarchical.setRankGroups(header ? header.rankGroups : null);
+    this.hierarchical.start(nodes, links, canvasWidth, canvasHeight);
+
+    // Pinned nodes stay pinned, at their new place
+    nodes.forEach(node => {
+      if (node.fx != null || node.fy != null) {
+        node.fx = node.x;
+        node.fy = node.y;
+      }
+    });
+
+    this.attach(nodes, links);
+    this._updateAllNodePositions();
+    this.emit('layoutEnd', {});
+  }
+
+  /**
+   * Load nodes and links into the layout worker (created on first use)
+   */
+  _startWorker(nodes, links, center, alpha, running) {
+    if (!this.worker) {
+      this.worker = new WorkerSimulation();
+      this.worker.on('tick', () => this._onTick());
+      this.worker.on('end', () => this._onEnd());
+      this.worker.on('error', () => this._fallBackToMainThread());
+    }
+
+    this.worker.start(nodes, links, { center, forces: DEFAULT_FORCES, alpha, running });
+  }
+
+  /**
+   * The worker failed (e.g. d3 could not be loaded from the CDN): carry on without it
+   */
+  _fallBackToMainThread() {
+    if (!this.worker) return;
+
+    console.warn('[LayoutManager] Layout worker failed, switching to main-thread layout');
+    const wasRunning = this.isRunning;
+    this.worker.terminate();
+    this.worker = null;
+    this.useWorker = false;
+    this.isRunning = false;
+
+    const nodes = this.model._nodes;
+    const links = this.model._links;
+    if (nodes.length === 0) return;
+
+    if (wasRunning) {
+      this.start(nodes, links);
+    } else {
+      this.attach(nodes, links);
+    }
+  }
+
+  // ===== SIMULATION CALLBACKS =====
+
+  _onTick() {
+    // Always update all nodes directly (for smooth animation); the worker has already written them
+    if (this.simulation) {
+      this.simulation.nodes().forEach(node => {
+        // Update node positions directly in the model's array (no events)
+        const modelNode = this.model.getNode(node.id);
+        if (modelNode) {
+          modelNode.x = node.x;
+          modelNode.y = node.y;
+        }
+      });
+    }
+
     // Emit batch event for view to render (throttled by requestAnimationFrame)
     if (!this._renderPending) {
       this._renderPending = true;
@@ -269,7 +633,7 @@ export class LayoutManager extends EventEmitter {
       });
     }
 
-    this.emit('layoutTick', { alpha: this.simulation.alpha() });
+    this.emit('layoutTick', { alpha: this.worker ? this.worker.alpha : this.simulation.alpha() });
   }
 
   _onEnd() {
@@ -284,9 +648,10 @@ export class LayoutManager extends EventEmitter {
    * Update all node positions in model (used for non-dampened updates)
    */
   _updateAllNodePositions() {
-    if (!this.simulation) return;
+    if (!this.hasSimulation) return;
 
-    const updates = this.simulation.nodes().map(node => ({
+    const nodes = this.worker ? this.worker.nodes : this.simulation.nodes();
+    const updates = nodes.map(node => ({
       nodeId: node.id,
       x: node.x,
       y: node.y
@@ -317,6 +682,12 @@ export class LayoutManager extends EventEmitter {
    * Update force strengths
    */
   setForceStrengths({ charge, linkDistance, linkStrength } = {}) {
+    if (this.worker) {
+      this.worker.setForces({ charge, linkDistance, linkStrength });
+      this.reheat(0.3);
+      return;
+    }
+
     if (!this.simulation) return;
 
     if (charge !== undefined) {
@@ -343,6 +714,12 @@ export class LayoutManager extends EventEmitter {
    */
   destroy() {
     this.stop();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.hierarchical.destroy();
+    this.pathLayout.destroy();
     this.removeAllListeners();
     this._lastPositions.clear();
   }
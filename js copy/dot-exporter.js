@@ -0,0 +1,182 @@
+// dot-exporter.js - Export the current graph as Graphviz DOT
+
+import { downloadTextFile } from './utils/dom-utils.js';
+import { flipOrientation } from './utils/sequence-utils.js';
+
+/**
+ * Export the current graph to a .dot file
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Object} options - {header, pinnedNodes, highlightPath, filename}
+ * @returns {Object} Export stats plus the filename
+ */
+export function exportGraphToDot(nodes, links, options = {}) {
+  if (!nodes || nodes.length === 0) {
+    throw new Error('No graph to export');
+  }
+
+  console.log('=== DOT EXPORT STARTED ===');
+
+  const { text, stats } = generateDot(nodes, links, options);
+  const filename = options.filename || generateExportFilename();
+
+  downloadTextFile(text, filename, 'text/vnd.graphviz;charset=utf-8');
+
+  console.log(`=== DOT EXPORT COMPLETED ===`);
+  console.log(`File: ${filename}`, stats);
+
+  return { filename, ...stats };
+}
+
+/**
+ * Build DOT text from nodes and links.
+ *
+ * Attributes captured by DotParser (dotAttrs) are written back with their
+ * current values. Pinned nodes get pos="x,y!" (y flipped, Graphviz is y-up)
+ * so neato/fdp keep them in place.
+ *
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Object} options - {header: {directed, strict, attrs, rankGroups}, pinnedNodes: Set, highlightPath: saved path}
+ * @returns {Object} {text, stats}
+ */
+export function generateDot(nodes, links, options = {}) {
+  const header = options.header || {};
+  const pinnedNodes = options.pinnedNodes || new Set();
+  const highlightPath = options.highlightPath || null;
+  const directed = header.directed !== false;
+  const edgeOp = directed ? '->' : '--';
+
+  const stats = { nodes: 0, edges: 0, pinned: 0, highlightedEdges: 0 };
+  const pathSteps = highlightPath ? pathStepKeys(highlightPath) : null;
+  const lines = [`${header.strict ? 'strict ' : ''}${directed ? 'digraph' : 'graph'} G {`];
+
+  const graphAttrs = formatAttributes(header.attrs || {});
+  if (graphAttrs) {
+    lines.push(`  graph ${graphAttrs};`);
+  }
+
+  nodes.forEach(node => {
+    const attrs = currentAttributes(node);
+
+    if (pinnedNodes.has(node.id) || pinnedNodes.has(String(node.id))) {
+      attrs.pos = `${formatNumber(node.fx ?? node.x)},${formatNumber(-(node.fy ?? node.y))}!`;
+      stats.pinned++;
+    }
+
+    lines.push(`  ${quoteId(node.id)}${formatAttributes(attrs, ' ')};`);
+    stats.nodes++;
+  });
+
+  links.forEach(link => {
+    const attrs = currentAttributes(link);
+
+    if (pathSteps && isPathLink(link, pathSteps, directed)) {
+      attrs.color = highlightPath.color || '#ff6b6b';
+      attrs.penwidth = String((parseFloat(attrs.penwidth) || 1) * 3);
+      stats.highlightedEdges++;
+    }
+
+    lines.push(`  ${quoteId(endpointId(link.source))} ${edgeOp} ${quoteId(endpointId(link.target))}${formatAttributes(attrs, ' ')};`);
+    stats.edges++;
+  });
+
+  // rank=same (etc.) groups, minus nodes that were removed or merged away
+  const nodeIds = new Set(nodes.map(node => String(node.id)));
+  (header.rankGroups || []).forEach(group => {
+    const members = group.nodes.filter(id => nodeIds.has(String(id)));
+    if (members.length > 0) {
+      lines.push(`  { rank=${group.rank}; ${members.map(id => `${quoteId(id)};`).join(' ')} }`);
+    }
+  });
+
+  lines.push('}');
+
+  return { text: lines.join('\n') + '\n', stats };
+}
+
+// ===== HELPERS =====
+
+/**
+ * Parsed DOT attributes with the values the record has now
+ */
+function currentAttributes(record) {
+  const attrs = {};
+
+  Object.keys(record.dotAttrs || {}).forEach(key => {
+    const value = record[key] !== undefined ? record[key] : record.dotAttrs[key];
+    if (value !== undefined && value !== null && typeof value !== 'object') {
+      attrs[key] = value;
+    }
+  });
+
+  return attrs;
+}
+
+/**
+ * Consecutive steps of a path as "a→b" keys, plus "a+→b-" keys when it has orientations.
+ * Joins the path marks as gaps are skipped. Link indices stored on the path go stale
+ * after edits, so links are matched against these instead.
+ */
+function pathStepKeys(path) {
+  const ids = String(path.sequence || '').split(',').map(id => id.trim()).filter(Boolean);
+  const orientations = path.orientations || [];
+  const gaps = new Set(path.gaps || []);
+  const plain = new Set();
+  const oriented = new Set();
+
+  for (let i = 0; i < ids.length - 1; i++) {
+    if (gaps.has(i)) continue;
+    plain.add(`${ids[i]}→${ids[i + 1]}`);
+    if (orientations.length > 0) {
+      oriented.add(`${ids[i]}${orientations[i] || '+'}→${ids[i + 1]}${orientations[i + 1] || '+'}`);
+    }
+  }
+
+  return { plain, oriented: orientations.length > 0 ? oriented : null };
+}
+
+/**
+ * Whether a link joins two consecutive path steps. GFA links must also match the
+ * step orientations, directly or as the reversed form (b~ → a~).
+ */
+function isPathLink(link, pathSteps, directed) {
+  const source = String(endpointId(link.source));
+  const target = String(endpointId(link.target));
+  const hasOrientation = link.srcOrientation !== undefined || link.tgtOrientation !== undefined;
+
+  if (pathSteps.oriented && hasOrientation) {
+    const srcOrientation = link.srcOrientation || '+';
+    const tgtOrientation = link.tgtOrientation || '+';
+    return pathSteps.oriented.has(`${source}${srcOrientation}→${target}${tgtOrientation}`) ||
+      pathSteps.oriented.has(`${target}${flipOrientation(tgtOrientation)}→${source}${flipOrientation(srcOrientation)}`);
+  }
+
+  return pathSteps.plain.has(`${source}→${target}`) || (!directed && pathSteps.plain.has(`${target}→${source}`));
+}
+
+function formatAttributes(attrs, prefix = '') {
+  const entries = Object.entries(attrs);
+  if (entries.length === 0) return '';
+
+  return `${prefix}[${entries.map(([key, value]) => `${key}=${quoteId(value)}`).join(', ')}]`;
+}
+
+// Always quote: DOT IDs may not contain most punctuation unquoted
+function quoteId(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toFixed(2).replace(/\.?0+$/, '');
+}
+
+// Link endpoints become node objects once d3 has bound them
+function endpointId(endpoint) {
+  return typeof endpoint === 'object' && endpoint !== null ? endpoint.id : endpoint;
+}
+
+function generateExportFilename() {
+  const timestamp = new Date().toISOString().substring(0, 19).replace(/[:.]/g, '-');
+  return `exported_graph_${timestamp}.dot`;
+}
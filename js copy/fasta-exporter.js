@@ -0,0 +1,124 @@
+// fasta-exporter.js - Export reconstructed path sequences as (multi-)FASTA
+
+import { reconstructPathSequence } from './sequence-exporter.js';
+import { isMergedNode } from './operations/node-merger-utils.js';
+import { downloadBlob } from './utils/dom-utils.js';
+
+const FASTA_LINE_WIDTH = 80;
+
+/**
+ * Export one or more saved paths as FASTA, optionally gzip-compressed
+ * @param {Array} paths - Saved paths (one record each)
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Object} options - {filename, gzip}
+ * @returns {Promise<Object>} Export stats plus the filename
+ */
+export async function exportPathsToFasta(paths, nodes, links, options = {}) {
+  if (!paths || paths.length === 0) {
+    throw new Error('No paths to export');
+  }
+
+  const gzip = Boolean(options.gzip);
+  if (gzip && !isGzipSupported()) {
+    throw new Error('This browser does not support CompressionStream; export without gzip');
+  }
+
+  console.log('=== FASTA EXPORT STARTED ===');
+
+  const { text, stats } = generateFasta(paths, nodes, links);
+  if (stats.records === 0) {
+    throw new Error('None of the paths has a node left in the graph');
+  }
+
+  const baseName = options.filename || generateExportFilename(paths);
+  const filename = gzip ? `${baseName}.gz` : baseName;
+
+  let blob = new Blob([text], { type: 'text/x-fasta;charset=utf-8' });
+  if (gzip) {
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    blob = await new Response(stream).blob();
+  }
+
+  downloadBlob(blob, filename);
+
+  console.log(`=== FASTA EXPORT COMPLETED ===`);
+  console.log(`File: ${filename} (${blob.size} bytes)`, stats);
+
+  return { filename, bytes: blob.size, ...stats };
+}
+
+/**
+ * Build FASTA text, one record per path.
+ * Header: >name walk=A+,B-,C+ length=N
+ * @returns {Object} {text, stats: {records, totalLength, skipped, placeholderNodes}}
+ */
+export function generateFasta(paths, nodes, links) {
+  const records = [];
+  const stats = { records: 0, totalLength: 0, skipped: [], placeholderNodes: [] };
+  const nodeMap = new Map(nodes.map(n => [String(n.id), n]));
+
+  paths.forEach(path => {
+    const result = reconstructPathSequence(path, nodes, links);
+    if (!result || !result.sequence) {
+      stats.skipped.push(path.name);
+      return;
+    }
+
+    // Segments without a sequence are filled with N by the reconstruction
+    result.segments.forEach(segment => {
+      const node = nodeMap.get(String(segment.nodeId));
+      if (node && !isMergedNode(node) && (!node.seq || node.seq === '*')) {
+        stats.placeholderNodes.push(String(segment.nodeId));
+      }
+    });
+
+    records.push(formatFastaRecord(path.name, result));
+    stats.records++;
+    stats.totalLength += result.totalLength;
+  });
+
+  stats.placeholderNodes = [...new Set(stats.placeholderNodes)];
+
+  return { text: records.join(''), stats };
+}
+
+/**
+ * Format one FASTA record from a reconstruction result
+ */
+export function formatFastaRecord(name, result) {
+  const walk = result.segments.map(segment => `${segment.nodeId}${segment.orientation}`).join(',');
+  const header = `>${cleanRecordName(name)} walk=${walk} length=${result.totalLength}`;
+
+  const lines = [header];
+  for (let i = 0; i < result.sequence.length; i += FASTA_LINE_WIDTH) {
+    lines.push(result.sequence.substring(i, i + FASTA_LINE_WIDTH));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Whether gzip downloads are available
+ */
+export function isGzipSupported() {
+  return typeof CompressionStream !== 'undefined';
+}
+
+// ===== HELPERS =====
+
+/**
+ * FASTA ids end at the first whitespace
+ */
+function cleanRecordName(name) {
+  return (name || 'path').trim().replace(/\s+/g, '_');
+}
+
+function generateExportFilename(paths) {
+  if (paths.length === 1) {
+    return `${paths[0].name.replace(/[^a-zA-Z0-9]/g, '_')}.fasta`;
+  }
+
+  const timestamp = new Date().toISOString().substring(0, 19).replace(/[:.]/g, '-');
+  return `paths_${paths.length}_${timestamp}.fasta`;
+}
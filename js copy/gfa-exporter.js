@@ -0,0 +1,333 @@
+// gfa-exporter.js - Export the current graph as GFA 1.0/1.1
+
+import { formatTag } from './utils/parsers/gfa-tags.js';
+import { getMergedNodeSequence } from './sequence-exporter.js';
+import { isMergedNode } from './operations/node-merger-utils.js';
+import { downloadTextFile } from './utils/dom-utils.js';
+
+/**
+ * Export the current graph to a .gfa file
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Array} savedPaths - Saved paths, written as P-lines (W-lines for 1.1 walks)
+ * @param {Object} options - {header, version, filename}
+ * @returns {Object} Export stats plus the filename
+ */
+export function exportGraphToGfa(nodes, links, savedPaths, options = {}) {
+  if (!nodes || nodes.length === 0) {
+    throw new Error('No graph to export');
+  }
+
+  console.log('=== GFA EXPORT STARTED ===');
+
+  const { text, stats } = generateGfa(nodes, links, savedPaths, options);
+  const filename = options.filename || generateExportFilename();
+
+  downloadTextFile(text, filename);
+
+  console.log(`=== GFA EXPORT COMPLETED ===`);
+  console.log(`File: ${filename}`, stats);
+
+  return { filename, ...stats };
+}
+
+/**
+ * Export selected segments plus their N-hop neighbourhood as a self-contained GFA.
+ * Only links between included segments, and paths lying entirely inside, are written.
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Array} savedPaths - Saved paths (including imported P-lines)
+ * @param {Iterable} seedIds - Selected node IDs
+ * @param {Object} options - {hops, header, version, filename}
+ * @returns {Object} Export stats plus the filename
+ */
+export function exportSubgraphToGfa(nodes, links, savedPaths, seedIds, options = {}) {
+  const { hops = 0 } = options;
+  const included = collectNeighbourhood(seedIds, links, hops);
+
+  const subNodes = nodes.filter(node => included.has(String(node.id)));
+  if (subNodes.length === 0) {
+    throw new Error('No selected segments to export');
+  }
+
+  const subLinks = links.filter(link =>
+    included.has(endpointId(link.source)) && included.has(endpointId(link.target))
+  );
+  const subPaths = savedPaths.filter(path =>
+    path.sequence.split(',').every(id => included.has(id.trim()))
+  );
+
+  console.log(`Sub-GFA: ${seedIds.size ?? seedIds.length} selected + ${hops} hop(s) → ${subNodes.length} segments`);
+
+  return exportGraphToGfa(subNodes, subLinks, subPaths, options);
+}
+
+/**
+ * Grow a set of node IDs by following links (either direction) for `hops` steps
+ * @returns {Set<string>} Included node IDs
+ */
+export function collectNeighbourhood(seedIds, links, hops = 0) {
+  const included = new Set(Array.from(seedIds, String));
+  if (hops <= 0) return included;
+
+  const adjacency = new Map();
+  const connect = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, []);
+    adjacency.get(a).push(b);
+  };
+  links.forEach(link => {
+    const source = endpointId(link.source);
+    const target = endpointId(link.target);
+    connect(source, target);
+    connect(target, source);
+  });
+
+  let frontier = [...included];
+  for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+    const next = [];
+    frontier.forEach(id => {
+      (adjacency.get(id) || []).forEach(neighbourId => {
+        if (!included.has(neighbourId)) {
+          included.add(neighbourId);
+          next.push(neighbourId);
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  return included;
+}
+
+/**
+ * Build GFA text from nodes, links and saved paths.
+ *
+ * Merged nodes are written as plain segments with their reconstructed sequence,
+ * resolved copies get an OR:Z tag naming the segment they were copied from.
+ * GFA2 containments become C-lines; gaps and internal overlaps have no GFA 1.x
+ * record and are skipped.
+ *
+ * @param {Array} nodes - Model nodes
+ * @param {Array} links - Model links
+ * @param {Array} savedPaths - Saved paths
+ * @param {Object} options - {header: {version, tags}, version: '1.0'|'1.1'}
+ * @returns {Object} {text, stats}
+ */
+export function generateGfa(nodes, links, savedPaths = [], options = {}) {
+  const header = options.header || null;
+  const version = options.version || defaultVersion(header);
+
+  const stats = {
+    version,
+    segments: 0,
+    mergedSegments: 0,
+    links: 0,
+    containments: 0,
+    paths: 0,
+    walks: 0,
+    danglingLinks: 0,    // An endpoint segment is not in the export
+    skippedGaps: 0,      // GFA2 gaps, no GFA 1.x record
+    skippedInternal: 0,  // Internal overlap edges, no GFA 1.x record
+    skippedPaths: []
+  };
+
+  const lines = [headerLine(header, version)];
+  const nodeIds = new Set();
+
+  nodes.forEach(node => {
+    lines.push(segmentLine(node, stats));
+    nodeIds.add(String(node.id));
+  });
+
+  links.forEach(link => {
+    const line = linkLine(link, nodeIds, stats);
+    if (line) {
+      lines.push(line);
+    }
+  });
+
+  savedPaths.forEach(path => {
+    const line = pathLine(path, nodeIds, version, stats);
+    if (line) {
+      lines.push(line);
+    } else {
+      stats.skippedPaths.push(path.name);
+    }
+  });
+
+  return { text: lines.join('\n') + '\n', stats };
+}
+
+// ===== RECORDS =====
+
+/**
+ * H-line: target version first, then the other tags of the loaded file
+ */
+function headerLine(header, version) {
+  const fields = ['H', `VN:Z:${version}`];
+
+  if (header && header.tags) {
+    Object.entries(header.tags).forEach(([name, tag]) => {
+      if (name !== 'VN') fields.push(formatTag(name, tag));
+    });
+  }
+
+  return fields.join('\t');
+}
+
+/**
+ * S-line with the segment's tags
+ */
+function segmentLine(node, stats) {
+  const tags = { ...(node.tags || {}) };
+  let sequence = node.seq && node.seq !== '' ? node.seq : '*';
+
+  if (isMergedNode(node)) {
+    if (hasSequence(node)) {
+      sequence = getMergedNodeSequence(node, node.originalNodes, node.originalLinks, '+');
+    }
+    stats.mergedSegments++;
+  }
+
+  // Keep the length of sequence-less segments
+  if (sequence === '*' && !tags.LN && node.length) {
+    tags.LN = { type: 'i', value: Math.round(node.length) };
+  }
+  if (sequence !== '*' && tags.LN) {
+    tags.LN = { type: 'i', value: sequence.length };
+  }
+
+  // Resolved copies name the segment they were copied from
+  if (node.originalId !== undefined && String(node.originalId) !== String(node.id)) {
+    tags.OR = { type: 'Z', value: String(node.originalId) };
+  }
+
+  stats.segments++;
+  return ['S', String(node.id), sequence, ...formatTags(tags)].join('\t');
+}
+
+/**
+ * L-line (or C-line for GFA2 containments); null if the link can't be written,
+ * counted in stats by reason
+ */
+function linkLine(link, nodeIds, stats) {
+  const source = endpointId(link.source);
+  const target = endpointId(link.target);
+
+  if (!nodeIds.has(source) || !nodeIds.has(target)) {
+    stats.danglingLinks++;
+    return null;
+  }
+  if (link.gfaType === 'gap') {
+    stats.skippedGaps++;
+    return null;
+  }
+  if (link.edgeType === 'internal') {
+    stats.skippedInternal++;
+    return null;
+  }
+
+  const srcOrientation = link.srcOrientation || '+';
+  const tgtOrientation = link.tgtOrientation || '+';
+  const overlap = link.overlap || '*';
+  const tags = formatTags(link.tags);
+
+  if (link.edgeType === 'containment' && link.container !== undefined) {
+    const containerIsSource = String(link.container) === source;
+    stats.containments++;
+    return [
+      'C',
+      containerIsSource ? source : target,
+      containerIsSource ? srcOrientation : tgtOrientation,
+      containerIsSource ? target : source,
+      containerIsSource ? tgtOrientation : srcOrientation,
+      link.containmentPosition || 0,
+      overlap,
+      ...tags
+    ].join('\t');
+  }
+
+  stats.links++;
+  return ['L', source, srcOrientation, target, tgtOrientation, overlap, ...tags].join('\t');
+}
+
+/**
+ * P-line (W-line for GFA 1.1 walks); null if a step is no longer in the graph
+ */
+function pathLine(path, nodeIds, version, stats) {
+  const segments = path.sequence.split(',').map(id => id.trim()).filter(Boolean);
+  if (segments.length === 0 || segments.some(id => !nodeIds.has(id))) {
+    return null;
+  }
+
+  const orientations = segments.map((id, index) => (path.orientations && path.orientations[index]) || '+');
+  const metadata = path.metadata;
+
+  if (version === '1.1' && metadata && metadata.sample !== undefined) {
+    stats.walks++;
+    return [
+      'W',
+      metadata.sample,
+      metadata.haplotypeIndex ?? 0,
+      metadata.sequenceId ?? path.name,
+      metadata.sequenceStart ?? '*',
+      metadata.sequenceEnd ?? '*',
+      segments.map((id, index) => `${orientations[index] === '-' ? '<' : '>'}${id}`).join('')
+    ].join('\t');
+  }
+
+  const overlaps = path.overlaps && path.overlaps.length === segments.length - 1
+    ? path.overlaps.join(',')
+    : '*';
+
+  stats.paths++;
+  return [
+    'P',
+    cleanPathName(path.name),
+    segments.map((id, index) => `${id}${orientations[index]}`).join(','),
+    overlaps
+  ].join('\t');
+}
+
+// ===== HELPERS =====
+
+/**
+ * Keep 1.x files at their version; GFA2 and non-GFA graphs are written as 1.0
+ */
+function defaultVersion(header) {
+  const version = header && header.tags && header.tags.VN ? String(header.tags.VN.value) : '';
+  return version === '1.1' ? '1.1' : '1.0';
+}
+
+/**
+ * Whether a merged node's sequence can be rebuilt (every original segment has one)
+ */
+function hasSequence(node) {
+  if (isMergedNode(node)) {
+    return Array.isArray(node.originalNodes) &&
+      node.originalNodes.length > 0 &&
+      node.originalNodes.every(hasSequence);
+  }
+  return Boolean(node.seq) && node.seq !== '*';
+}
+
+function formatTags(tags) {
+  return Object.entries(tags || {}).map(([name, tag]) => formatTag(name, tag));
+}
+
+// Link endpoints become node objects once d3 has bound them
+function endpointId(endpoint) {
+  return String(typeof endpoint === 'object' && endpoint !== null ? endpoint.id : endpoint);
+}
+
+/**
+ * Path names can't contain whitespace in GFA
+ */
+function cleanPathName(name) {
+  return (name || 'path').trim().replace(/\s+/g, '_');
+}
+
+function generateExportFilename() {
+  const timestamp = new Date().toISOString().substring(0, 19).replace(/[:.]/g, '-');
+  return `exported_graph_${timestamp}.gfa`;
+}
@@ -0,0 +1,191 @@
+// history-timeline-ui.js - Timeline of undo/redo steps with jump-to-state and side branches
+
+import { escapeHtml } from './utils/dom-utils.js';
+
+/**
+ * Render the history timeline into a container
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} timeline - From GraphModel.historyTimeline
+ * @param {Object} options - {onJump(position), onSwitchBranch(branchIndex)}
+ */
+export function renderHistoryTimeline(container, timeline, options = {}) {
+  const { onJump = null, onSwitchBranch = null } = options;
+  const { position, entries, branches } = timeline;
+
+  if (entries.length === 0 && branches.length === 0) {
+    container.innerHTML = '<div class="history-empty">No edits yet</div>';
+    return;
+  }
+
+  // Branches are listed under the step they split off from
+  const branchesAt = new Map();
+  branches.forEach(branch => {
+    if (!branchesAt.has(branch.forkIndex)) branchesAt.set(branch.forkIndex, []);
+    branchesAt.get(branch.forkIndex).push(branch);
+  });
+
+  const rows = [renderStep({ position: 0, label: 'Start', title: 'State before the first recorded edit', state: 'applied', current: position === 0 })];
+  rows.push(...(branchesAt.get(0) || []).map(renderBranch));
+
+  entries.forEach(entry => {
+    const stepPosition = entry.index + 1;
+    rows.push(renderStep({
+      position: stepPosition,
+      label: entry.description || entry.name,
+      title: describeChanges(entry),
+      time: new Date(entry.timestamp).toLocaleTimeString(),
+      state: entry.applied ? 'applied' : 'undone',
+      current: stepPosition === position
+    }));
+    rows.push(...(branchesAt.get(stepPosition) || []).map(renderBranch));
+  });
+
+  container.innerHTML = `<ol class="history-timeline">${rows.join('')}</ol>`;
+
+  container.querySelectorAll('.history-step').forEach(row => {
+    row.addEventListener('click', () => {
+      const target = parseInt(row.dataset.position, 10);
+      if (target !== position && onJump) {
+        onJump(target);
+      }
+    });
+  });
+
+  container.querySelectorAll('.history-branch').forEach(row => {
+    row.addEventListener('click', () => {
+      if (onSwitchBranch) {
+        onSwitchBranch(parseInt(row.dataset.branch, 10));
+      }
+    });
+  });
+
+  const current = container.querySelector('.history-step.current');
+  if (current) {
+    current.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function renderStep({ position, label, title, time = '', state, current }) {
+  return `
+    <li class="history-step ${state}${current ? ' current' : ''}" data-position="${position}" title="${escapeHtml(title)}">
+      <span class="history-step-label">${escapeHtml(label)}</span>
+      <span class="history-step-time">${time}</span>
+    </li>
+  `;
+}
+
+function renderBranch(branch) {
+  const count = branch.steps.length;
+  const title = ['Undone steps replaced by a later edit:', ...branch.steps.map(step => `• ${step.description || step.name}`)].join('\n');
+
+  return `
+    <li class="history-branch" data-branch="${branch.index}" title="${escapeHtml(title)}">
+      ⑂ ${count} step${count === 1 ? '' : 's'}: ${escapeHtml(branch.steps[count - 1].description || branch.steps[count - 1].name)}
+    </li>
+  `;
+}
+
+/**
+ * Hover text: what the step changed
+ */
+function describeChanges(entry) {
+  const lines = [entry.description || entry.name];
+
+  if (entry.changes) {
+    const { nodesAdded, nodesRemoved, nodesModified, linksAdded, linksRemoved, linksModified } = entry.changes;
+    lines.push(`Nodes: +${nodesAdded} −${nodesRemoved}${nodesModified ? ` (${nodesModified} changed)` : ''}`);
+    lines.push(`Links: +${linksAdded} −${linksRemoved}${linksModified ? ` (${linksModified} changed)` : ''}`);
+  } else if (entry.paths) {
+    lines.push(`Saved paths: ${entry.paths.before} → ${entry.paths.after}`);
+    lines.push('No nodes or links changed');
+  } else {
+    lines.push('No nodes or links changed');
+  }
+
+  if (!entry.applied) {
+    lines.push('(undone, click to redo up to here)');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Add history timeline styles to the page
+ */
+export function addHistoryTimelineStyles() {
+  const styleId = 'history-timeline-styles';
+  if (document.getElementById(styleId)) return; // Already added
+
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `
+    .history-timeline {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+      max-height: 220px;
+      overflow-y: auto;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      font-size: 12px;
+    }
+
+    .history-step {
+      display: flex;
+      justify-content: space-between;
+      gap: 6px;
+      padding: 4px 6px;
+      border-left: 3px solid transparent;
+      cursor: pointer;
+    }
+
+    .history-step:hover {
+      background: #f0f8ff;
+    }
+
+    .history-step.undone {
+      color: #999;
+      font-style: italic;
+    }
+
+    .history-step.current {
+      border-left-color: #007bff;
+      background: #e7f1ff;
+      font-weight: bold;
+    }
+
+    .history-step-label {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .history-step-time {
+      color: #888;
+      flex-shrink: 0;
+      font-weight: normal;
+    }
+
+    .history-branch {
+      padding: 3px 6px 3px 18px;
+      color: #8a6d3b;
+      background: #fffaf0;
+      cursor: pointer;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .history-branch:hover {
+      background: #fff3cd;
+    }
+
+    .history-empty {
+      font-size: 12px;
+      color: #888;
+      font-style: italic;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
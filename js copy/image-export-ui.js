@@ -0,0 +1,200 @@
+// image-export-ui.js - "Save image" dialog for high-resolution PNG export
+
+// Browsers refuse to allocate canvases beyond these limits
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 268435456;
+
+/**
+ * Show the "Save image" dialog
+ * @param {Object} options - {width, height, filename, onSave({width, height, scale, background, showLabels, showLegend, filename})}
+ */
+export function showImageExportDialog(options = {}) {
+  const { width = 1600, height = 1200, filename = 'graph.png', onSave = null } = options;
+
+  const previous = document.getElementById('imageExportDialog');
+  if (previous) {
+    previous.parentElement.remove();
+  }
+
+  const dialogHTML = `
+    <div id="imageExportDialog" style="display: block;">
+      <h3>Save Image</h3>
+      <div class="image-export-grid">
+        <label for="imageExportWidth">Width (px)</label>
+        <input type="number" id="imageExportWidth" min="100" step="10" value="${Math.round(width)}">
+
+        <label for="imageExportHeight">Height (px)</label>
+        <input type="number" id="imageExportHeight" min="100" step="10" value="${Math.round(height)}">
+
+        <label for="imageExportScale">Scale factor</label>
+        <input type="number" id="imageExportScale" min="1" max="10" step="0.5" value="2">
+
+        <label for="imageExportBackground">Background</label>
+        <select id="imageExportBackground">
+          <option value="#ffffff">White</option>
+          <option value="transparent">Transparent</option>
+        </select>
+      </div>
+
+      <label class="image-export-option"><input type="checkbox" id="imageExportLabels" checked> Include labels</label>
+      <label class="image-export-option"><input type="checkbox" id="imageExportLegend"> Include legend</label>
+
+      <div class="image-export-size" id="imageExportSize"></div>
+
+      <div class="dialog-buttons">
+        <button class="cancel-btn" id="cancelImageExport">Cancel</button>
+        <button class="confirm-btn" id="confirmImageExport">Save PNG</button>
+      </div>
+    </div>
+  `;
+
+  const overlay = document.getElementById('dialogOverlay');
+  if (overlay) {
+    overlay.style.display = 'block';
+  }
+
+  const dialogContainer = document.createElement('div');
+  dialogContainer.innerHTML = dialogHTML;
+  document.body.appendChild(dialogContainer);
+
+  const close = () => {
+    if (document.body.contains(dialogContainer)) {
+      document.body.removeChild(dialogContainer);
+    }
+    if (overlay) {
+      overlay.style.display = 'none';
+      overlay.removeEventListener('click', close);
+    }
+  };
+
+  const readOptions = () => ({
+    width: parseInt(document.getElementById('imageExportWidth').value, 10) || 0,
+    height: parseInt(document.getElementById('imageExportHeight').value, 10) || 0,
+    scale: parseFloat(document.getElementById('imageExportScale').value) || 1,
+    background: document.getElementById('imageExportBackground').value,
+    showLabels: document.getElementById('imageExportLabels').checked,
+    showLegend: document.getElementById('imageExportLegend').checked,
+    filename
+  });
+
+  // Show the output size, and what it prints at for 300 dpi figures
+  const confirmButton = document.getElementById('confirmImageExport');
+  const updateSize = () => {
+    const { width, height, scale } = readOptions();
+    const error = validateImageSize(width, height, scale);
+    const pixelWidth = Math.round(width * scale);
+    const pixelHeight = Math.round(height * scale);
+
+    document.getElementById('imageExportSize').innerHTML = error
+      ? `<span class="image-export-error">${error}</span>`
+      : `Output: ${pixelWidth} × ${pixelHeight} px · ${(pixelWidth / 300).toFixed(2)} × ${(pixelHeight / 300).toFixed(2)} in at 300 dpi`;
+    confirmButton.disabled = Boolean(error);
+  };
+
+  ['imageExportWidth', 'imageExportHeight', 'imageExportScale'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateSize);
+  });
+  updateSize();
+
+  document.getElementById('cancelImageExport').addEventListener('click', close);
+
+  confirmButton.addEventListener('click', () => {
+    const exportOptions = readOptions();
+    close();
+    if (onSave) {
+      onSave(exportOptions);
+    }
+  });
+
+  if (overlay) {
+    overlay.addEventListener('click', close);
+  }
+}
+
+/**
+ * Check the requested size against browser canvas limits
+ * @returns {string|null} Error message, or null if the size is fine
+ */
+export function validateImageSize(width, height, scale) {
+  if (width < 1 || height < 1 || scale <= 0) {
+    return 'Width, height and scale must be positive';
+  }
+
+  const pixelWidth = Math.round(width * scale);
+  const pixelHeight = Math.round(height * scale);
+
+  if (pixelWidth > MAX_CANVAS_SIDE || pixelHeight > MAX_CANVAS_SIDE) {
+    return `Output is ${pixelWidth} × ${pixelHeight} px; browsers allow at most ${MAX_CANVAS_SIDE} px per side`;
+  }
+  if (pixelWidth * pixelHeight > MAX_CANVAS_AREA) {
+    return `Output is ${(pixelWidth * pixelHeight / 1e6).toFixed(0)} megapixels; browsers allow at most ${Math.floor(MAX_CANVAS_AREA / 1e6)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Add image export dialog styles to the page
+ */
+export function addImageExportStyles() {
+  const styleId = 'image-export-styles';
+  if (document.getElementById(styleId)) return; // Already added
+
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `
+    #imageExportDialog {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      border: 2px solid #333;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 1001;
+      width: 380px;
+      max-width: 90vw;
+    }
+
+    .image-export-grid {
+      display: grid;
+      grid-template-columns: 120px 1fr;
+      gap: 8px 10px;
+      align-items: center;
+      margin-bottom: 12px;
+    }
+
+    .image-export-grid input,
+    .image-export-grid select {
+      margin: 0;
+      padding: 4px;
+    }
+
+    .image-export-option {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 6px;
+      font-size: 13px;
+    }
+
+    .image-export-option input {
+      width: auto;
+      margin: 0;
+    }
+
+    .image-export-size {
+      margin: 10px 0;
+      font-size: 12px;
+      color: #555;
+    }
+
+    .image-export-error {
+      color: #dc3545;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
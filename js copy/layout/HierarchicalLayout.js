@@ -0,0 +1,516 @@
+// HierarchicalLayout.js - Layered (Sugiyama) layout for DAGs such as DOT pipelines
+
+import { LayoutEngine } from './LayoutEngine.js';
+
+// DOT rank values that put a group on the first / last layer
+const FIRST_RANKS = ['min', 'source'];
+const LAST_RANKS = ['max', 'sink'];
+const DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+// Coordinate assignment rounds (alternating up / down neighbours)
+const COORDINATE_ROUNDS = 8;
+
+// Sweeps without fewer crossings before giving up
+const MAX_STALE_SWEEPS = 4;
+
+/**
+ * HierarchicalLayout puts nodes on layers so that edges point one way
+ * (top to bottom by default, or as set by DOT rankdir).
+ *
+ * Steps:
+ * 1. Cycle removal - edges closing a cycle (DFS back edges) are reversed for layering
+ * 2. Layer assignment - longest path; nodes in a rank=same group share a layer
+ * 3. Edges spanning several layers are split by dummy nodes
+ * 4. Crossing minimisation - barycenter sweeps, keeping the order with fewest crossings
+ * 5. Coordinate assignment - nodes pulled towards their neighbours, keeping order and spacing
+ *
+ * The layout is computed in one go: start() writes x/y into the nodes and emits a single tick.
+ */
+export class HierarchicalLayout extends LayoutEngine {
+  constructor(options = {}) {
+    super('hierarchical');
+
+    this.rankdir = 'TB';
+    this.layerSpacing = options.layerSpacing || 120;
+    this.nodeSpacing = options.nodeSpacing || 60;
+    this.sweeps = options.sweeps || 24;
+
+    // [{rank: 'same'|'min'|'max'|'source'|'sink', nodes: [ids]}] from DotParser
+    this.rankGroups = [];
+
+    // Results of the last run
+    this.layers = [];        // Node IDs per layer, in order
+    this.reversedEdges = []; // [{source, target}] edges reversed to break cycles
+    this.crossings = 0;
+
+    this.setDirection(options.rankdir || 'TB');
+  }
+
+  /**
+   * Rank hints from the DOT file
+   */
+  setRankGroups(groups) {
+    this.rankGroups = groups || [];
+  }
+
+  /**
+   * Flow direction, as DOT rankdir (TB, BT, LR, RL)
+   */
+  setDirection(rankdir) {
+    const direction = String(rankdir || 'TB').toUpperCase();
+    this.rankdir = DIRECTIONS.includes(direction) ? direction : 'TB';
+  }
+
+  /**
+   * Lay out the nodes (synchronously)
+   */
+  start(nodes, edges, width, height) {
+    super.start(nodes, edges, width, height);
+    this.tick();
+    this.stop();
+  }
+
+  /**
+   * Run all steps and write positions into the nodes
+   */
+  tick() {
+    const graph = this._buildGraph();
+    this.reversedEdges = this._removeCycles(graph);
+
+    const layerOf = this._assignLayers(graph);
+    const layered = this._splitLongEdges(graph, layerOf);
+
+    this.crossings = this._minimiseCrossings(layered);
+    this._assignCoordinates(layered);
+    this._writePositions(layered);
+
+    console.log(`📐 Hierarchical layout: ${layered.layers.length} layers, ${this.crossings} crossings, ` +
+      `${this.reversedEdges.length} edge(s) reversed`);
+
+    this.updatePositions();
+  }
+
+  // ===== GRAPH =====
+
+  /**
+   * Index nodes and collapse rank=same groups, so layering works on groups
+   */
+  _buildGraph() {
+    const count = this.nodes.length;
+    const indexById = new Map(this.nodes.map((node, index) => [String(node.id), index]));
+
+    // Union-find over rank groups
+    const parent = Array.from({ length: count }, (_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const placement = new Map(); // root -> 'first' | 'last'
+    this.rankGroups.forEach(group => {
+      const members = group.nodes.map(id => indexById.get(String(id))).filter(index => index !== undefined);
+      if (members.length === 0) return;
+
+      members.forEach(index => {
+        parent[find(index)] = find(members[0]);
+      });
+
+      if (FIRST_RANKS.includes(group.rank)) placement.set(members[0], 'first');
+      if (LAST_RANKS.includes(group.rank)) placement.set(members[0], 'last');
+    });
+
+    const groupOf = new Int32Array(count);
+    const groupIndex = new Map();
+    for (let index = 0; index < count; index++) {
+      const root = find(index);
+      if (!groupIndex.has(root)) groupIndex.set(root, groupIndex.size);
+      groupOf[index] = groupIndex.get(root);
+    }
+
+    const groupPlacement = new Array(groupIndex.size).fill(null);
+    placement.forEach((where, member) => {
+      groupPlacement[groupOf[member]] = where;
+    });
+
+    // Edges between nodes (self-loops and links to missing nodes dropped)
+    const edges = [];
+    const out = Array.from({ length: groupIndex.size }, () => []);
+    const seen = new Set();
+
+    this.edges.forEach(edge => {
+      const source = indexById.get(String(edge.source?.id ?? edge.source));
+      const target = indexById.get(String(edge.target?.id ?? edge.target));
+      if (source === undefined || target === undefined || source === target) return;
+
+      edges.push({ source, target });
+
+      // Edges inside a rank group are flat and don't take part in layering
+      const from = groupOf[source];
+      const to = groupOf[target];
+      const key = `${from},${to}`;
+      if (from !== to && !seen.has(key)) {
+        seen.add(key);
+        out[from].push(to);
+      }
+    });
+
+    return { count, groupCount: groupIndex.size, groupOf, groupPlacement, edges, out };
+  }
+
+  // ===== 1. CYCLE REMOVAL =====
+
+  /**
+   * Reverse DFS back edges so the group graph is acyclic (graph.dagOut)
+   * @returns {Array} Reversed edges as {source, target} node IDs
+   */
+  _removeCycles(graph) {
+    const { groupCount, out } = graph;
+    const state = new Uint8Array(groupCount); // 0 unvisited, 1 on stack, 2 done
+    const backEdges = new Set();
+
+    const visit = (root) => {
+      state[root] = 1;
+      const stack = [{ group: root, next: 0 }];
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+
+        if (frame.next < out[frame.group].length) {
+          const target = out[frame.group][frame.next++];
+          if (state[target] === 1) {
+            backEdges.add(`${frame.group},${target}`);
+          } else if (state[target] === 0) {
+            state[target] = 1;
+            stack.push({ group: target, next: 0 });
+          }
+        } else {
+          state[frame.group] = 2;
+          stack.pop();
+        }
+      }
+    };
+
+    // Start from sources so the natural flow is kept and only real back edges flip
+    const indegree = new Int32Array(groupCount);
+    out.forEach(targets => targets.forEach(target => indegree[target]++));
+    for (let group = 0; group < groupCount; group++) {
+      if (indegree[group] === 0) visit(group);
+    }
+    for (let group = 0; group < groupCount; group++) {
+      if (state[group] === 0) visit(group);
+    }
+
+    graph.dagOut = Array.from({ length: groupCount }, () => new Set());
+    out.forEach((targets, group) => {
+      targets.forEach(target => {
+        if (backEdges.has(`${group},${target}`)) {
+          graph.dagOut[target].add(group);
+        } else {
+          graph.dagOut[group].add(target);
+        }
+      });
+    });
+
+    return graph.edges
+      .filter(({ source, target }) => backEdges.has(`${graph.groupOf[source]},${graph.groupOf[target]}`))
+      .map(({ source, target }) => ({ source: this.nodes[source].id, target: this.nodes[target].id }));
+  }
+
+  // ===== 2. LAYER ASSIGNMENT =====
+
+  /**
+   * Longest-path layering of the acyclic group graph
+   * @returns {Int32Array} Layer of each node
+   */
+  _assignLayers(graph) {
+    const { groupCount, dagOut, groupPlacement } = graph;
+    const layer = new Int32Array(groupCount);
+    const indegree = new Int32Array(groupCount);
+    dagOut.forEach(targets => targets.forEach(target => indegree[target]++));
+
+    // Topological order (Kahn)
+    const order = [];
+    for (let group = 0; group < groupCount; group++) {
+      if (indegree[group] === 0) order.push(group);
+    }
+    for (let i = 0; i < order.length; i++) {
+      dagOut[order[i]].forEach(target => {
+        layer[target] = Math.max(layer[target], layer[order[i]] + 1);
+        if (--indegree[target] === 0) order.push(target);
+      });
+    }
+
+    // Sources sit right above their closest successor rather than all on the top layer
+    const hasPredecessor = new Uint8Array(groupCount);
+    dagOut.forEach(targets => targets.forEach(target => { hasPredecessor[target] = 1; }));
+    for (let i = order.length - 1; i >= 0; i--) {
+      const group = order[i];
+      if (hasPredecessor[group] || dagOut[group].size === 0) continue;
+      let closest = Infinity;
+      dagOut[group].forEach(target => { closest = Math.min(closest, layer[target]); });
+      layer[group] = closest - 1;
+    }
+
+    // rank=min/source and rank=max/sink
+    const lastLayer = layer.reduce((max, value) => Math.max(max, value), 0);
+    groupPlacement.forEach((where, group) => {
+      if (where === 'first') layer[group] = 0;
+      if (where === 'last') layer[group] = lastLayer;
+    });
+
+    const firstLayer = layer.reduce((min, value) => Math.min(min, value), 0);
+    return Int32Array.from(graph.groupOf, group => layer[group] - firstLayer);
+  }
+
+  // ===== 3. DUMMY NODES =====
+
+  /**
+   * Build the layered graph: every edge spans exactly one layer
+   * @returns {Object} {vertices, layers, up, down} - vertices are real nodes first, then dummies
+   */
+  _splitLongEdges(graph, layerOf) {
+    const vertices = this.nodes.map((node, index) => ({ node, layer: layerOf[index] }));
+    const up = vertices.map(() => []);
+    const down = vertices.map(() => []);
+    const seen = new Set();
+
+    const connect = (upper, lower) => {
+      down[upper].push(lower);
+      up[lower].push(upper);
+    };
+
+    graph.edges.forEach(({ source, target }) => {
+      // Edges point downwards; reversed and rank-forced edges are flipped here
+      let upper = source;
+      let lower = target;
+      if (layerOf[upper] > layerOf[lower]) {
+        [upper, lower] = [lower, upper];
+      }
+
+      // Flat edges (same layer) don't affect ordering
+      const key = `${upper},${lower}`;
+      if (layerOf[upper] === layerOf[lower] || seen.has(key)) return;
+      seen.add(key);
+
+      let previous = upper;
+      for (let layer = layerOf[upper] + 1; layer < layerOf[lower]; layer++) {
+        const dummy = vertices.length;
+        vertices.push({ node: null, layer });
+        up.push([]);
+        down.push([]);
+        connect(previous, dummy);
+        previous = dummy;
+      }
+      connect(previous, lower);
+    });
+
+    const layers = [];
+    vertices.forEach((vertex, index) => {
+      while (layers.length <= vertex.layer) layers.push([]);
+      layers[vertex.layer].push(index);
+    });
+
+    return { vertices, layers, up, down };
+  }
+
+  // ===== 4. CROSSING MINIMISATION =====
+
+  /**
+   * Reorder layers by barycenter, alternating downward and upward sweeps
+   * @returns {number} Crossings in the kept order
+   */
+  _minimiseCrossings(layered) {
+    const { layers, up, down } = layered;
+    const position = new Float64Array(layered.vertices.length);
+    const updatePositions = (layer) => layer.forEach((vertex, index) => { position[vertex] = index; });
+    layers.forEach(updatePositions);
+
+    let best = layers.map(layer => layer.slice());
+    let bestCrossings = this._countCrossings(layers, down, position);
+    let stale = 0;
+
+    for (let sweep = 0; sweep < this.sweeps && bestCrossings > 0; sweep++) {
+      if (sweep % 2 === 0) {
+        for (let i = 1; i < layers.length; i++) {
+          this._orderByBarycenter(layers[i], up, position);
+          updatePositions(layers[i]);
+        }
+      } else {
+        for (let i = layers.length - 2; i >= 0; i--) {
+          this._orderByBarycenter(layers[i], down, position);
+          updatePositions(layers[i]);
+        }
+      }
+
+      const crossings = this._countCrossings(layers, down, position);
+      if (crossings < bestCrossings) {
+        best = layers.map(layer => layer.slice());
+        bestCrossings = crossings;
+        stale = 0;
+      } else if (++stale >= MAX_STALE_SWEEPS) {
+        break;
+      }
+    }
+
+    best.forEach((layer, i) => { layers[i] = layer; });
+    return bestCrossings;
+  }
+
+  /**
+   * Sort a layer by the mean position of each vertex's neighbours in the fixed layer.
+   * Vertices without neighbours there keep their place.
+   */
+  _orderByBarycenter(layer, neighbours, position) {
+    const barycenter = new Map();
+    layer.forEach(vertex => {
+      const adjacent = neighbours[vertex];
+      barycenter.set(vertex, adjacent.length === 0
+        ? position[vertex]
+        : adjacent.reduce((sum, other) => sum + position[other], 0) / adjacent.length);
+    });
+
+    layer.sort((a, b) => (barycenter.get(a) - barycenter.get(b)) || (position[a] - position[b]));
+  }
+
+  /**
+   * Edge crossings between all pairs of adjacent layers
+   */
+  _countCrossings(layers, down, position) {
+    let crossings = 0;
+
+    for (let i = 0; i < layers.length - 1; i++) {
+      const pairs = [];
+      layers[i].forEach(vertex => {
+        down[vertex].forEach(lower => pairs.push([position[vertex], position[lower]]));
+      });
+
+      // Two edges cross when their upper ends and lower ends are in opposite order
+      pairs.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+      crossings += countInversions(pairs.map(pair => pair[1]));
+    }
+
+    return crossings;
+  }
+
+  // ===== 5. COORDINATE ASSIGNMENT =====
+
+  /**
+   * Pull each vertex towards the mean x of its neighbours while keeping layer order
+   * and minimum spacing (dummies pack closer together)
+   */
+  _assignCoordinates(layered) {
+    const { vertices, layers, up, down } = layered;
+    const x = new Float64Array(vertices.length);
+
+    layers.forEach(layer => {
+      layer.forEach((vertex, index) => {
+        x[vertex] = (index - (layer.length - 1) / 2) * this.nodeSpacing;
+      });
+    });
+
+    const gap = (a, b) => (vertices[a].node || vertices[b].node ? this.nodeSpacing : this.nodeSpacing / 2);
+
+    for (let round = 0; round < COORDINATE_ROUNDS; round++) {
+      const neighbours = round % 2 === 0 ? up : down;
+
+      layers.forEach(layer => {
+        const desired = layer.map(vertex => {
+          const adjacent = neighbours[vertex];
+          return adjacent.length === 0
+            ? x[vertex]
+            : adjacent.reduce((sum, other) => sum + x[other], 0) / adjacent.length;
+        });
+
+        // Closest placement pushing right, then pushing left; their mean keeps the spacing of both
+        const left = desired.slice();
+        for (let i = 1; i < layer.length; i++) {
+          left[i] = Math.max(desired[i], left[i - 1] + gap(layer[i - 1], layer[i]));
+        }
+        const right = desired.slice();
+        for (let i = layer.length - 2; i >= 0; i--) {
+          right[i] = Math.min(desired[i], right[i + 1] - gap(layer[i], layer[i + 1]));
+        }
+
+        layer.forEach((vertex, i) => {
+          x[vertex] = (left[i] + right[i]) / 2;
+        });
+      });
+    }
+
+    layered.x = x;
+  }
+
+  /**
+   * Write positions into the nodes, rotated for rankdir and centred in the canvas
+   */
+  _writePositions(layered) {
+    const { vertices, layers, x } = layered;
+    const center = this.getCenter();
+    const real = vertices.map((vertex, index) => index).filter(index => vertices[index].node);
+
+    const points = real.map(index => {
+      const across = x[index];
+      const along = vertices[index].layer * this.layerSpacing;
+
+      switch (this.rankdir) {
+        case 'BT': return [across, -along];
+        case 'LR': return [along, across];
+        case 'RL': return [-along, across];
+        default: return [across, along];
+      }
+    });
+
+    const bounds = points.reduce((box, [px, py]) => ({
+      minX: Math.min(box.minX, px), maxX: Math.max(box.maxX, px),
+      minY: Math.min(box.minY, py), maxY: Math.max(box.maxY, py)
+    }), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+    const offsetX = center.x - (bounds.minX + bounds.maxX) / 2;
+    const offsetY = center.y - (bounds.minY + bounds.maxY) / 2;
+
+    real.forEach((index, i) => {
+      vertices[index].node.x = points[i][0] + offsetX;
+      vertices[index].node.y = points[i][1] + offsetY;
+    });
+
+    this.layers = layers.map(layer => layer
+      .filter(index => vertices[index].node)
+      .map(index => vertices[index].node.id));
+  }
+}
+
+/**
+ * Number of pairs i < j with values[i] > values[j] (merge sort)
+ */
+function countInversions(values) {
+  let count = 0;
+  let current = values.slice();
+
+  for (let width = 1; width < current.length; width *= 2) {
+    const merged = [];
+
+    for (let start = 0; start < current.length; start += width * 2) {
+      const middle = Math.min(start + width, current.length);
+      const end = Math.min(start + width * 2, current.length);
+      let i = start;
+      let j = middle;
+
+      while (i < middle && j < end) {
+        if (current[j] < current[i]) {
+          count += middle - i;
+          merged.push(current[j++]);
+        } else {
+          merged.push(current[i++]);
+        }
+      }
+      while (i < middle) merged.push(current[i++]);
+      while (j < end) merged.push(current[j++]);
+    }
+
+    current = merged;
+  }
+
+  return count;
+}
@@ -0,0 +1,203 @@
+// PathLayout.js - Lay a saved path out left to right as a backbone, by sequence length
+
+import { LayoutEngine } from './LayoutEngine.js';
+
+/**
+ * PathLayout places the nodes of one saved path along a horizontal axis, in path order.
+ * Each node gets a stretch of the axis proportional to its sequence length (minus the
+ * overlap with the next step), so the backbone shows true relative lengths.
+ *
+ * Nodes off the path are only seeded: they start above or below the axis next to
+ * the backbone node they branch from, alternating sides per branch. LayoutManager
+ * pins the backbone (see backbone) and lets the force layout place the rest, with
+ * a weak pull towards their seeded y (see lanes) so branches stay off the axis.
+ *
+ * Nodes visited more than once by the path are placed at their first visit.
+ */
+export class PathLayout extends LayoutEngine {
+  constructor(options = {}) {
+    super('path');
+
+    this.path = null;
+    this.margin = options.margin || 60;
+    this.minNodeSpacing = options.minNodeSpacing || 40; // Axis width per backbone node, at least
+    this.branchOffset = options.branchOffset || 80;     // Distance between branch levels
+    this.placeBranches = true; // false: only move the backbone (re-pinning after edits)
+
+    // Result of the last run: [{id, x, y, start, length}] in path order
+    this.backbone = [];
+    this.totalLength = 0;
+
+    // Seeded y of the other nodes (id -> y), for LayoutManager's lane force
+    this.lanes = new Map();
+  }
+
+  /**
+   * Saved path to use as the backbone (from GraphModel.savedPaths)
+   */
+  setPath(path) {
+    this.path = path;
+  }
+
+  /**
+   * Lay out the nodes (synchronously)
+   */
+  start(nodes, edges, width, height) {
+    super.start(nodes, edges, width, height);
+    this.tick();
+    this.stop();
+  }
+
+  /**
+   * Place the backbone and seed the other nodes
+   */
+  tick() {
+    if (!this.path) {
+      throw new Error('PathLayout needs a path');
+    }
+
+    const nodeMap = new Map(this.nodes.map(node => [String(node.id), node]));
+    this.backbone = this._measureBackbone(nodeMap);
+    this._placeBackbone(nodeMap);
+    if (this.placeBranches) {
+      this._seedBranches(nodeMap);
+    }
+
+    console.log(`📏 Path layout: "${this.path.name}" backbone of ${this.backbone.length} nodes, ${this.totalLength} bp`);
+
+    this.updatePositions();
+  }
+
+  // ===== BACKBONE =====
+
+  /**
+   * Offset and length of each backbone node along the path
+   */
+  _measureBackbone(nodeMap) {
+    const steps = String(this.path.sequence || '').split(',').map(id => id.trim()).filter(Boolean);
+    const overlaps = this.path.overlaps || [];
+    const backbone = [];
+    const placed = new Set();
+    let offset = 0;
+
+    steps.forEach((id, index) => {
+      const node = nodeMap.get(id);
+      if (!node) return;
+
+      const length = nodeLength(node);
+      if (!placed.has(id)) {
+        placed.add(id);
+        backbone.push({ id: node.id, start: offset, length });
+      }
+
+      const overlap = index < steps.length - 1 ? overlapLength(overlaps[index]) : 0;
+      offset += Math.max(0, length - overlap);
+    });
+
+    this.totalLength = offset;
+    return backbone;
+  }
+
+  /**
+   * Scale offsets to the axis, centred in the canvas
+   */
+  _placeBackbone(nodeMap) {
+    if (this.backbone.length === 0) return;
+
+    const center = this.getCenter();
+    const axisWidth = Math.max(this.width - this.margin * 2, this.backbone.length * this.minNodeSpacing);
+    const scale = this.totalLength > 0 ? axisWidth / this.totalLength : 0;
+    const left = center.x - axisWidth / 2;
+
+    this.backbone.forEach(entry => {
+      const node = nodeMap.get(String(entry.id));
+      entry.x = left + (entry.start + entry.length / 2) * scale;
+      entry.y = center.y;
+      node.x = entry.x;
+      node.y = entry.y;
+    });
+  }
+
+  // ===== BRANCHES =====
+
+  /**
+   * Breadth-first from the backbone: each branch starts on the opposite side of the
+   * previous one and moves a level further from the axis per hop
+   */
+  _seedBranches(nodeMap) {
+    const center = this.getCenter();
+    const neighbours = new Map();
+    this.edges.forEach(edge => {
+      const source = String(edge.source?.id ?? edge.source);
+      const target = String(edge.target?.id ?? edge.target);
+      if (!nodeMap.has(source) || !nodeMap.has(target) || source === target) return;
+
+      if (!neighbours.has(source)) neighbours.set(source, []);
+      if (!neighbours.has(target)) neighbours.set(target, []);
+      neighbours.get(source).push(target);
+      neighbours.get(target).push(source);
+    });
+
+    this.lanes = new Map();
+    const side = new Map();  // id -> -1 (above) / 1 (below), 0 on the backbone
+    const level = new Map();
+    const queue = [];
+    this.backbone.forEach(entry => {
+      side.set(String(entry.id), 0);
+      level.set(String(entry.id), 0);
+      queue.push(String(entry.id));
+    });
+
+    let nextSide = -1;
+    for (let i = 0; i < queue.length; i++) {
+      const parentId = queue[i];
+      const parent = nodeMap.get(parentId);
+      const children = (neighbours.get(parentId) || []).filter(id => !side.has(id));
+
+      children.forEach((id, index) => {
+        const childSide = side.get(parentId) || nextSide;
+        if (side.get(parentId) === 0) nextSide = -nextSide;
+
+        side.set(id, childSide);
+        level.set(id, level.get(parentId) + 1);
+        queue.push(id);
+
+        const node = nodeMap.get(id);
+        node.x = parent.x + (index - (children.length - 1) / 2) * this.minNodeSpacing;
+        node.y = center.y + childSide * this.branchOffset * level.get(id);
+        this.lanes.set(id, node.y);
+      });
+    }
+
+    // Nodes not connected to the path: a row under everything else
+    let maxLevel = 0;
+    level.forEach(value => { maxLevel = Math.max(maxLevel, value); });
+    const unreached = this.nodes.filter(node => !side.has(String(node.id)));
+    unreached.forEach((node, index) => {
+      node.x = center.x + (index - (unreached.length - 1) / 2) * this.minNodeSpacing;
+      node.y = center.y + this.branchOffset * (maxLevel + 2);
+      this.lanes.set(String(node.id), node.y);
+    });
+  }
+}
+
+/**
+ * Sequence length of a node, 1 when unknown (e.g. DOT nodes)
+ */
+function nodeLength(node) {
+  const length = node.length || (node.seq && node.seq !== '*' ? node.seq.length : 0);
+  return length > 0 ? length : 1;
+}
+
+/**
+ * Bases two consecutive steps share, from a CIGAR overlap such as "55M"
+ */
+function overlapLength(cigar) {
+  if (!cigar || cigar === '*') return 0;
+
+  let length = 0;
+  (String(cigar).match(/\d+[MDN=X]/g) || []).forEach(op => {
+    length += parseInt(op, 10);
+  });
+  return length;
+}
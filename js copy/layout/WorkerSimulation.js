@@ -0,0 +1,204 @@
+// WorkerSimulation.js - Main-thread handle on the force simulation in force-layout-worker.js
+
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// d3's default initial placement (phyllotaxis), for nodes without a position yet
+const INITIAL_RADIUS = 10;
+const INITIAL_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * WorkerSimulation runs the force layout in a Web Worker.
+ * Nodes stay on the main thread: the worker gets their positions as Float64Arrays
+ * and sends new ones back (transferred, not copied) on every tick, which are
+ * written into the same node objects.
+ *
+ * Links are bound to their node objects here, like d3.forceLink does, so
+ * renderers can keep reading link.source.x.
+ *
+ * Events emitted:
+ * - tick: {alpha}
+ * - end: {}
+ * - error: {message}  The worker failed (e.g. d3 could not be loaded); it is not usable any more
+ */
+export class WorkerSimulation extends EventEmitter {
+  constructor() {
+    super();
+
+    this.nodes = [];
+    this.alpha = 0;
+
+    this._indexById = new Map();
+    this._generation = 0;
+    this._worker = new Worker(new URL('./force-layout-worker.js', import.meta.url));
+    this._worker.onmessage = ({ data }) => this._onMessage(data);
+    this._worker.onerror = (event) => {
+      event.preventDefault();
+      console.error('[WorkerSimulation] Layout worker failed:', event.message);
+      this.emit('error', { message: event.message });
+    };
+  }
+
+  /**
+   * Check whether the browser can run the layout worker
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Load nodes and links and (optionally) start moving them
+   * @param {Array} nodes - Model node objects (positions are written back into them)
+   * @param {Array} links - Model links; endpoints are replaced by node objects
+   * @param {Object} options - {center: {x, y}, forces: {charge, linkDistance, linkStrength}, alpha, running}
+   */
+  start(nodes, links, { center, forces, alpha = 1, running = true }) {
+    this.alpha = alpha;
+    this._post('start', { ...this._packData(nodes, links), center, forces, alpha, running });
+  }
+
+  /**
+   * Replace nodes and links, keeping forces and center (e.g. after a merge)
+   * @param {boolean} running - Keep moving afterwards; false leaves the simulation stopped
+   */
+  setData(nodes, links, alpha, running = true) {
+    this.alpha = alpha;
+    this._post('data', { ...this._packData(nodes, links), alpha, running });
+  }
+
+  restart(alpha) {
+    this.alpha = alpha;
+    this._worker.postMessage({ type: 'restart', alpha });
+  }
+
+  stop() {
+    this._worker.postMessage({ type: 'stop' });
+  }
+
+  setAlphaTarget(alphaTarget) {
+    this._worker.postMessage({ type: 'alphaTarget', alphaTarget });
+  }
+
+  /**
+   * Move the center force; null removes it
+   */
+  setCenter(x, y) {
+    this._worker.postMessage({ type: 'center', x, y });
+  }
+
+  setForces({ charge, linkDistance, linkStrength }) {
+    this._worker.postMessage({ type: 'forces', charge, linkDistance, linkStrength });
+  }
+
+  /**
+   * Fix a node in place (fx/fy), or release it with nulls
+   */
+  setFixed(nodeId, fx, fy) {
+    const index = this._indexById.get(String(nodeId));
+    if (index !== undefined) {
+      this._worker.postMessage({ type: 'fix', index, fx, fy });
+    }
+  }
+
+  /**
+   * Tell the worker a node was moved on the main thread (drag)
+   */
+  moveNode(nodeId, x, y) {
+    const index = this._indexById.get(String(nodeId));
+    if (index !== undefined) {
+      this._worker.postMessage({ type: 'move', index, x, y });
+    }
+  }
+
+  /**
+   * Pull nodes towards a y position
+   * @param {Map|null} targets - Node ID -> y; null removes the force
+   */
+  setLanes(targets, strength) {
+    if (!targets) {
+      this._worker.postMessage({ type: 'lanes', targets: null });
+      return;
+    }
+
+    const packed = new Float64Array(this.nodes.length).fill(NaN);
+    targets.forEach((y, nodeId) => {
+      const index = this._indexById.get(String(nodeId));
+      if (index !== undefined) packed[index] = y;
+    });
+    this._worker.postMessage({ type: 'lanes', targets: packed, strength }, [packed.buffer]);
+  }
+
+  terminate() {
+    this._worker.terminate();
+    this.removeAllListeners();
+  }
+
+  // ===== INTERNAL =====
+
+  _post(type, data) {
+    const transfer = [data.positions.buffer, data.fixed.buffer, data.links.buffer];
+    this._worker.postMessage({ type, generation: this._generation, ...data }, transfer);
+  }
+
+  /**
+   * Positions, fixed positions and link endpoints as typed arrays
+   */
+  _packData(nodes, links) {
+    this._generation++;
+    this.nodes = nodes.slice();
+    this._indexById = new Map(this.nodes.map((node, index) => [String(node.id), index]));
+
+    const positions = new Float64Array(this.nodes.length * 2);
+    const fixed = new Float64Array(this.nodes.length * 2);
+
+    this.nodes.forEach((node, index) => {
+      if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+        const radius = INITIAL_RADIUS * Math.sqrt(0.5 + index);
+        const angle = index * INITIAL_ANGLE;
+        node.x = radius * Math.cos(angle);
+        node.y = radius * Math.sin(angle);
+      }
+
+      positions[index * 2] = node.x;
+      positions[index * 2 + 1] = node.y;
+      fixed[index * 2] = node.fx ?? NaN;
+      fixed[index * 2 + 1] = node.fy ?? NaN;
+    });
+
+    const endpoints = [];
+    links.forEach(link => {
+      const sourceIndex = this._indexById.get(String(link.source?.id ?? link.source));
+      const targetIndex = this._indexById.get(String(link.target?.id ?? link.target));
+
+      // Links to missing nodes are left out of the layout
+      if (sourceIndex === undefined || targetIndex === undefined) return;
+
+      link.source = this.nodes[sourceIndex];
+      link.target = this.nodes[targetIndex];
+      endpoints.push(sourceIndex, targetIndex);
+    });
+
+    return { positions, fixed, links: Int32Array.from(endpoints) };
+  }
+
+  _onMessage(data) {
+    // Ticks for nodes that have since been replaced
+    if (data.generation !== this._generation) return;
+
+    const { positions } = data;
+    for (let index = 0; index < this.nodes.length; index++) {
+      this.nodes[index].x = positions[index * 2];
+      this.nodes[index].y = positions[index * 2 + 1];
+    }
+
+    // Hand the buffer back so the worker doesn't allocate one per tick
+    this._worker.postMessage({ type: 'recycle', positions }, [positions.buffer]);
+
+    if (data.type === 'tick') {
+      this.alpha = data.alpha;
+      this.emit('tick', { alpha: data.alpha });
+    } else if (data.type === 'end') {
+      this.alpha = 0;
+      this.emit('end', {});
+    }
+  }
+}
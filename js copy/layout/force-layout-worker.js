@@ -0,0 +1,199 @@
+// force-layout-worker.js - Web Worker that runs the d3 force simulation off the main thread
+
+// Same d3 build as index.html (classic worker, so importScripts works). If it can't be
+// loaded the worker errors and LayoutManager falls back to the main-thread simulation
+importScripts('https://d3js.org/d3.v7.min.js');
+
+/**
+ * Protocol (main → worker). Nodes are addressed by their index in the last start/data message.
+ * - {type: 'start', generation, positions, fixed, links, center, forces, alpha, running}
+ *     positions: Float64Array [x0, y0, x1, y1, ...]
+ *     fixed:     Float64Array [fx0, fy0, ...], NaN where not fixed
+ *     links:     Int32Array [source0, target0, ...] node indices
+ * - {type: 'data', generation, positions, fixed, links, alpha, running}  Replace nodes/links, keep forces and center
+ * - {type: 'restart', alpha}
+ * - {type: 'stop'}
+ * - {type: 'alphaTarget', alphaTarget}
+ * - {type: 'center', x, y}      x/y null removes the center force (until the next start/data)
+ * - {type: 'forces', charge, linkDistance, linkStrength}
+ * - {type: 'fix', index, fx, fy}  fx/fy null to release
+ * - {type: 'move', index, x, y}   Position set on the main thread (drag)
+ * - {type: 'lanes', targets, strength}  Pull nodes towards a y (Float64Array, NaN = free); no targets removes it
+ * - {type: 'recycle', positions}  Return a tick buffer for reuse
+ *
+ * Protocol (worker → main):
+ * - {type: 'tick', generation, alpha, positions}  positions is transferred
+ * - {type: 'end', generation, positions}
+ *
+ * generation echoes the last start/data message, so the main thread can drop
+ * ticks that were in flight when it sent new nodes.
+ */
+
+let simulation = null;
+let nodes = [];
+let generation = 0;
+let spareBuffer = null;
+
+const forces = { charge: -300, linkDistance: 100, linkStrength: undefined };
+const center = { x: 400, y: 300 };
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'start':
+      Object.assign(forces, data.forces);
+      Object.assign(center, data.center);
+      setData(data);
+      break;
+
+    case 'data':
+      setData(data);
+      break;
+
+    case 'restart':
+      if (simulation) simulation.alpha(data.alpha).restart();
+      break;
+
+    case 'stop':
+      if (simulation) simulation.stop();
+      break;
+
+    case 'alphaTarget':
+      if (simulation) simulation.alphaTarget(data.alphaTarget).restart();
+      break;
+
+    case 'center':
+      if (data.x === null) {
+        if (simulation) simulation.force('center', null);
+        break;
+      }
+      center.x = data.x;
+      center.y = data.y;
+      if (simulation) simulation.force('center', d3.forceCenter(center.x, center.y));
+      break;
+
+    case 'forces':
+      setForces(data);
+      break;
+
+    case 'fix': {
+      const node = nodes[data.index];
+      if (node) {
+        node.fx = data.fx;
+        node.fy = data.fy;
+      }
+      break;
+    }
+
+    case 'move': {
+      const node = nodes[data.index];
+      if (node) {
+        node.x = data.x;
+        node.y = data.y;
+        node.vx = 0;
+        node.vy = 0;
+      }
+      break;
+    }
+
+    case 'lanes':
+      setLanes(data);
+      break;
+
+    case 'recycle':
+      spareBuffer = data.positions;
+      break;
+  }
+};
+
+function setData({ generation: dataGeneration, positions, fixed, links, alpha, running }) {
+  generation = dataGeneration;
+  nodes = [];
+  for (let i = 0; i < positions.length / 2; i++) {
+    nodes.push({
+      index: i,
+      x: positions[i * 2],
+      y: positions[i * 2 + 1],
+      fx: Number.isNaN(fixed[i * 2]) ? null : fixed[i * 2],
+      fy: Number.isNaN(fixed[i * 2 + 1]) ? null : fixed[i * 2 + 1]
+    });
+  }
+
+  const linkData = [];
+  for (let i = 0; i < links.length; i += 2) {
+    linkData.push({ source: links[i], target: links[i + 1] });
+  }
+
+  if (simulation) {
+    simulation.stop();
+  }
+
+  simulation = d3.forceSimulation(nodes)
+    .force('charge', d3.forceManyBody().strength(forces.charge))
+    .force('link', createLinkForce(linkData))
+    .force('center', d3.forceCenter(center.x, center.y))
+    .alpha(alpha)
+    .on('tick', postTick)
+    .on('end', postEnd);
+
+  if (!running) {
+    simulation.stop();
+  }
+}
+
+function createLinkForce(linkData) {
+  const force = d3.forceLink(linkData).distance(forces.linkDistance);
+  if (forces.linkStrength !== undefined) {
+    force.strength(forces.linkStrength);
+  }
+  return force;
+}
+
+function setForces({ charge, linkDistance, linkStrength }) {
+  if (charge !== undefined) forces.charge = charge;
+  if (linkDistance !== undefined) forces.linkDistance = linkDistance;
+  if (linkStrength !== undefined) forces.linkStrength = linkStrength;
+
+  if (!simulation) return;
+
+  if (charge !== undefined) {
+    simulation.force('charge', d3.forceManyBody().strength(charge));
+  }
+  if (linkDistance !== undefined || linkStrength !== undefined) {
+    simulation.force('link', createLinkForce(simulation.force('link').links()));
+  }
+}
+
+function setLanes({ targets, strength }) {
+  if (!simulation) return;
+
+  if (!targets) {
+    simulation.force('lane', null);
+    return;
+  }
+
+  const free = (node) => node.index >= targets.length || Number.isNaN(targets[node.index]);
+  simulation.force('lane', d3.forceY(node => (free(node) ? node.y : targets[node.index]))
+    .strength(node => (free(node) ? 0 : strength)));
+}
+
+function collectPositions() {
+  const length = nodes.length * 2;
+  const positions = spareBuffer && spareBuffer.length === length ? spareBuffer : new Float64Array(length);
+  spareBuffer = null;
+
+  for (let i = 0; i < nodes.length; i++) {
+    positions[i * 2] = nodes[i].x;
+    positions[i * 2 + 1] = nodes[i].y;
+  }
+  return positions;
+}
+
+function postTick() {
+  const positions = collectPositions();
+  self.postMessage({ type: 'tick', generation, alpha: simulation.alpha(), positions }, [positions.buffer]);
+}
+
+function postEnd() {
+  const positions = collectPositions();
+  self.postMessage({ type: 'end', generation, positions }, [positions.buffer]);
+}
@@ -0,0 +1,241 @@
+// lint-report-ui.js - Dialog for GFA lint findings
+
+import { GfaLinter } from './utils/parsers/GfaLinter.js';
+import { downloadTextFile, escapeHtml } from './utils/dom-utils.js';
+
+// Rendering thousands of rows freezes the dialog; the download always has everything
+const MAX_LISTED_FINDINGS = 500;
+
+/**
+ * Show the lint report with line numbers and links to the affected nodes
+ * @param {Object} report - Report from GfaLinter.lint()
+ * @param {Object} options - {filename, onNodeClick(nodeId)}
+ */
+export function showLintReportDialog(report, options = {}) {
+  const { filename = 'graph.gfa', onNodeClick = null } = options;
+
+  // Only one report dialog at a time
+  const previous = document.getElementById('lintReportDialog');
+  if (previous) {
+    previous.parentElement.remove();
+  }
+
+  const listed = report.findings.slice(0, MAX_LISTED_FINDINGS);
+
+  const dialogHTML = `
+    <div id="lintReportDialog" style="display: block;">
+      <h3>GFA Lint Report</h3>
+      <div class="lint-summary">
+        <span class="lint-file">${escapeHtml(filename)}</span>
+        <span class="lint-count error">${report.errorCount} error${report.errorCount === 1 ? '' : 's'}</span>
+        <span class="lint-count warning">${report.warningCount} warning${report.warningCount === 1 ? '' : 's'}</span>
+      </div>
+
+      ${report.findings.length === 0 ? `
+        <div class="lint-clean">✓ No problems found</div>
+      ` : `
+        <table class="lint-table">
+          <thead>
+            <tr><th>Line</th><th></th><th>Problem</th><th>Nodes</th></tr>
+          </thead>
+          <tbody>
+            ${listed.map(finding => `
+              <tr class="lint-row ${finding.severity}">
+                <td class="lint-line">${finding.line ?? '–'}</td>
+                <td class="lint-severity">${finding.severity === 'error' ? '✖' : '⚠'}</td>
+                <td class="lint-message">${escapeHtml(finding.message)}</td>
+                <td class="lint-nodes">
+                  ${finding.nodeIds.map(id => `
+                    <button class="lint-node-link" data-node-id="${escapeHtml(id)}">${escapeHtml(id)}</button>
+                  `).join('')}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${report.findings.length > listed.length ? `
+          <div class="lint-truncated">
+            Showing ${listed.length} of ${report.findings.length} findings. Download the report for the full list.
+          </div>
+        ` : ''}
+      `}
+
+      <div class="dialog-buttons">
+        <button class="cancel-btn" id="closeLintReport">Close</button>
+        <button class="confirm-btn" id="downloadLintReport">Download Report</button>
+      </div>
+    </div>
+  `;
+
+  const overlay = document.getElementById('dialogOverlay');
+  if (overlay) {
+    overlay.style.display = 'block';
+  }
+
+  const dialogContainer = document.createElement('div');
+  dialogContainer.innerHTML = dialogHTML;
+  document.body.appendChild(dialogContainer);
+
+  const close = () => {
+    if (document.body.contains(dialogContainer)) {
+      document.body.removeChild(dialogContainer);
+    }
+    if (overlay) {
+      overlay.style.display = 'none';
+      overlay.removeEventListener('click', close);
+    }
+  };
+
+  document.getElementById('closeLintReport').addEventListener('click', close);
+
+  document.getElementById('downloadLintReport').addEventListener('click', () => {
+    const baseName = filename.replace(/\.[^.]+$/, '');
+    downloadTextFile(GfaLinter.toText(report, filename), `${baseName}_lint.tsv`, 'text/tab-separated-values;charset=utf-8');
+  });
+
+  // Jump to the node on the canvas; close so it's visible
+  dialogContainer.querySelectorAll('.lint-node-link').forEach(button => {
+    button.addEventListener('click', () => {
+      close();
+      if (onNodeClick) {
+        onNodeClick(button.dataset.nodeId);
+      }
+    });
+  });
+
+  if (overlay) {
+    overlay.addEventListener('click', close);
+  }
+}
+
+/**
+ * Add lint report styles to the page
+ */
+export function addLintReportStyles() {
+  const styleId = 'lint-report-styles';
+  if (document.getElementById(styleId)) return; // Already added
+
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `
+    #lintReportDialog {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      border: 2px solid #333;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 1001;
+      width: 760px;
+      max-width: 90vw;
+      max-height: 80vh;
+      overflow-y: auto;
+    }
+
+    .lint-summary {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 15px;
+    }
+
+    .lint-file {
+      flex: 1;
+      font-family: monospace;
+      font-size: 12px;
+      word-break: break-all;
+    }
+
+    .lint-count {
+      padding: 3px 8px;
+      border-radius: 10px;
+      font-size: 12px;
+      font-weight: bold;
+    }
+
+    .lint-count.error {
+      background: #f8d7da;
+      color: #721c24;
+    }
+
+    .lint-count.warning {
+      background: #fff3cd;
+      color: #856404;
+    }
+
+    .lint-clean {
+      padding: 20px;
+      text-align: center;
+      color: #155724;
+      background: #d4edda;
+      border-radius: 4px;
+    }
+
+    .lint-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+
+    .lint-table th {
+      text-align: left;
+      border-bottom: 2px solid #dee2e6;
+      padding: 4px 6px;
+    }
+
+    .lint-table td {
+      border-bottom: 1px solid #eee;
+      padding: 4px 6px;
+      vertical-align: top;
+    }
+
+    .lint-line {
+      font-family: monospace;
+      color: #6c757d;
+      white-space: nowrap;
+    }
+
+    .lint-row.error .lint-severity {
+      color: #dc3545;
+    }
+
+    .lint-row.warning .lint-severity {
+      color: #e0a800;
+    }
+
+    .lint-nodes {
+      white-space: nowrap;
+    }
+
+    .lint-node-link {
+      display: inline-block;
+      width: auto;
+      margin: 0 4px 2px 0;
+      padding: 1px 6px;
+      border: 1px solid #17a2b8;
+      border-radius: 3px;
+      background: #e3f6f9;
+      color: #117a8b;
+      font-family: monospace;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .lint-node-link:hover {
+      background: #17a2b8;
+      color: white;
+    }
+
+    .lint-truncated {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #6c757d;
+      font-style: italic;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
@@ -0,0 +1,225 @@
+// macro-manager.js - Record curation actions as a JSON script and replay them on a fresh graph
+
+import { EventEmitter } from './core/EventEmitter.js';
+import { downloadBlob } from './utils/dom-utils.js';
+
+const MACRO_TYPE = 'viztool-macro';
+const MACRO_VERSION = 1;
+
+/**
+ * A step that can't be applied to the current graph (missing node or link)
+ */
+export class MacroStepError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MacroStepError';
+  }
+}
+
+/**
+ * MacroRecorder collects curation steps while recording is on.
+ * Steps refer to segments by name, e.g.
+ *   {action: 'removeNodes', nodes: ['12', '19']}
+ *
+ * Events emitted:
+ * - recordingStarted: {}
+ * - stepRecorded: {step, count}
+ * - recordingStopped: {macro}
+ */
+export class MacroRecorder extends EventEmitter {
+  constructor() {
+    super();
+
+    this.steps = [];
+    this.isRecording = false;
+    this.meta = {};
+    this._paused = 0;
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} meta - {filename} of the graph the steps are made on
+   */
+  start(meta = {}) {
+    this.steps = [];
+    this.meta = meta;
+    this.isRecording = true;
+    this.emit('recordingStarted', {});
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} The recorded macro
+   */
+  stop() {
+    const macro = createMacro(this.steps, this.meta);
+    this.isRecording = false;
+    this.emit('recordingStopped', { macro });
+    return macro;
+  }
+
+  /**
+   * Add a step (ignored unless recording)
+   */
+  record(step) {
+    if (!this.isRecording || this._paused > 0) return;
+
+    this.steps.push(step);
+    this.emit('stepRecorded', { step, count: this.steps.length });
+  }
+
+  /**
+   * Run actions without recording them (e.g. while replaying a macro)
+   */
+  withoutRecording(apply) {
+    this._paused++;
+    try {
+      return apply();
+    } finally {
+      this._paused--;
+    }
+  }
+}
+
+/**
+ * Wrap steps into a macro object
+ */
+export function createMacro(steps, meta = {}) {
+  return {
+    type: MACRO_TYPE,
+    version: MACRO_VERSION,
+    createdAt: new Date().toISOString(),
+    recordedOn: meta.filename || null,
+    steps: steps.map(step => ({ ...step }))
+  };
+}
+
+/**
+ * Replay a macro's steps in order. A failed step is reported and the replay continues.
+ * @param {Object} macro - From createMacro() / readMacroFile()
+ * @param {Object} handlers - action -> (step, context) => detail text; throw to fail the step
+ * @returns {Object} {total, applied: [{index, step, detail}], failed: [{index, step, error}]}
+ */
+export function replayMacro(macro, handlers) {
+  const context = createReplayContext();
+  const report = { total: macro.steps.length, applied: [], failed: [] };
+
+  macro.steps.forEach((step, index) => {
+    const handler = handlers[step.action];
+
+    if (!handler) {
+      report.failed.push({ index, step, error: `Unknown action "${step.action}"` });
+      return;
+    }
+
+    try {
+      const detail = handler(step, context);
+      report.applied.push({ index, step, detail: detail || '' });
+    } catch (error) {
+      if (!(error instanceof MacroStepError)) {
+        console.error(`[Macro] Step ${index + 1} (${step.action}) failed:`, error);
+      }
+      report.failed.push({ index, step, error: error.message });
+    }
+  });
+
+  console.log(`🎬 Macro replayed: ${report.applied.length} applied, ${report.failed.length} failed`);
+  return report;
+}
+
+/**
+ * Names created during recording may differ on replay (e.g. merged node IDs carry a
+ * timestamp). The context maps recorded names to the ones created by the replay.
+ */
+function createReplayContext() {
+  const aliases = new Map();
+
+  return {
+    resolve: (id) => aliases.get(String(id)) ?? String(id),
+    alias: (recordedId, actualId) => {
+      if (String(recordedId) !== String(actualId)) {
+        aliases.set(String(recordedId), String(actualId));
+      }
+    }
+  };
+}
+
+/**
+ * Resolve recorded node names and check they exist
+ * @returns {Array<string>} Current node IDs
+ * @throws {MacroStepError} Naming the missing nodes
+ */
+export function requireNodes(model, ids, context) {
+  const resolved = ids.map(id => context.resolve(id));
+  const missing = resolved.filter(id => !model.getNode(id));
+
+  if (missing.length > 0) {
+    throw new MacroStepError(`Node${missing.length === 1 ? '' : 's'} ${missing.join(', ')} not found`);
+  }
+
+  // IDs as the model has them (numbers in generated graphs)
+  return resolved.map(id => model.getNode(id).id);
+}
+
+/**
+ * One-line description of a step (for reports)
+ */
+export function describeStep(step) {
+  switch (step.action) {
+    case 'resolveVertex':
+      return `${step.mode === 'physical' ? 'Physical resolve' : 'Resolve'} ${step.vertex} into ${step.keep.length} ${step.keep.length === 1 ? 'copy' : 'copies'}`;
+    case 'mergeChain':
+      return `Merge chain ${step.chain[0]}→${step.chain[step.chain.length - 1]}`;
+    case 'removeNodes':
+      return `Remove ${step.nodes.length === 1 ? `node ${step.nodes[0]}` : `${step.nodes.length} nodes`}`;
+    case 'savePath':
+      return `Save path "${step.name}" (${step.sequence.length} nodes)`;
+    default:
+      return step.action;
+  }
+}
+
+// ===== FILES =====
+
+/**
+ * Download a macro as .macro.json
+ */
+export function saveMacroToFile(macro, filename = null) {
+  const base = (macro.recordedOn || 'curation').replace(/\.[^.]+$/, '');
+  const name = filename || `${base}.macro.json`;
+
+  const blob = new Blob([JSON.stringify(macro, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, name);
+
+  console.log(`🎬 Macro saved: ${name} (${macro.steps.length} steps)`);
+  return name;
+}
+
+/**
+ * Read and validate a macro file
+ * @param {File|Blob} file - File picked by the user
+ * @returns {Promise<Object>} The macro
+ */
+export async function readMacroFile(file) {
+  let macro;
+  try {
+    macro = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`Not a macro file: ${error.message}`);
+  }
+
+  validateMacro(macro);
+  return macro;
+}
+
+export function validateMacro(macro) {
+  if (!macro || macro.type !== MACRO_TYPE) {
+    throw new Error('Not a macro file');
+  }
+  if (macro.version > MACRO_VERSION) {
+    throw new Error(`Macro version ${macro.version} is newer than this app supports (${MACRO_VERSION})`);
+  }
+  if (!Array.isArray(macro.steps)) {
+    throw new Error('Macro has no steps');
+  }
+}
@@ -0,0 +1,183 @@
+// macro-report-ui.js - Dialog listing which macro steps applied and which failed
+
+import { describeStep } from './macro-manager.js';
+import { escapeHtml } from './utils/dom-utils.js';
+
+/**
+ * Show the replay report, steps in script order
+ * @param {Object} report - From replayMacro()
+ * @param {Object} options - {filename}
+ */
+export function showMacroReportDialog(report, options = {}) {
+  const { filename = 'macro' } = options;
+
+  const previous = document.getElementById('macroReportDialog');
+  if (previous) {
+    previous.parentElement.remove();
+  }
+
+  const rows = [
+    ...report.applied.map(entry => ({ ...entry, ok: true, text: entry.detail })),
+    ...report.failed.map(entry => ({ ...entry, ok: false, text: entry.error }))
+  ].sort((a, b) => a.index - b.index);
+
+  const dialogHTML = `
+    <div id="macroReportDialog" style="display: block;">
+      <h3>Macro Replay</h3>
+      <div class="macro-summary">
+        <span class="macro-file">${escapeHtml(filename)}</span>
+        <span class="macro-count applied">${report.applied.length} applied</span>
+        <span class="macro-count failed">${report.failed.length} failed</span>
+      </div>
+
+      ${rows.length === 0 ? `
+        <div class="macro-empty">The macro has no steps</div>
+      ` : `
+        <table class="macro-table">
+          <thead>
+            <tr><th>#</th><th></th><th>Step</th><th>Result</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="macro-row ${row.ok ? 'applied' : 'failed'}">
+                <td class="macro-index">${row.index + 1}</td>
+                <td class="macro-status">${row.ok ? '✓' : '✖'}</td>
+                <td class="macro-step">${escapeHtml(describeStep(row.step))}</td>
+                <td class="macro-result">${escapeHtml(row.text)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+
+      <div class="dialog-buttons">
+        <button class="confirm-btn" id="closeMacroReport">Close</button>
+      </div>
+    </div>
+  `;
+
+  const overlay = document.getElementById('dialogOverlay');
+  if (overlay) {
+    overlay.style.display = 'block';
+  }
+
+  const dialogContainer = document.createElement('div');
+  dialogContainer.innerHTML = dialogHTML;
+  document.body.appendChild(dialogContainer);
+
+  const close = () => {
+    if (document.body.contains(dialogContainer)) {
+      document.body.removeChild(dialogContainer);
+    }
+    if (overlay) {
+      overlay.style.display = 'none';
+      overlay.removeEventListener('click', close);
+    }
+  };
+
+  document.getElementById('closeMacroReport').addEventListener('click', close);
+
+  if (overlay) {
+    overlay.addEventListener('click', close);
+  }
+}
+
+/**
+ * Add macro report styles to the page
+ */
+export function addMacroReportStyles() {
+  const styleId = 'macro-report-styles';
+  if (document.getElementById(styleId)) return; // Already added
+
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `
+    #macroReportDialog {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      border: 2px solid #333;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 1001;
+      width: 680px;
+      max-width: 90vw;
+      max-height: 80vh;
+      overflow-y: auto;
+    }
+
+    .macro-summary {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 15px;
+    }
+
+    .macro-file {
+      flex: 1;
+      font-family: monospace;
+      font-size: 12px;
+      word-break: break-all;
+    }
+
+    .macro-count {
+      padding: 3px 8px;
+      border-radius: 10px;
+      font-size: 12px;
+      font-weight: bold;
+    }
+
+    .macro-count.applied {
+      background: #d4edda;
+      color: #155724;
+    }
+
+    .macro-count.failed {
+      background: #f8d7da;
+      color: #721c24;
+    }
+
+    .macro-empty {
+      padding: 20px;
+      text-align: center;
+      color: #666;
+    }
+
+    .macro-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+
+    .macro-table th {
+      text-align: left;
+      border-bottom: 2px solid #ddd;
+      padding: 4px 6px;
+    }
+
+    .macro-table td {
+      border-bottom: 1px solid #eee;
+      padding: 4px 6px;
+      vertical-align: top;
+    }
+
+    .macro-row.applied .macro-status {
+      color: #28a745;
+    }
+
+    .macro-row.failed .macro-status,
+    .macro-row.failed .macro-result {
+      color: #dc3545;
+    }
+
+    .macro-index {
+      color: #888;
+      width: 30px;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
@@ -3,13 +3,27 @@
 
 import { exportAllPathsToFile, showExportPreviewDialog, addExportStyles } from './path-exporter.js';
 import { importPathsFromText, showImportResultsDialog, addImportStyles } from './path-importer.js';
-import { DotParser } from './utils/parsers/DotParser.js';
-import { GfaParser } from './utils/parsers/GfaParser.js';
+import { parserRegistry } from './utils/parsers/registry.js';
+import { GfaWorkerParser } from './utils/parsers/GfaWorkerParser.js';
+import { GfaLinter } from './utils/parsers/GfaLinter.js';
+import { showLintReportDialog, addLintReportStyles } from './lint-report-ui.js';
+import { exportGraphToGfa, exportSubgraphToGfa } from './gfa-exporter.js';
+import { exportGraphToDot } from './dot-exporter.js';
+import { exportPathsToFasta, isGzipSupported } from './fasta-exporter.js';
+import { downloadBlob, downloadTextFile } from './utils/dom-utils.js';
+import { showImageExportDialog, addImageExportStyles } from './image-export-ui.js';
+import { createSession, saveSessionToFile, readSessionFile, validateSession } from './session-manager.js';
+import { SessionStore, SessionAutosaver } from './session-autosave.js';
+import { showSessionRestoreDialog, addSessionRestoreStyles } from './session-restore-ui.js';
+import { renderHistoryTimeline, addHistoryTimelineStyles } from './history-timeline-ui.js';
+import { MacroRecorder, MacroStepError, replayMacro, requireNodes, saveMacroToFile, readMacroFile } from './macro-manager.js';
+import { showMacroReportDialog, addMacroReportStyles } from './macro-report-ui.js';
 import { updatePathsAfterResolution, showPathUpdateSummary } from './path-updater.js';
 import { showPathUpdateDialog, markUpdatedPathsInUI, addPathUpdateStyles } from './path-update-ui.js';
 import { exportPathSequence } from './sequence-exporter.js';
 import { GraphAdapter } from './core/GraphAdapter.js';
 import { NodeMerger } from './operations/NodeMerger.js';
+import { FlipOperation } from './operations/FlipOperation.js';
 import { exportMergedNodeSequence, isMergedNode, getMergedNodeInfo, updatePathsAfterMerge } from './operations/node-merger-utils.js';
 
 // ===== MVC SYSTEM INITIALIZATION =====
@@ -46,9 +60,22 @@ waitForMVC().then(() => {
 // ===== LEGACY STATE (for complex operations that aren't migrated yet) =====
 const legacy = {
   transform: null,
-  currentFormat: 'dot'
+  currentFormat: 'dot',
+  currentCapabilities: null, // capabilities of the loaded file's parser (see ParserRegistry)
+  currentFormatId: 'dot', // parser id of the loaded file, kept in saved sessions
+  currentFilename: null
 };
 
+// Lint report of the last loaded GFA file ({report, filename})
+let lastLintReport = null;
+
+// IndexedDB checkpoints (null where IndexedDB is unavailable)
+let sessionStore = null;
+let autosaver = null;
+
+// Curation steps recorded for replay on a re-assembled graph
+const macroRecorder = new MacroRecorder();
+
 // ===== APPLICATION INITIALIZATION =====
 
 function initializeApplication() {
@@ -56,6 +83,11 @@ function initializeApplication() {
   addPathUpdateStyles();
   addImportStyles();
   addExportStyles();
+  addLintReportStyles();
+  addImageExportStyles();
+  addSessionRestoreStyles();
+  addHistoryTimelineStyles();
+  addMacroReportStyles();
 
   // Setup UI event handlers
   setupUIHandlers();
@@ -66,33 +98,86 @@ function initializeApplication() {
   // Setup legacy operations (vertex resolution, merging, etc.)
   setupLegacyOperations();
 
+  // Record / replay curation macros
+  setupMacros();
+
   // Store transform from view
   legacy.transform = view.transform;
 
+  // Checkpoint to IndexedDB and offer to recover the last unsaved session
+  setupAutosave();
+
   console.log('[Main] Application initialized');
 }
 
 // ===== UI EVENT HANDLERS =====
 
 function setupUIHandlers() {
-  // File loading
+  // File loading (accepted extensions come from the parser registry)
+  document.getElementById('fileInput').accept = parserRegistry.acceptList();
+  document.getElementById('fileInput').title = `Supported: ${parserRegistry.list().map(d => d.label).join(', ')}`;
   document.getElementById('fileInput').addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
-    const reader = new FileReader();
-    reader.onload = () => {
-      parseAndLoadGraph(reader.result, file.name);
+    const readWholeFile = () => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        parseAndLoadGraph(reader.result, file.name);
+      };
+      reader.readAsText(file);
     };
-    reader.readAsText(file);
+
+    // Streamable formats (GFA) go through a worker so large assemblies don't block the tab
+    canStreamFile(file).then(streamable => {
+      if (streamable && GfaWorkerParser.isSupported()) {
+        loadGfaFileInWorker(file);
+        return;
+      }
+      readWholeFile();
+    }).catch(error => {
+      console.error('Could not read the start of the file:', error);
+      logEvent(`⚠️ Could not check ${file.name} for streaming (${error.message}); reading it whole`);
+      readWholeFile();
+    });
   });
 
+  // Lint report of the last GFA file
+  document.getElementById('showLintReport').onclick = () => showLintReport();
+
+  // Export the edited graph as GFA
+  document.getElementById('exportGfa').onclick = () => exportCurrentGraphAsGfa();
+  document.getElementById('exportSelectionGfa').onclick = () => exportSelectionAsGfa();
+
+  // Export the edited graph as DOT
+  document.getElementById('exportDot').onclick = () => exportCurrentGraphAsDot();
+
+  // Export the GFA view as SVG
+  document.getElementById('exportSvg').onclick = () => exportCurrentViewAsSvg();
+
+  // High-resolution PNG through the active renderer
+  document.getElementById('saveImage').onclick = () => showSaveImageDialog();
+
+  // Save / open the whole workspace
+  document.getElementById('saveSession').onclick = () => saveSession();
+  document.getElementById('openSession').onclick = () => document.getElementById('sessionInput').click();
+  document.getElementById('sessionInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) openSession(file);
+  });
+  document.getElementById('recentSessions').onclick = () => showRecentSessions();
+
   // Generate random graph
   document.getElementById('genRandom').onclick = () => {
+    legacy.currentCapabilities = parserRegistry.capabilitiesOf('dot');
+    legacy.currentFormatId = 'dot';
+    legacy.currentFilename = null;
+    model.setGraphHeader(null);
     controller.generateRandomGraph(50);
     legacy.currentFormat = 'dot';
     if (window.updateUIForFormat) {
-      window.updateUIForFormat('dot');
+      window.updateUIForFormat('dot', legacy.currentCapabilities);
     }
   };
 
@@ -106,6 +191,15 @@ function setupUIHandlers() {
     controller.pinSelectedNodes();
   };
 
+  // Force-directed, hierarchical or path layout
+  document.getElementById('layoutMode').addEventListener('change', () => applyLayoutMode());
+  document.getElementById('layoutPath').addEventListener('change', () => {
+    if (document.getElementById('layoutMode').value === 'path') {
+      applyLayoutMode();
+    }
+  });
+  mvc.layout.on('layoutModeChanged', () => updateLayoutModeUI());
+
   // Redraw layout
   document.getElementById('redraw').onclick = () => {
     controller.redraw();
@@ -113,13 +207,16 @@ function setupUIHandlers() {
 
   // Remove selected nodes
   document.getElementById('removeNodes').onclick = () => {
+    const nodeIds = Array.from(model.selectedNodes);
     controller.removeSelectedNodes();
+    if (nodeIds.length > 0) {
+      macroRecorder.record({ action: 'removeNodes', nodes: nodeIds });
+    }
   };
 
-  // Undo
-  document.getElementById('undo').onclick = () => {
-    controller.undo();
-  };
+  // Undo / redo
+  document.getElementById('undo').onclick = () => undoLastOperation();
+  document.getElementById('redo').onclick = () => redoLastOperation();
 
   // Node click for selection and info display
   view.on('nodeClick', ({ nodeId }) => {
@@ -141,6 +238,56 @@ function setupUIHandlers() {
   console.log('[Main] UI handlers setup complete');
 }
 
+// ===== LAYOUT MODES =====
+
+/**
+ * Lay the graph out with the mode (and backbone path) picked in the menu
+ */
+function applyLayoutMode() {
+  const mode = document.getElementById('layoutMode').value;
+  const pathId = parseInt(document.getElementById('layoutPath').value, 10);
+
+  try {
+    controller.setLayoutMode(mode, { pathId });
+  } catch (error) {
+    alert(error.message);
+    updateLayoutModeUI();
+    return;
+  }
+
+  if (mode === 'hierarchical') {
+    const { layers, crossings, reversedEdges } = mvc.layout.hierarchical;
+    logEvent(`📐 Hierarchical layout: ${layers.length} layers, ${crossings} crossing(s), ${reversedEdges.length} cycle edge(s) reversed`);
+  } else if (mode === 'path' && mvc.layout.layoutMode === 'path') {
+    const { path, backbone, totalLength } = mvc.layout.pathLayout;
+    logEvent(`📏 Path layout along "${path.name}": ${backbone.length} nodes pinned over ${totalLength.toLocaleString()} bp`);
+  } else {
+    logEvent('📐 Force-directed layout');
+  }
+}
+
+/**
+ * Sync the layout menu with the layout manager and the saved paths
+ */
+function updateLayoutModeUI() {
+  const modeSelect = document.getElementById('layoutMode');
+  const pathSelect = document.getElementById('layoutPath');
+  const savedPaths = model.savedPaths;
+  const { layoutMode, backbonePathId } = mvc.layout;
+
+  const selectedId = backbonePathId ?? parseInt(pathSelect.value, 10);
+  pathSelect.replaceChildren(...savedPaths.map(path => new Option(path.name, path.id)));
+  if (savedPaths.some(path => path.id === selectedId)) {
+    pathSelect.value = selectedId;
+  } else if (model.currentPath) {
+    pathSelect.value = model.currentPath.id;
+  }
+
+  modeSelect.querySelector('option[value="path"]').disabled = savedPaths.length === 0;
+  modeSelect.value = layoutMode;
+  document.getElementById('layoutPathRow').style.display = layoutMode === 'path' ? 'flex' : 'none';
+}
+
 // ===== MVC EVENT LISTENERS =====
 
 function setupMVCListeners() {
@@ -152,9 +299,16 @@ function setupMVCListeners() {
   // Update UI when graph loads
   model.on('graphLoaded', ({ format }) => {
     legacy.currentFormat = format;
+    document.getElementById('exportGfa').disabled = model.nodes.length === 0;
+    document.getElementById('exportDot').disabled = model.nodes.length === 0;
+    document.getElementById('exportSvg').disabled = format !== 'gfa' || model.nodes.length === 0;
+    document.getElementById('saveImage').disabled = model.nodes.length === 0;
+    document.getElementById('saveSession').disabled = model.nodes.length === 0;
     if (window.updateUIForFormat) {
-      window.updateUIForFormat(format);
+      window.updateUIForFormat(format, legacy.currentCapabilities || parserRegistry.capabilitiesOf(format));
     }
+    updatePathUI();
+    updateSelectionSetUI();
     logEvent(`Graph loaded: ${model.nodes.length} nodes, ${model.links.length} links`);
   });
 
@@ -175,9 +329,33 @@ function setupMVCListeners() {
     updatePathUI();
   });
 
+  // Update selection set list
+  model.on('selectionSetSaved', () => {
+    updateSelectionSetUI();
+  });
+
+  model.on('selectionSetsCleared', () => {
+    updateSelectionSetUI();
+  });
+
+  // Undo/redo and restored sessions replace paths, selection sets and selection at once
+  model.on('stateRestored', () => {
+    updatePathUI();
+    updateSelectionSetUI();
+    updateButtonStates();
+  });
+
   // History updates
-  model.on('historyChanged', ({ canUndo }) => {
-    document.getElementById('undo').disabled = !canUndo;
+  model.on('historyChanged', ({ canUndo, canRedo }) => {
+    const undoButton = document.getElementById('undo');
+    const redoButton = document.getElementById('redo');
+
+    undoButton.disabled = !canUndo;
+    redoButton.disabled = !canRedo;
+    undoButton.title = canUndo ? `Undo: ${model.undoDescription} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.title = canRedo ? `Redo: ${model.redoDescription} (Ctrl+Shift+Z)` : 'Nothing to redo';
+
+    updateHistoryTimeline();
   });
 
   console.log('[Main] MVC listeners setup complete');
@@ -186,36 +364,736 @@ function setupMVCListeners() {
 // ===== GRAPH PARSING AND LOADING =====
 
 function parseAndLoadGraph(text, filename) {
-  let format = filename.toLowerCase().endsWith('.gfa') ? 'gfa' : 'dot';
+  // Pick the parser from the content; the file name only breaks ties
+  const ParserClass = parserRegistry.detect(text, filename);
 
-  // Auto-detect GFA content
-  if (format === 'dot' && (/^H\t|^S\t/m).test(text)) {
-    logEvent('→ Detected GFA content despite .dot extension; switching to GFA');
-    format = 'gfa';
+  if (!ParserClass) {
+    logEvent(`❌ Could not recognise the format of ${filename}`);
+    return;
   }
 
-  logEvent(`Parsing ${format} graph from ${filename}`);
+  const { id, label, capabilities } = ParserClass.descriptor;
+  logEvent(`Parsing ${label} graph from ${filename}`);
 
-  // Use new parsers
-  let parsed;
-  if (format === 'dot') {
-    const dotParser = new DotParser();
-    parsed = dotParser.parse(text, logEvent);
-  } else {
-    const gfaParser = new GfaParser();
-    parsed = gfaParser.parse(text, logEvent);
+  const parser = new ParserClass();
+  const gfaPaths = [];
+  const gfaSelectionSets = [];
+
+  if (capabilities.paths) {
+    // Collect paths (P/W-lines, O-groups) and U-groups so they can be imported once the graph is loaded
+    parser.on('pathFound', (gfaPath) => gfaPaths.push(gfaPath));
+    parser.on('selectionSetFound', (gfaSet) => gfaSelectionSets.push(gfaSet));
   }
 
+  const parsed = parser.parse(text, logEvent);
+  reportParserMessages(parser);
+
+  loadParsedGraph(parsed, id, { filename, parser, gfaPaths, gfaSelectionSets });
+}
+
+/**
+ * Check whether a file's format can be parsed in the streaming worker
+ */
+async function canStreamFile(file) {
+  const head = await file.slice(0, 64 * 1024).text();
+  const ParserClass = parserRegistry.detect(head, file.name);
+  return Boolean(ParserClass && ParserClass.descriptor.capabilities.streaming);
+}
+
+/**
+ * Parse a GFA file in a Web Worker, showing progress with a cancel button
+ */
+async function loadGfaFileInWorker(file) {
+  const parser = new GfaWorkerParser();
+  const gfaPaths = [];
+  const gfaSelectionSets = [];
+
+  parser.on('pathFound', (gfaPath) => gfaPaths.push(gfaPath));
+  parser.on('selectionSetFound', (gfaSet) => gfaSelectionSets.push(gfaSet));
+  parser.on('progress', ({ fraction, lineCount }) => updateLoadProgress(fraction, lineCount));
+
+  logEvent(`Streaming gfa graph from ${file.name} (${(file.size / 1048576).toFixed(1)} MB)`);
+  showLoadProgress(file.name, () => parser.cancel());
+
+  try {
+    const parsed = await parser.parseFile(file);
+
+    if (!parsed) {
+      logEvent(`Loading ${file.name} cancelled`);
+      return;
+    }
+
+    logEvent(`  → parsed ${parsed.nodes.length} segments, ${parsed.links.length} links`);
+    reportParserMessages(parser);
+    loadParsedGraph(parsed, 'gfa', { filename: file.name, parser, gfaPaths, gfaSelectionSets });
+  } catch (error) {
+    console.error('[Main] Worker parse failed:', error);
+    logEvent(`❌ Failed to parse ${file.name}: ${error.message}`);
+  } finally {
+    hideLoadProgress();
+  }
+}
+
+/**
+ * Log a summary of parser errors and warnings
+ */
+function reportParserMessages(parser) {
+  const errors = parser.getErrors();
+  const warnings = parser.getWarnings();
+
+  if (errors.length > 0) {
+    logEvent(`⚠️ ${errors.length} parse error(s), first: ${errors[0].message}`);
+  }
+  if (warnings.length > 0) {
+    logEvent(`⚠️ ${warnings.length} parse warning(s), first: ${warnings[0].message}`);
+  }
+
+  if (parser.linkStats) {
+    const { duplicates, reverseEquivalents } = parser.linkStats;
+    logEvent(`  → ${duplicates} exact duplicate link(s) dropped, ${reverseEquivalents} reverse-equivalent link(s) kept`);
+  }
+}
+
+/**
+ * Hand parsed nodes/links to the controller and import any GFA paths and groups
+ * @param {Object} options - {filename, parser, gfaPaths, gfaSelectionSets}
+ */
+function loadParsedGraph(parsed, formatId, options = {}) {
+  const { filename = 'graph', parser = null, gfaPaths = [], gfaSelectionSets = [] } = options;
+
+  // Formats with GFA-style segments render (and lint) as GFA; everything else as DOT
+  const capabilities = parserRegistry.capabilitiesOf(formatId);
+  const format = capabilities.gfaRendering ? 'gfa' : 'dot';
+  legacy.currentCapabilities = capabilities;
+  legacy.currentFormatId = formatId;
+
+  // Lint before anything is filtered out, so dropped records are reported
+  let lintReport = null;
+  if (capabilities.gfaRendering) {
+    lintReport = new GfaLinter().lint(parsed, parser);
+    lastLintReport = { report: lintReport, filename };
+    document.getElementById('showLintReport').disabled = false;
+    logEvent(`🔍 Lint: ${lintReport.errorCount} error(s), ${lintReport.warningCount} warning(s)`);
+  }
+
+  // Keep the first definition of duplicated segments
+  const nodeSet = new Set();
+  const validNodes = parsed.nodes.filter(n => {
+    if (nodeSet.has(n.id)) return false;
+    nodeSet.add(n.id);
+    return true;
+  });
+
   // Filter out invalid links
-  const nodeSet = new Set(parsed.nodes.map(n => n.id));
   const validLinks = parsed.links.filter(l =>
     nodeSet.has(l.source) && nodeSet.has(l.target)
   );
 
-  // Load into MVC system
-  controller.loadGraph(parsed.nodes, validLinks, format);
+  // Load into MVC system (the header is written back out by GFA/DOT export)
+  legacy.currentFilename = filename;
+  if (parser && parser.headerTags) {
+    model.setGraphHeader({ version: parser.version, tags: parser.headerTags });
+  } else {
+    model.setGraphHeader(parser && parser.graphHeader ? parser.graphHeader : null);
+  }
+  controller.loadGraph(validNodes, validLinks, format);
+
+  logEvent(`✓ Loaded ${validNodes.length} nodes, ${validLinks.length} links`);
+
+  // Import GFA paths (P-lines, W-lines and GFA2 O-groups) as saved paths, keeping orientations and overlaps
+  if (gfaPaths.length > 0) {
+    const { imported, skipped } = controller.importGfaPaths(gfaPaths);
+    logEvent(`✓ Imported ${imported.length} GFA path(s) as saved paths`);
+    if (skipped.length > 0) {
+      logEvent(`⚠️ Skipped ${skipped.length} GFA path(s) with no valid segments: ${skipped.join(', ')}`);
+    }
+  }
 
-  logEvent(`✓ Loaded ${parsed.nodes.length} nodes, ${validLinks.length} links`);
+  // Import GFA2 U-groups as named selection sets
+  if (gfaSelectionSets.length > 0) {
+    const imported = controller.importGfaSelectionSets(gfaSelectionSets);
+    logEvent(`✓ Imported ${imported.length} GFA group(s) as selection sets`);
+  }
+
+  // Only errors interrupt; warnings are in the log line and behind the Lint Report button
+  if (lintReport && lintReport.errorCount > 0) {
+    showLintReport();
+  }
+}
+
+/**
+ * Export the current model (with merges, resolutions and saved paths) as GFA
+ */
+function exportCurrentGraphAsGfa() {
+  const base = (legacy.currentFilename || 'graph').replace(/\.[^.]+$/, '');
+
+  try {
+    const result = exportGraphToGfa(model.nodes, model.links, model.savedPaths, {
+      header: model.graphHeader,
+      filename: `${base}_edited.gfa`
+    });
+
+    logEvent(`💾 Exported GFA ${result.version}: ${result.segments} segments (${result.mergedSegments} merged), ` +
+      `${result.links + result.containments} links, ${result.paths + result.walks} paths to ${result.filename}`);
+    if (result.danglingLinks > 0) {
+      logEvent(`⚠️ Skipped ${result.danglingLinks} dangling link(s) to missing segments`);
+    }
+    if (result.skippedGaps > 0) {
+      logEvent(`ℹ️ Left out ${result.skippedGaps} gap(s), which have no GFA 1.x record`);
+    }
+    if (result.skippedInternal > 0) {
+      logEvent(`ℹ️ Left out ${result.skippedInternal} internal overlap edge(s)`);
+    }
+    if (result.skippedPaths.length > 0) {
+      logEvent(`⚠️ Skipped ${result.skippedPaths.length} path(s) with removed segments: ${result.skippedPaths.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('GFA export error:', error);
+    alert(`GFA export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Export the selected segments and their N-hop neighbourhood as a sub-GFA
+ */
+function exportSelectionAsGfa() {
+  const selected = model.selectedNodes;
+  const hops = Math.max(0, parseInt(document.getElementById('selectionHops').value, 10) || 0);
+  const base = (legacy.currentFilename || 'graph').replace(/\.[^.]+$/, '');
+
+  try {
+    const result = exportSubgraphToGfa(model.nodes, model.links, model.savedPaths, selected, {
+      hops,
+      header: model.graphHeader,
+      filename: `${base}_selection_${selected.size}n_${hops}hop.gfa`
+    });
+
+    logEvent(`💾 Exported sub-GFA: ${selected.size} selected + ${hops} hop(s) → ${result.segments} segments, ` +
+      `${result.links + result.containments} links, ${result.paths + result.walks} paths to ${result.filename}`);
+  } catch (error) {
+    console.error('Sub-GFA export error:', error);
+    alert(`Selection export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Export the current model as DOT, optionally colouring the current path's edges
+ */
+function exportCurrentGraphAsDot() {
+  const base = (legacy.currentFilename || 'graph').replace(/\.[^.]+$/, '');
+  const header = model.graphHeader && model.graphHeader.tags ? null : model.graphHeader;
+  const highlightPath = document.getElementById('dotHighlightPath').checked ? model.currentPath : null;
+
+  try {
+    const result = exportGraphToDot(model.nodes, model.links, {
+      header,
+      pinnedNodes: model.pinnedNodes,
+      highlightPath,
+      filename: `${base}_edited.dot`
+    });
+
+    logEvent(`💾 Exported DOT: ${result.nodes} nodes (${result.pinned} pinned), ${result.edges} edges` +
+      `${highlightPath ? `, ${result.highlightedEdges} on path "${highlightPath.name}"` : ''} to ${result.filename}`);
+  } catch (error) {
+    console.error('DOT export error:', error);
+    alert(`DOT export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Export the GFA view (whole graph or current viewport) as SVG
+ */
+function exportCurrentViewAsSvg() {
+  const base = (legacy.currentFilename || 'graph').replace(/\.[^.]+$/, '');
+  const scope = document.getElementById('svgViewportOnly').checked ? 'viewport' : 'graph';
+
+  try {
+    const result = view.toSvg({ scope });
+    downloadTextFile(result.svg, `${base}_${scope}.svg`, 'image/svg+xml;charset=utf-8');
+
+    logEvent(`🖼️ Exported SVG (${scope}): ${result.nodeCount} nodes, ${result.edgeCount} edges, ${result.width}×${result.height}px`);
+  } catch (error) {
+    console.error('SVG export error:', error);
+    alert(`SVG export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Ask for size/scale/background and save the graph as a PNG
+ */
+function showSaveImageDialog() {
+  const base = (legacy.currentFilename || 'graph').replace(/\.[^.]+$/, '');
+
+  showImageExportDialog({
+    width: view.canvas.width,
+    height: view.canvas.height,
+    filename: `${base}.png`,
+    onSave: (options) => {
+      const canvas = document.createElement('canvas');
+
+      try {
+        view.renderToCanvas(canvas, options);
+      } catch (error) {
+        console.error('Image export error:', error);
+        alert(`Image export failed: ${error.message}`);
+        return;
+      }
+
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          alert('Image export failed: the browser could not encode the image');
+          return;
+        }
+
+        downloadBlob(blob, options.filename);
+
+        logEvent(`🖼️ Saved ${canvas.width}×${canvas.height}px image to ${options.filename}`);
+      }, 'image/png');
+    }
+  });
+}
+
+/**
+ * Export saved paths as FASTA from the same reconstruction as the sequence report
+ */
+async function exportFasta(paths) {
+  const gzip = document.getElementById('fastaGzip').checked;
+
+  try {
+    const result = await exportPathsToFasta(paths, model.nodes, model.links, { gzip });
+
+    logEvent(`🧬 Exported ${result.records} FASTA record(s), ${result.totalLength.toLocaleString()}bp to ${result.filename}`);
+    if (result.skipped.length > 0) {
+      logEvent(`⚠️ Skipped ${result.skipped.length} path(s) with no nodes left: ${result.skipped.join(', ')}`);
+    }
+    if (result.placeholderNodes.length > 0) {
+      logEvent(`⚠️ ${result.placeholderNodes.length} segment(s) have no sequence and were written as N: ${result.placeholderNodes.slice(0, 10).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('FASTA export error:', error);
+    alert(`FASTA export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Save model and view state (positions, pins, flips, merges, paths, zoom) as a session file
+ */
+async function saveSession() {
+  const gzip = document.getElementById('sessionGzip').checked;
+
+  try {
+    const session = createSession(model, view, {
+      filename: legacy.currentFilename,
+      formatId: legacy.currentFormatId
+    });
+    const result = await saveSessionToFile(session, { gzip });
+    if (autosaver) {
+      autosaver.markSaved();
+    }
+
+    logEvent(`💾 Saved session: ${result.nodes} nodes, ${result.links} links, ${result.paths} paths to ${result.filename}`);
+  } catch (error) {
+    console.error('Session save error:', error);
+    alert(`Saving the session failed: ${error.message}`);
+  }
+}
+
+/**
+ * Restore a session file exactly as saved (no layout run)
+ */
+async function openSession(file) {
+  let session;
+  try {
+    session = await readSessionFile(file);
+  } catch (error) {
+    console.error('Session open error:', error);
+    alert(`Could not open ${file.name}: ${error.message}`);
+    return;
+  }
+
+  // A session file is a different workspace: don't overwrite the current autosave record
+  if (autosaver) {
+    autosaver.startNewSession();
+  }
+  applySession(session);
+
+  logEvent(`📂 Opened session ${file.name} (saved ${new Date(session.savedAt).toLocaleString()}): ` +
+    `${model.nodes.length} nodes, ${model.links.length} links, ${model.savedPaths.length} paths`);
+}
+
+/**
+ * Put a session's graph, paths and view in place of the current workspace
+ */
+function applySession(session) {
+  legacy.currentFormatId = session.formatId || session.model.format;
+  legacy.currentCapabilities = parserRegistry.capabilitiesOf(legacy.currentFormatId);
+  legacy.currentFilename = session.filename;
+
+  controller.restoreSession(session);
+}
+
+// ===== AUTOSAVE =====
+
+async function setupAutosave() {
+  if (!SessionStore.isSupported()) {
+    document.getElementById('recentSessions').disabled = true;
+    return;
+  }
+
+  sessionStore = new SessionStore();
+  autosaver = new SessionAutosaver(model, view, sessionStore, {
+    getMeta: () => ({ filename: legacy.currentFilename, formatId: legacy.currentFormatId })
+  });
+  autosaver.on('autosaveFailed', ({ error }) => {
+    logEvent(`⚠️ Autosave failed: ${error.message}`);
+  });
+
+  // Ask before the first checkpoint of this tab can push older sessions out
+  try {
+    const summaries = await sessionStore.list();
+    if (summaries.length > 0 && summaries[0].unsaved) {
+      showSessionRestoreDialog(summaries, {
+        onRestore: (summary) => restoreAutosavedSession(summary),
+        onDiscard: () => discardAutosavedSessions()
+      });
+    }
+  } catch (error) {
+    console.error('[Main] Could not read autosaved sessions:', error);
+  }
+
+  autosaver.start();
+}
+
+/**
+ * List autosaved sessions (menu button)
+ */
+async function showRecentSessions() {
+  if (!sessionStore) return;
+
+  let summaries;
+  try {
+    summaries = await sessionStore.list();
+  } catch (error) {
+    console.error('[Main] Could not read autosaved sessions:', error);
+    logEvent(`⚠️ Could not read autosaved sessions: ${error.message}`);
+    return;
+  }
+
+  if (summaries.length === 0) {
+    logEvent('No autosaved sessions');
+    return;
+  }
+
+  showSessionRestoreDialog(summaries, {
+    title: 'Recent Sessions',
+    onRestore: (summary) => restoreAutosavedSession(summary),
+    onDiscard: () => discardAutosavedSessions()
+  });
+}
+
+async function restoreAutosavedSession(summary) {
+  try {
+    const session = await sessionStore.get(summary.id);
+    validateSession(session);
+
+    // Further checkpoints update this record instead of starting a new one
+    autosaver.continueSession(summary);
+    applySession(session);
+
+    logEvent(`📂 Restored autosaved session from ${new Date(summary.updatedAt).toLocaleString()}: ` +
+      `${summary.nodeCount} nodes, ${summary.linkCount} links, ${summary.pathCount} paths`);
+  } catch (error) {
+    console.error('Session restore error:', error);
+    alert(`Could not restore the session: ${error.message}`);
+  }
+}
+
+async function discardAutosavedSessions() {
+  try {
+    await sessionStore.clear();
+    logEvent('🗑️ Discarded autosaved sessions');
+  } catch (error) {
+    console.error('Session discard error:', error);
+  }
+}
+
+/**
+ * Show the lint report of the last loaded GFA file
+ */
+function showLintReport() {
+  if (!lastLintReport) return;
+
+  showLintReportDialog(lastLintReport.report, {
+    filename: lastLintReport.filename,
+    onNodeClick: (nodeId) => {
+      if (controller.focusNode(nodeId)) {
+        logEvent(`Focused node ${nodeId}`);
+      } else {
+        logEvent(`⚠️ Node ${nodeId} is not in the current graph`);
+      }
+    }
+  });
+}
+
+// ===== UNDO / REDO =====
+
+function undoLastOperation() {
+  const operation = controller.undo();
+  if (operation) {
+    logEvent(`↶ Undid: ${operation.description}`);
+  }
+}
+
+function redoLastOperation() {
+  const operation = controller.redo();
+  if (operation) {
+    logEvent(`↷ Redid: ${operation.description}`);
+  }
+}
+
+/**
+ * Redraw the history timeline panel
+ */
+function updateHistoryTimeline() {
+  const container = document.getElementById('historyTimeline');
+  if (!container) return;
+
+  renderHistoryTimeline(container, model.historyTimeline, {
+    onJump: (position) => {
+      const operations = controller.jumpToHistory(position);
+      if (operations.length > 0) {
+        logEvent(`⏱ Jumped ${operations.length} step${operations.length === 1 ? '' : 's'} to: ${position === 0 ? 'start' : model.undoDescription}`);
+      }
+    },
+    onSwitchBranch: (branchIndex) => {
+      const operations = controller.switchHistoryBranch(branchIndex);
+      if (operations) {
+        logEvent(`⑂ Switched to history branch ending with: ${operations[operations.length - 1].description}`);
+      }
+    }
+  });
+}
+
+// ===== MACROS =====
+
+function setupMacros() {
+  const recordButton = document.getElementById('recordMacro');
+  const status = document.getElementById('macroStatus');
+  if (!recordButton) return;
+
+  recordButton.onclick = () => {
+    if (!macroRecorder.isRecording) {
+      macroRecorder.start({ filename: legacy.currentFilename });
+      logEvent('🔴 Recording macro');
+      return;
+    }
+
+    const macro = macroRecorder.stop();
+    if (macro.steps.length === 0) {
+      logEvent('Macro recording stopped (no steps recorded)');
+      return;
+    }
+
+    const filename = saveMacroToFile(macro);
+    logEvent(`🎬 Saved macro ${filename} with ${macro.steps.length} steps`);
+  };
+
+  document.getElementById('replayMacro').onclick = () => document.getElementById('macroInput').click();
+  document.getElementById('macroInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) runMacroFile(file);
+  });
+
+  const updateStatus = () => {
+    recordButton.textContent = macroRecorder.isRecording ? 'Stop & Save Macro' : 'Record Macro';
+    recordButton.classList.toggle('recording', macroRecorder.isRecording);
+    status.textContent = macroRecorder.isRecording
+      ? `● Recording (${macroRecorder.steps.length} step${macroRecorder.steps.length === 1 ? '' : 's'})`
+      : '';
+  };
+
+  macroRecorder.on('recordingStarted', updateStatus);
+  macroRecorder.on('stepRecorded', updateStatus);
+  macroRecorder.on('recordingStopped', updateStatus);
+}
+
+async function runMacroFile(file) {
+  if (model.nodes.length === 0) {
+    alert('Load a graph before replaying a macro');
+    return;
+  }
+
+  let macro;
+  try {
+    macro = await readMacroFile(file);
+  } catch (error) {
+    console.error('Macro open error:', error);
+    alert(`Could not open ${file.name}: ${error.message}`);
+    return;
+  }
+
+  logEvent(`🎬 Replaying ${file.name} (${macro.steps.length} steps${macro.recordedOn ? `, recorded on ${macro.recordedOn}` : ''})`);
+
+  // Replayed steps aren't recorded again if a recording is running
+  const report = macroRecorder.withoutRecording(() => replayMacro(macro, createMacroHandlers()));
+
+  updateButtonStates();
+  updatePathUI();
+  controller.redraw();
+
+  report.failed.forEach(({ index, error }) => logEvent(`   ✖ Step ${index + 1}: ${error}`));
+  logEvent(`🎬 Macro replay: ${report.applied.length} applied, ${report.failed.length} failed`);
+
+  showMacroReportDialog(report, { filename: file.name });
+}
+
+/**
+ * Replay handlers per macro action: (step, context) => detail; throw MacroStepError to fail
+ */
+function createMacroHandlers() {
+  return {
+    resolveVertex: (step, context) => {
+      const [vertexId] = requireNodes(model, [step.vertex], context);
+      const physical = step.mode === 'physical';
+
+      let combinations;
+      if (physical) {
+        const connections = getPhysicalConnections(vertexId);
+        combinations = generatePhysicalCombinations(connections.red, connections.green);
+      } else {
+        const connections = getVertexConnections(vertexId);
+        combinations = generatePathCombinations(connections.incoming, connections.outgoing);
+      }
+
+      // Match each recorded choice to a combination by neighbour name and link orientation
+      const used = new Set();
+      const selectedCombos = step.keep.map(recorded => {
+        const choice = resolveChoiceNames(recorded, context);
+        Object.values(choice).forEach(side => {
+          if (side) requireNodes(model, [side.node], context);
+        });
+
+        const key = JSON.stringify(choice);
+        const combo = combinations.find(candidate =>
+          !used.has(candidate) && JSON.stringify(describeResolutionChoice(candidate)) === key);
+        if (!combo) {
+          throw new MacroStepError(`No link for ${formatResolutionChoice(choice, vertexId)}`);
+        }
+
+        used.add(combo);
+        return combo;
+      });
+
+      const vertex = model.getNode(vertexId);
+      const { newNodes } = physical
+        ? resolveVertexPhysical(vertex, selectedCombos)
+        : resolveVertexLogical(vertex, selectedCombos);
+
+      // Copies are named after the vertex; keep later steps' names working if it was renamed
+      newNodes.forEach(node => {
+        context.alias(`${step.vertex}${String(node.id).slice(String(vertexId).length)}`, node.id);
+      });
+
+      return `${newNodes.length} ${newNodes.length === 1 ? 'copy' : 'copies'}: ${newNodes.map(node => node.id).join(', ')}`;
+    },
+
+    mergeChain: (step, context) => {
+      const [nodeId] = requireNodes(model, [step.node], context);
+      const expected = requireNodes(model, step.chain, context);
+
+      const result = mergeLinearChain(nodeId);
+      context.alias(step.mergedNodeId, result.mergedNodeId);
+
+      const sameChain = expected.length === result.originalNodeIds.length &&
+        expected.every(id => result.originalNodeIds.includes(id));
+      return sameChain
+        ? `Merged into ${result.mergedNodeId}`
+        : `Merged into ${result.mergedNodeId}; chain differs from recording (${result.originalNodeIds.join('→')})`;
+    },
+
+    removeNodes: (step, context) => {
+      const nodeIds = requireNodes(model, step.nodes, context);
+      model.removeNodes(nodeIds);
+      return `Removed ${nodeIds.join(', ')}`;
+    },
+
+    savePath: (step, context) => {
+      const nodeIds = requireNodes(model, step.sequence, context);
+      highlightPaths(nodeIds.join(','), step.name);
+      return `Saved ${nodeIds.length} nodes`;
+    }
+  };
+}
+
+/**
+ * Name-based description of a resolution choice, for recording and matching on replay:
+ * the neighbour on each side and the orientations of the link to it
+ */
+function describeResolutionChoice(combo) {
+  const side = (connection) => {
+    if (!connection) return null;
+    const incoming = connection.sourceId !== undefined;
+    return {
+      direction: incoming ? 'incoming' : 'outgoing',
+      node: String(incoming ? connection.sourceId : connection.targetId),
+      srcOrientation: connection.link.srcOrientation || '+',
+      tgtOrientation: connection.link.tgtOrientation || '+'
+    };
+  };
+
+  return 'red' in combo
+    ? { red: side(combo.red), green: side(combo.green) }
+    : { incoming: side(combo.incoming), outgoing: side(combo.outgoing) };
+}
+
+function resolveChoiceNames(choice, context) {
+  const resolved = {};
+  Object.entries(choice).forEach(([key, side]) => {
+    resolved[key] = side ? { ...side, node: context.resolve(side.node) } : null;
+  });
+  return resolved;
+}
+
+function formatResolutionChoice(choice, vertexId) {
+  return Object.values(choice)
+    .filter(Boolean)
+    .map(side => side.direction === 'incoming'
+      ? `${side.node}${side.srcOrientation} → ${vertexId}${side.tgtOrientation}`
+      : `${vertexId}${side.srcOrientation} → ${side.node}${side.tgtOrientation}`)
+    .join(' and ');
+}
+
+// ===== LOAD PROGRESS =====
+
+function showLoadProgress(filename, onCancel) {
+  const panel = document.getElementById('loadProgress');
+  if (!panel) return;
+
+  document.getElementById('loadProgressLabel').textContent = `Loading ${filename}…`;
+  document.getElementById('loadProgressBar').value = 0;
+  document.getElementById('cancelLoad').onclick = onCancel;
+  document.getElementById('fileInput').disabled = true;
+  panel.style.display = 'block';
+}
+
+function updateLoadProgress(fraction, lineCount) {
+  const bar = document.getElementById('loadProgressBar');
+  if (!bar) return;
+
+  bar.value = fraction;
+  document.getElementById('loadProgressStats').textContent =
+    `${(fraction * 100).toFixed(0)}% · ${lineCount.toLocaleString()} lines`;
+}
+
+function hideLoadProgress() {
+  const panel = document.getElementById('loadProgress');
+  if (!panel) return;
+
+  panel.style.display = 'none';
+  document.getElementById('loadProgressStats').textContent = '';
+  document.getElementById('cancelLoad').onclick = null;
+  document.getElementById('fileInput').disabled = false;
 }
 
 // ===== NODE CLICK HANDLER =====
@@ -244,7 +1122,9 @@ function handleNodeClick(nodeId) {
     const physicalConnections = getPhysicalConnections(node.id);
     infoHTML += `<br><em>Logical: ${connections.incoming.length} in, ${connections.outgoing.length} out</em>`;
     infoHTML += `<br><em>Physical: ${physicalConnections.red.length} red, ${physicalConnections.green.length} green</em>`;
-    infoHTML += `<pre>${JSON.stringify(node, null, 2)}</pre>`;
+    // Typed-array tags (H, B) print as plain arrays
+    const nodeJson = JSON.stringify(node, (key, value) => ArrayBuffer.isView(value) ? Array.from(value) : value, 2);
+    infoHTML += `<pre>${nodeJson}</pre>`;
   }
 
   document.getElementById('infoContent').innerHTML = infoHTML;
@@ -262,6 +1142,9 @@ function updateButtonStates() {
 
   // Merge buttons
   updateMergeButtons();
+
+  // Sub-GFA export needs at least one selected segment
+  document.getElementById('exportSelectionGfa').disabled = selectedNodes.size === 0;
 }
 
 function updateResolveButton() {
@@ -362,8 +1245,7 @@ function updateMergeButtons() {
 
 // ===== PATH MANAGEMENT - USING EXACT OLD LOGIC =====
 
-// Path management state (matching old main.js exactly)
-let nextPathId = 1;
+// Path management state (matching old main.js exactly); path ids come from the model
 const PATH_COLORS = [
   '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57',
   '#ff9ff3', '#54a0ff', '#5f27cd', '#00d2d3', '#ff9f43'
@@ -413,7 +1295,7 @@ function highlightPaths(sequence, pathName = null) {
   }
 
   const newPath = {
-    id: nextPathId++,
+    id: null,
     name: pathName || `Path ${model.savedPaths.length + 1}`,
     sequence: sequence.trim(),
     nodes: pathNodes,
@@ -422,9 +1304,13 @@ function highlightPaths(sequence, pathName = null) {
     timestamp: new Date()
   };
 
-  // Add to saved paths in model
-  model._savedPaths.push(newPath);
-  model._currentPathIndex = model.savedPaths.length - 1;
+  // Add to saved paths in model (one undo step)
+  model.pathTransaction('savePath', `Save path "${newPath.name}"`, () => {
+    // Same counter as GraphModel.savePath, so ids stay unique alongside imported paths
+    newPath.id = model._nextPathId++;
+    model._savedPaths.push(newPath);
+    model._currentPathIndex = model.savedPaths.length - 1;
+  });
 
   // Update highlighted path in model
   model._highlightedPath = {
@@ -437,6 +1323,8 @@ function highlightPaths(sequence, pathName = null) {
   model.emit('pathSaved', { path: newPath });
   model.emit('pathSelected', { path: newPath });
 
+  macroRecorder.record({ action: 'savePath', name: newPath.name, sequence: validNodes });
+
   logEvent(`Saved path "${newPath.name}": ${validNodes.join(' → ')}`);
 }
 
@@ -542,6 +1430,21 @@ function setupPathManagement() {
     }
   };
 
+  // FASTA of the current path, or all saved paths as one multi-FASTA
+  document.getElementById('exportFasta').onclick = () => {
+    if (model.currentPath) {
+      exportFasta([model.currentPath]);
+    }
+  };
+  document.getElementById('exportAllFasta').onclick = () => exportFasta(model.savedPaths);
+
+  const gzipOption = document.getElementById('fastaGzip');
+  if (!isGzipSupported()) {
+    gzipOption.checked = false;
+    gzipOption.disabled = true;
+    gzipOption.parentElement.title = 'This browser does not support CompressionStream';
+  }
+
   // Keyboard shortcuts
   document.getElementById('pathSequence').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
@@ -588,34 +1491,42 @@ function updatePathUI() {
     pathNav.style.display = 'flex';
     pathCounter.textContent = `${savedPaths.length} path${savedPaths.length === 1 ? '' : 's'} saved`;
 
-    savedPaths.forEach((path, index) => {
-      const pathDiv = document.createElement('div');
-      pathDiv.className = `saved-path ${index === currentPathIndex ? 'active' : ''}`;
-
-      pathDiv.innerHTML = `
-        <div class="path-header">
-          <span class="path-color" style="background-color: ${path.color}"></span>
-          <span class="path-name">${path.name}</span>
-          <button class="delete-path" title="Delete path">×</button>
-        </div>
-        <div class="path-sequence">${path.sequence}</div>
-        <div class="path-stats">${path.nodes.size} nodes, ${path.edges.size} edges</div>
-      `;
-
-      // Delete button
-      pathDiv.querySelector('.delete-path').onclick = (e) => {
-        e.stopPropagation();
-        controller.removePath(index);
-        logEvent(`Deleted path "${path.name}"`);
-      };
+    const hasSamples = savedPaths.some(path => path.metadata && path.metadata.sample);
 
-      // Click to toggle selection
-      pathDiv.onclick = () => {
-        controller.selectPath(index === currentPathIndex ? -1 : index);
-      };
+    if (hasSamples) {
+      // Group walk paths by sample (first-seen order); paths without a sample go last
+      const groups = new Map();
+      savedPaths.forEach((path, index) => {
+        const sample = (path.metadata && path.metadata.sample) || null;
+        if (!groups.has(sample)) {
+          groups.set(sample, []);
+        }
+        groups.get(sample).push(index);
+      });
 
-      pathList.appendChild(pathDiv);
-    });
+      const sampleKeys = Array.from(groups.keys()).filter(sample => sample !== null);
+      if (groups.has(null)) {
+        sampleKeys.push(null);
+      }
+
+      sampleKeys.forEach(sample => {
+        const indices = groups.get(sample);
+        const groupHeader = document.createElement('div');
+        groupHeader.className = 'path-group-header';
+        groupHeader.textContent = sample !== null
+          ? `Sample ${sample} (${indices.length})`
+          : `Other paths (${indices.length})`;
+        pathList.appendChild(groupHeader);
+
+        indices.forEach(index => {
+          pathList.appendChild(createSavedPathElement(savedPaths[index], index, currentPathIndex));
+        });
+      });
+    } else {
+      savedPaths.forEach((path, index) => {
+        pathList.appendChild(createSavedPathElement(path, index, currentPathIndex));
+      });
+    }
   }
 
   // Update navigation buttons
@@ -629,6 +1540,8 @@ function updatePathUI() {
   if (nextBtn) nextBtn.disabled = savedPaths.length === 0;
   if (clearBtn) clearBtn.disabled = savedPaths.length === 0;
   if (exportAllBtn) exportAllBtn.disabled = savedPaths.length === 0;
+  document.getElementById('exportAllFasta').disabled = savedPaths.length === 0;
+  document.getElementById('exportFasta').disabled = !model.currentPath;
 
   if (exportBtn) {
     const hasValidSelection = currentPathIndex >= 0 &&
@@ -686,10 +1599,89 @@ function updatePathUI() {
 
   markUpdatedPathsInUI(savedPaths);
 
+  // Backbone choices for the path layout
+  updateLayoutModeUI();
+
   // Update export merged sequence button state when path selection changes
   updateMergeButtons();
 }
 
+/**
+ * Create the list entry for a saved path
+ */
+function createSavedPathElement(path, index, currentPathIndex) {
+  const pathDiv = document.createElement('div');
+  pathDiv.className = `saved-path ${index === currentPathIndex ? 'active' : ''}`;
+
+  pathDiv.innerHTML = `
+    <div class="path-header">
+      <span class="path-color" style="background-color: ${path.color}"></span>
+      <span class="path-name">${path.name}</span>
+      <button class="delete-path" title="Delete path">×</button>
+    </div>
+    <div class="path-sequence">${formatPathSequence(path)}</div>
+    <div class="path-stats">${path.nodes.size} nodes, ${path.edges.size} edges</div>
+  `;
+
+  // Delete button
+  pathDiv.querySelector('.delete-path').onclick = (e) => {
+    e.stopPropagation();
+    controller.removePath(index);
+    logEvent(`Deleted path "${path.name}"`);
+  };
+
+  // Click to toggle selection
+  pathDiv.onclick = () => {
+    controller.selectPath(index === currentPathIndex ? -1 : index);
+  };
+
+  return pathDiv;
+}
+
+/**
+ * Format a path's node sequence for display, including per-step orientations when known
+ */
+function formatPathSequence(path) {
+  if (!path.orientations) {
+    return path.sequence;
+  }
+
+  return path.sequence
+    .split(',')
+    .map((id, index) => `${id}${path.orientations[index] || ''}`)
+    .join(',');
+}
+
+/**
+ * Update the list of named selection sets
+ */
+function updateSelectionSetUI() {
+  const section = document.getElementById('selectionSetsSection');
+  const list = document.getElementById('selectionSetsList');
+  if (!section || !list) return;
+
+  const selectionSets = model.selectionSets;
+  list.innerHTML = '';
+  section.style.display = selectionSets.length > 0 ? 'block' : 'none';
+
+  selectionSets.forEach((selectionSet, index) => {
+    const setDiv = document.createElement('div');
+    setDiv.className = 'selection-set';
+    setDiv.title = selectionSet.nodeIds.join(', ');
+    setDiv.innerHTML = `
+      <span class="selection-set-name">${selectionSet.name}</span>
+      <span class="selection-set-count">${selectionSet.nodeIds.length} nodes</span>
+    `;
+
+    setDiv.onclick = () => {
+      controller.selectSelectionSet(index);
+      logEvent(`Selected set "${selectionSet.name}" (${selectionSet.nodeIds.length} nodes)`);
+    };
+
+    list.appendChild(setDiv);
+  });
+}
+
 // ===== PATH IMPORT/EXPORT =====
 
 function setupPathImportExport() {
@@ -793,6 +1785,20 @@ function setupPathImportExport() {
   document.addEventListener('keydown', (e) => {
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        redoLastOperation();
+      } else {
+        undoLastOperation();
+      }
+    }
+
+    if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+      e.preventDefault();
+      redoLastOperation();
+    }
+
     if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
       e.preventDefault();
       if (pathFileInput) pathFileInput.click();
@@ -825,11 +1831,11 @@ function setupLegacyOperations() {
       return;
     }
 
-    // Use the view's flipSelectedNodes method (MVC GfaRenderer)
-    const flipped = view.flipSelectedNodes(selectedNodes);
+    // Flip through the view's GfaRenderer, recorded so it can be undone
+    const flipped = model.perform(new FlipOperation(view, selectedNodes));
     if (flipped) {
       logEvent(`Flipped ${selectedNodes.size} node(s)`);
-      mvc.layout.simulation.alpha(0.1).restart();
+      mvc.layout.reheat(0.1);
     }
   };
 
@@ -876,23 +1882,14 @@ function setupLegacyOperations() {
     try {
       logEvent(`Starting linear chain detection from node: ${selectedNodeId}`);
 
-      // Create adapter and operation
-      const graphAdapter = new GraphAdapter(model);
-      const merger = new NodeMerger(graphAdapter, selectedNodeId);
+      const result = mergeLinearChain(selectedNodeId);
 
-      // Execute merge
-      const result = merger.execute();
-
-      // Update saved paths to reflect the merge
-      const updatedPaths = updatePathsAfterMerge(model.savedPaths, {
-        mergedNodeId: result.mergedNodeId,
-        originalNodeIds: result.originalNodeIds,
-        mergedNode: result.mergedNode
+      macroRecorder.record({
+        action: 'mergeChain',
+        node: selectedNodeId,
+        chain: result.originalNodeIds,
+        mergedNodeId: result.mergedNodeId
       });
-      model._savedPaths = updatedPaths;
-
-      // Clear selections
-      model.deselectNodes();
 
       // Update UI
       updatePathUI();
@@ -966,6 +1963,32 @@ function setupLegacyOperations() {
   console.log('[Main] Legacy operations setup complete');
 }
 
+/**
+ * Merge the linear chain through a node and update saved paths (one undo step)
+ * @returns {Object} NodeMerger result
+ */
+function mergeLinearChain(nodeId) {
+  const graphAdapter = new GraphAdapter(model);
+  const merger = new NodeMerger(graphAdapter, nodeId);
+
+  return model.transaction('mergeNodes',
+    (merge) => `Merge chain ${merge.originalNodeIds[0]}→${merge.originalNodeIds[merge.originalNodeIds.length - 1]}`,
+    () => {
+      const merge = merger.execute();
+
+      // Update saved paths to reflect the merge
+      model._savedPaths = updatePathsAfterMerge(model.savedPaths, {
+        mergedNodeId: merge.mergedNodeId,
+        originalNodeIds: merge.originalNodeIds,
+        mergedNode: merge.mergedNode
+      });
+
+      // Clear selections
+      model.deselectNodes();
+      return merge;
+    });
+}
+
 // ===== VERTEX RESOLUTION FUNCTIONS (Legacy - kept as-is) =====
 
 function getVertexConnections(vertexId) {
@@ -1294,11 +2317,97 @@ function performVertexResolution() {
     return;
   }
 
+  logEvent(`Resolving vertex ${vertex.id} into ${selectedCombos.length} copies`);
+
+  const { originalPaths, updatedPaths, newNodes, newLinks } = resolveVertexLogical(vertex, selectedCombos);
+
+  macroRecorder.record({
+    action: 'resolveVertex',
+    mode: 'logical',
+    vertex: vertex.id,
+    keep: selectedCombos.map(describeResolutionChoice)
+  });
+
+  // Show summary
+  const summary = showPathUpdateSummary(originalPaths, updatedPaths, vertex.id);
+  logEvent(summary);
+
+  const affectedPaths = originalPaths.filter(path =>
+    Array.from(path.nodes).includes(vertex.id)
+  );
+  if (affectedPaths.length > 0) {
+    showPathUpdateDialog(originalPaths, updatedPaths, vertex.id);
+  }
+
+  // Update UI
+  updateButtonStates();
+  updatePathUI();
+  hideResolveDialog();
+
+  // Restart simulation
+  controller.redraw();
+
+  logEvent(`Logical vertex resolution complete: created ${newNodes.length} new vertices with ${newLinks.length} edges`);
+}
+
+function performPhysicalResolution() {
+  if (!window.currentPhysicalResolution) return;
+
+  const { vertex, combinations } = window.currentPhysicalResolution;
+  const selectedCombos = [];
+
+  document.querySelectorAll('#pathCombinations input[type="checkbox"]:checked').forEach(checkbox => {
+    const index = parseInt(checkbox.dataset.comboIndex);
+    selectedCombos.push(combinations[index]);
+  });
+
+  if (selectedCombos.length === 0) {
+    alert('Please select at least one physical path to keep.');
+    return;
+  }
+
+  logEvent(`Physical resolving vertex ${vertex.id} into ${selectedCombos.length} copies`);
+
+  const { originalPaths, updatedPaths, newNodes, newLinks } = resolveVertexPhysical(vertex, selectedCombos);
+
+  macroRecorder.record({
+    action: 'resolveVertex',
+    mode: 'physical',
+    vertex: vertex.id,
+    keep: selectedCombos.map(describeResolutionChoice)
+  });
+
+  // Show summary
+  const summary = showPathUpdateSummary(originalPaths, updatedPaths, vertex.id);
+  logEvent(summary);
+
+  const affectedPaths = originalPaths.filter(path =>
+    Array.from(path.nodes).includes(vertex.id)
+  );
+  if (affectedPaths.length > 0) {
+    showPathUpdateDialog(originalPaths, updatedPaths, vertex.id);
+  }
+
+  // Update UI
+  updateButtonStates();
+  updatePathUI();
+  hideResolveDialog();
+
+  // Restart simulation
+  controller.redraw();
+
+  logEvent(`Physical vertex resolution complete: created ${newNodes.length} new vertices with ${newLinks.length} edges`);
+}
+
+/**
+ * Replace a vertex by one copy per chosen combination (logical), updating saved paths.
+ * One undo step; no dialogs, so macros can replay it.
+ * @returns {Object} {originalPaths, updatedPaths, newNodes, newLinks}
+ */
+function resolveVertexLogical(vertex, selectedCombos) {
   console.log('=== LOGICAL VERTEX RESOLUTION ===');
   const originalPaths = [...model.savedPaths];
 
-  logEvent(`Resolving vertex ${vertex.id} into ${selectedCombos.length} copies`);
-
   // Create new nodes
   const newNodes = [];
   selectedCombos.forEach((combo, index) => {
@@ -1359,63 +2468,35 @@ function performVertexResolution() {
 
   links.push(...newLinks);
 
-  // Update model
-  model.loadGraph(nodes, links, legacy.currentFormat, 'resolution');
-
-  // Update paths
   const resolutionData = {
     originalVertex: vertex,
     newVertices: newNodes,
     resolutionType: 'logical'
   };
 
-  const updatedPaths = updatePathsAfterResolution(originalPaths, resolutionData);
-  model._savedPaths = updatedPaths;
-
-  // Show summary
-  const summary = showPathUpdateSummary(originalPaths, updatedPaths, vertex.id);
-  logEvent(summary);
-
-  const affectedPaths = originalPaths.filter(path =>
-    Array.from(path.nodes).includes(vertex.id)
-  );
-  if (affectedPaths.length > 0) {
-    showPathUpdateDialog(originalPaths, updatedPaths, vertex.id);
-  }
+  // Update model and paths as one undo step
+  const updatedPaths = model.transaction('resolveVertex',
+    `Resolve ${vertex.id} into ${newNodes.length} ${newNodes.length === 1 ? 'copy' : 'copies'}`, () => {
+      model.loadGraph(nodes, links, legacy.currentFormat, 'resolution');
 
-  // Clear selection and update UI
-  model.deselectNodes();
-  updateButtonStates();
-  updatePathUI();
-  hideResolveDialog();
-
-  // Restart simulation
-  controller.redraw();
+      const paths = updatePathsAfterResolution(originalPaths, resolutionData);
+      model._savedPaths = paths;
+      model.deselectNodes();
+      return paths;
+    });
 
-  logEvent(`Logical vertex resolution complete: created ${newNodes.length} new vertices with ${newLinks.length} edges`);
+  return { originalPaths, updatedPaths, newNodes, newLinks };
 }
 
-function performPhysicalResolution() {
-  if (!window.currentPhysicalResolution) return;
-
-  const { vertex, combinations } = window.currentPhysicalResolution;
-  const selectedCombos = [];
-
-  document.querySelectorAll('#pathCombinations input[type="checkbox"]:checked').forEach(checkbox => {
-    const index = parseInt(checkbox.dataset.comboIndex);
-    selectedCombos.push(combinations[index]);
-  });
-
-  if (selectedCombos.length === 0) {
-    alert('Please select at least one physical path to keep.');
-    return;
-  }
-
+/**
+ * Replace a vertex by one copy per chosen combination (physical), updating saved paths.
+ * One undo step; no dialogs, so macros can replay it.
+ * @returns {Object} {originalPaths, updatedPaths, newNodes, newLinks}
+ */
+function resolveVertexPhysical(vertex, selectedCombos) {
   console.log('=== PHYSICAL VERTEX RESOLUTION ===');
   const originalPaths = [...model.savedPaths];
 
-  logEvent(`Physical resolving vertex ${vertex.id} into ${selectedCombos.length} copies`);
-
   // Create new nodes
   const newNodes = [];
   selectedCombos.forEach((combo, index) => {
@@ -1508,40 +2589,24 @@ function performPhysicalResolution() {
 
   links.push(...newLinks);
 
-  // Update model
-  model.loadGraph(nodes, links, legacy.currentFormat, 'resolution');
-
-  // Update paths
   const resolutionData = {
     originalVertex: vertex,
     newVertices: newNodes,
     resolutionType: 'physical'
   };
 
-  const updatedPaths = updatePathsAfterResolution(originalPaths, resolutionData);
-  model._savedPaths = updatedPaths;
-
-  // Show summary
-  const summary = showPathUpdateSummary(originalPaths, updatedPaths, vertex.id);
-  logEvent(summary);
-
-  const affectedPaths = originalPaths.filter(path =>
-    Array.from(path.nodes).includes(vertex.id)
-  );
-  if (affectedPaths.length > 0) {
-    showPathUpdateDialog(originalPaths, updatedPaths, vertex.id);
-  }
-
-  // Clear selection and update UI
-  model.deselectNodes();
-  updateButtonStates();
-  updatePathUI();
-  hideResolveDialog();
+  // Update model and paths as one undo step
+  const updatedPaths = model.transaction('resolveVertex',
+    `Physical resolve ${vertex.id} into ${newNodes.length} ${newNodes.length === 1 ? 'copy' : 'copies'}`, () => {
+      model.loadGraph(nodes, links, legacy.currentFormat, 'resolution');
 
-  // Restart simulation
-  controller.redraw();
+      const paths = updatePathsAfterResolution(originalPaths, resolutionData);
+      model._savedPaths = paths;
+      model.deselectNodes();
+      return paths;
+    });
 
-  logEvent(`Physical vertex resolution complete: created ${newNodes.length} new vertices with ${newLinks.length} edges`);
+  return { originalPaths, updatedPaths, newNodes, newLinks };
 }
 
 // ===== UTILITY FUNCTIONS =====
@@ -0,0 +1,271 @@
+// GraphDelta.js - Structural diff of GraphModel state for undo/redo
+
+/**
+ * GraphDelta records what an edit changed instead of copying the whole graph:
+ * added, removed and modified nodes and links, plus the (small) selection and
+ * path state. Stored records are shallow copies, so sequence strings and tag
+ * objects are shared with the live graph rather than duplicated per step.
+ *
+ * Usage:
+ *   const baseline = GraphDelta.capture(model);
+ *   ...edit the model...
+ *   const delta = GraphDelta.between(baseline, model);
+ *   delta.apply(model, 'undo'); // or 'redo'
+ */
+export class GraphDelta {
+  constructor(nodes, links, state) {
+    this.nodes = nodes;
+    this.links = links;
+    this.state = state;
+  }
+
+  /**
+   * Remember the model before an edit. Nodes and links are shallow-copied,
+   * because the edit may change them in place; the copies share their values.
+   */
+  static capture(model) {
+    return {
+      nodes: model._nodes.map(node => [String(node.id), copyNode(node)]),
+      links: model._links.map(link => [String(link.id), copyLink(link)]),
+      state: captureState(model)
+    };
+  }
+
+  /**
+   * Diff a baseline from capture() against the model's current state
+   */
+  static between(baseline, model) {
+    const nodes = diffCollection(
+      baseline.nodes,
+      model._nodes.map(node => [String(node.id), node]),
+      copyNode
+    );
+    const links = diffCollection(
+      baseline.links,
+      model._links.map(link => [String(link.id), link]),
+      copyLink
+    );
+
+    const after = captureState(model);
+    const state = {};
+    Object.keys(after).forEach(key => {
+      if (!sameValue(baseline.state[key], after[key])) {
+        state[key] = { before: baseline.state[key], after: after[key] };
+      }
+    });
+
+    return new GraphDelta(nodes, links, state);
+  }
+
+  /**
+   * Move the model to the state before ('undo') or after ('redo') the edit.
+   * The caller rebuilds lookup maps and notifies listeners.
+   */
+  apply(model, direction) {
+    const side = direction === 'undo' ? 'before' : 'after';
+
+    model._nodes = applyCollection(model._nodes, this.nodes, side, node => String(node.id));
+    model._links = applyCollection(model._links, this.links, side, link => String(link.id));
+
+    // Endpoints may be objects of nodes that were just replaced; the layout re-binds ids
+    model._links.forEach(link => {
+      link.source = link.source?.id ?? link.source;
+      link.target = link.target?.id ?? link.target;
+    });
+
+    Object.entries(this.state).forEach(([key, values]) => {
+      restoreState(model, key, values[side]);
+    });
+  }
+
+  /**
+   * Counts for history display
+   * @returns {Object} {nodesAdded, nodesRemoved, nodesModified, linksAdded, linksRemoved, linksModified}
+   */
+  getSummary() {
+    return {
+      nodesAdded: this.nodes.added.length,
+      nodesRemoved: this.nodes.removed.length,
+      nodesModified: this.nodes.modified.length,
+      linksAdded: this.links.added.length,
+      linksRemoved: this.links.removed.length,
+      linksModified: this.links.modified.length
+    };
+  }
+
+  /**
+   * IDs touched by the edit
+   */
+  getChangedIds() {
+    const ids = collection => ({
+      added: collection.added.map(entry => entry.key),
+      removed: collection.removed.map(entry => entry.key),
+      modified: collection.modified.map(entry => entry.key)
+    });
+    return { nodes: ids(this.nodes), links: ids(this.links) };
+  }
+}
+
+// ===== COLLECTIONS =====
+
+/**
+ * Diff two [key, record] lists.
+ * Added/removed entries keep their index, so lists rebuilt by filter + push
+ * are restored in the same order. Any other reordering stores the key order.
+ */
+function diffCollection(before, after, copy) {
+  const beforeMap = new Map(before);
+  const afterMap = new Map(after);
+
+  const removed = [];
+  before.forEach(([key, record], index) => {
+    if (!afterMap.has(key)) removed.push({ key, index, record });
+  });
+
+  const added = [];
+  const modified = [];
+  after.forEach(([key, record], index) => {
+    if (!beforeMap.has(key)) {
+      added.push({ key, index, record: copy(record) });
+      return;
+    }
+
+    const patch = diffRecord(beforeMap.get(key), copy(record));
+    if (patch) modified.push({ key, ...patch });
+  });
+
+  // Kept entries must appear in the same relative order, otherwise keep the full order
+  const keptBefore = before.filter(([key]) => afterMap.has(key)).map(([key]) => key);
+  const keptAfter = after.filter(([key]) => beforeMap.has(key)).map(([key]) => key);
+  const order = keptBefore.every((key, index) => key === keptAfter[index])
+    ? null
+    : { before: before.map(([key]) => key), after: after.map(([key]) => key) };
+
+  return { added, removed, modified, order };
+}
+
+/**
+ * Bring a live list to one side of a collection diff
+ */
+function applyCollection(list, diff, side, keyOf) {
+  const dropped = new Set((side === 'before' ? diff.added : diff.removed).map(entry => entry.key));
+  const inserted = side === 'before' ? diff.removed : diff.added;
+
+  const result = list.filter(record => !dropped.has(keyOf(record)));
+
+  // Modified records are patched in place, so references to them stay valid
+  if (diff.modified.length > 0) {
+    const byKey = new Map(result.map(record => [keyOf(record), record]));
+    diff.modified.forEach(entry => {
+      const record = byKey.get(entry.key);
+      if (record) patchRecord(record, entry[side]);
+    });
+  }
+
+  // Ascending indices rebuild the exact original positions
+  inserted.forEach(entry => {
+    result.splice(entry.index, 0, { ...entry.record });
+  });
+
+  if (diff.order) {
+    const position = new Map(diff.order[side].map((key, index) => [key, index]));
+    result.sort((a, b) => position.get(keyOf(a)) - position.get(keyOf(b)));
+  }
+
+  return result;
+}
+
+/**
+ * Changed properties of one record: {before: {set, unset}, after: {set, unset}}
+ */
+function diffRecord(before, after) {
+  const beforeSide = { set: {}, unset: [] };
+  const afterSide = { set: {}, unset: [] };
+  let changed = false;
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    const inBefore = Object.prototype.hasOwnProperty.call(before, key);
+    const inAfter = Object.prototype.hasOwnProperty.call(after, key);
+    if (inBefore && inAfter && before[key] === after[key]) return;
+
+    changed = true;
+    if (inBefore) beforeSide.set[key] = before[key]; else beforeSide.unset.push(key);
+    if (inAfter) afterSide.set[key] = after[key]; else afterSide.unset.push(key);
+  });
+
+  return changed ? { before: beforeSide, after: afterSide } : null;
+}
+
+function patchRecord(record, { set, unset }) {
+  unset.forEach(key => delete record[key]);
+  Object.assign(record, set);
+}
+
+// ===== RECORDS =====
+
+// d3's per-tick fields are not part of the graph
+function copyNode({ vx, vy, index, ...node }) {
+  return node;
+}
+
+function copyLink({ index, ...link }) {
+  return {
+    ...link,
+    source: link.source?.id ?? link.source,
+    target: link.target?.id ?? link.target
+  };
+}
+
+// ===== MODEL STATE =====
+
+/**
+ * Everything besides nodes and links that an edit may change (small, copied whole)
+ */
+function captureState(model) {
+  return {
+    format: model._format,
+    graphHeader: model._graphHeader,
+    nextLinkId: model._nextLinkId,
+    selectedNodes: Array.from(model._selectedNodes),
+    selectedEdges: Array.from(model._selectedEdges),
+    pinnedNodes: Array.from(model._pinnedNodes),
+    // Path objects are shallow-copied; their node/edge Sets are shared, not copied
+    savedPaths: model._savedPaths.map(path => ({ ...path })),
+    currentPathIndex: model._currentPathIndex,
+    nextPathId: model._nextPathId,
+    selectionSets: [...model._selectionSets]
+  };
+}
+
+function restoreState(model, key, value) {
+  switch (key) {
+    case 'format': model._format = value; break;
+    case 'graphHeader': model._graphHeader = value; break;
+    case 'nextLinkId': model._nextLinkId = value; break;
+    case 'selectedNodes': model._selectedNodes = new Set(value); break;
+    case 'selectedEdges': model._selectedEdges = new Set(value); break;
+    case 'pinnedNodes': model._pinnedNodes = new Set(value); break;
+    case 'savedPaths': model._savedPaths = value.map(path => ({ ...path })); break;
+    case 'currentPathIndex': model._currentPathIndex = value; break;
+    case 'nextPathId': model._nextPathId = value; break;
+    case 'selectionSets': model._selectionSets = [...value]; break;
+  }
+}
+
+/**
+ * Equality for captured state: arrays compare element-wise (shallow for objects)
+ */
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => sameItem(item, b[index]));
+  }
+  return a === b;
+}
+
+function sameItem(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
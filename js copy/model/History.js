@@ -14,6 +14,11 @@ export class History extends EventEmitter {
     this.maxSize = maxSize;
     this.undoStack = [];
     this.redoStack = [];
+
+    // Steps that were undone and then replaced by a new edit, kept so they can be gone back to.
+    // Each branch: {forkIndex (undo count where it splits off), operations (oldest first), createdAt,
+    // branches (ones forking inside it, forkIndex counted from its own fork point)}
+    this.branches = [];
   }
 
   /**
@@ -25,12 +30,18 @@ export class History extends EventEmitter {
       throw new Error('History can only store Operation instances');
     }
 
+    // A new edit after undoing starts a new branch; keep the undone steps as a side branch
+    if (this.redoStack.length > 0) {
+      this._storeBranch(this.redoStack);
+    }
+
     // Add to undo stack
     this.undoStack.push(operation);
 
     // Limit stack size
     if (this.undoStack.length > this.maxSize) {
       this.undoStack.shift();
+      this._shiftBranches();
     }
 
     // Clear redo stack when new operation added
@@ -113,6 +124,85 @@ export class History extends EventEmitter {
     }
   }
 
+  /**
+   * Move to a position in the timeline by undoing or redoing
+   * @param {number} position - Number of applied steps wanted (0 = before the first step)
+   * @returns {Array<Operation>} Operations undone or redone, in order
+   */
+  jumpTo(position) {
+    const target = Math.max(0, Math.min(position, this.undoStack.length + this.redoStack.length));
+    const steps = [];
+
+    while (this.undoStack.length > target) {
+      steps.push(this.undo());
+    }
+    while (this.undoStack.length < target) {
+      steps.push(this.redo());
+    }
+
+    return steps;
+  }
+
+  /**
+   * Replace the steps after a branch's fork point with that branch.
+   * The current later steps become a branch themselves, so nothing is lost.
+   * The caller must be at the fork point (undoStack.length === forkIndex).
+   * @param {number} branchIndex - Index into branches
+   * @returns {Object} The branch now on the redo stack
+   */
+  switchBranch(branchIndex) {
+    const branch = this.branches[branchIndex];
+    if (!branch) {
+      throw new Error(`No history branch ${branchIndex}`);
+    }
+    if (this.undoStack.length !== branch.forkIndex) {
+      throw new Error('Jump to the branch point before switching branches');
+    }
+
+    this.branches.splice(branchIndex, 1);
+    if (this.redoStack.length > 0) {
+      this._storeBranch(this.redoStack);
+    }
+    this.redoStack = [...branch.operations].reverse();
+
+    // Branches that fork inside the chosen one now fork off the main timeline
+    branch.branches.forEach(child => {
+      this.branches.push({ ...child, forkIndex: child.forkIndex + branch.forkIndex });
+    });
+
+    this.emit('branchSwitched', {
+      branch,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+
+    return branch;
+  }
+
+  /**
+   * Applied and undone steps in order, plus side branches (for a timeline display)
+   * @returns {Object} {position, entries: [{index, applied, ...summary}], branches: [...]}
+   */
+  getTimeline() {
+    const position = this.undoStack.length;
+    const operations = [...this.undoStack, ...[...this.redoStack].reverse()];
+
+    return {
+      position,
+      entries: operations.map((op, index) => ({
+        index,
+        applied: index < position,
+        ...op.getSummary()
+      })),
+      branches: this.branches.map((branch, index) => ({
+        index,
+        forkIndex: branch.forkIndex,
+        createdAt: branch.createdAt,
+        steps: branch.operations.map(op => op.getSummary())
+      }))
+    };
+  }
+
   /**
    * Check if undo is available
    * @returns {boolean} True if can undo
@@ -170,6 +260,7 @@ export class History extends EventEmitter {
 
     this.undoStack = [];
     this.redoStack = [];
+    this.branches = [];
 
     if (hadHistory) {
       this.emit('cleared', {
@@ -194,6 +285,7 @@ export class History extends EventEmitter {
     return {
       undoCount: this.undoStack.length,
       redoCount: this.redoStack.length,
+      branchCount: this.branches.length,
       maxSize: this.maxSize,
       canUndo: this.canUndo(),
       canRedo: this.canRedo()
@@ -207,7 +299,8 @@ export class History extends EventEmitter {
     return {
       maxSize: this.maxSize,
       undoStack: this.undoStack.map(op => op.toJSON()),
-      redoStack: this.redoStack.map(op => op.toJSON())
+      redoStack: this.redoStack.map(op => op.toJSON()),
+      branches: this.branches.map(branchToJSON)
     };
   }
 
@@ -245,4 +338,38 @@ export class History extends EventEmitter {
     const last = this.peek();
     return last ? Date.now() - last.timestamp : null;
   }
+
+  /**
+   * Keep undone steps (redo stack order) as a branch off the current position.
+   * Branches forking further along go with them, so they stay on the steps they split from.
+   */
+  _storeBranch(redoStack) {
+    const forkIndex = this.undoStack.length;
+    const inside = this.branches.filter(branch => branch.forkIndex > forkIndex);
+
+    this.branches = this.branches.filter(branch => branch.forkIndex <= forkIndex);
+    this.branches.push({
+      forkIndex,
+      operations: [...redoStack].reverse(),
+      createdAt: Date.now(),
+      branches: inside.map(branch => ({ ...branch, forkIndex: branch.forkIndex - forkIndex }))
+    });
+  }
+
+  /**
+   * The oldest step was dropped: fork points move down, branches off the dropped state go
+   */
+  _shiftBranches() {
+    this.branches = this.branches
+      .map(branch => ({ ...branch, forkIndex: branch.forkIndex - 1 }))
+      .filter(branch => branch.forkIndex >= 0);
+  }
+}
+
+function branchToJSON(branch) {
+  return {
+    forkIndex: branch.forkIndex,
+    operations: branch.operations.map(op => op.toJSON()),
+    branches: branch.branches.map(branchToJSON)
+  };
 }
@@ -1,6 +1,7 @@
 // GfaEdge.js - GFA-specific edge with orientation and overlap
 
 import { Edge } from './Edge.js';
+import { flipOrientation } from '../../utils/sequence-utils.js';
 
 /**
  * GfaEdge represents a link in a GFA graph.
@@ -112,7 +113,7 @@ export class GfaEdge extends Edge {
    * Flip orientation (+ becomes -, - becomes +)
    */
   flipOrientation(orientation) {
-    return orientation === '+' ? '-' : '+';
+    return flipOrientation(orientation);
   }
 
   /**
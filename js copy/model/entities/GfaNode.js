@@ -21,12 +21,16 @@ export class GfaNode extends Node {
     this.drawnLength = data.drawnLength || 50;
     this.isFlipped = data.isFlipped || false;
 
-    // Metadata tags from GFA file
+    // Metadata tags from GFA file (parsed tags are {type, value} in data.tags)
+    const tagValue = (name) => {
+      const tag = data.tags && data.tags[name];
+      return tag && typeof tag === 'object' ? tag.value : tag;
+    };
     this.tags = {
-      DP: data.DP || data.depth || 0,     // Depth/coverage
-      LN: data.LN || this.length,          // Length
-      KC: data.KC || 0,                     // K-mer count
-      RC: data.RC || 0                      // Read count
+      DP: tagValue('DP') || data.depth || 0,   // Depth/coverage
+      LN: tagValue('LN') || this.length,       // Length
+      KC: tagValue('KC') || 0,                 // K-mer count
+      RC: tagValue('RC') || 0                  // Read count
     };
 
     this.type = 'gfa';
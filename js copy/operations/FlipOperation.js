@@ -0,0 +1,26 @@
+// FlipOperation.js - Undoable flip of GFA nodes
+
+import { Operation } from './Operation.js';
+
+/**
+ * FlipOperation reverses the drawn orientation of GFA nodes.
+ * Flipping is view state (GfaRenderer), and flipping twice is the identity,
+ * so reverse() simply flips the same nodes again.
+ */
+export class FlipOperation extends Operation {
+  constructor(view, nodeIds) {
+    const ids = Array.from(nodeIds);
+    super('flipNodes', `Flip ${ids.length === 1 ? `node ${ids[0]}` : `${ids.length} nodes`}`);
+
+    this.view = view;
+    this.nodeIds = ids;
+  }
+
+  execute() {
+    return this.view.flipSelectedNodes(new Set(this.nodeIds));
+  }
+
+  reverse() {
+    this.view.flipSelectedNodes(new Set(this.nodeIds));
+  }
+}
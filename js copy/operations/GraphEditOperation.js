@@ -0,0 +1,73 @@
+// GraphEditOperation.js - Undoable structural edit of the GraphModel
+
+import { Operation } from './Operation.js';
+import { GraphDelta } from '../model/GraphDelta.js';
+
+/**
+ * GraphEditOperation wraps an edit that changes nodes and links (remove, merge,
+ * resolve). The first execute() runs the edit and records what it changed as a
+ * GraphDelta; reverse() and later execute() calls (redo) apply that delta,
+ * including saved paths, selection and pinned nodes.
+ */
+export class GraphEditOperation extends Operation {
+  /**
+   * @param {GraphModel} model - Model being edited
+   * @param {string} name - Operation name (e.g. 'mergeNodes')
+   * @param {string|Function} description - Text for the history, or (result) => text
+   * @param {Function} apply - Performs the edit; its return value is the operation result
+   */
+  constructor(model, name, description, apply) {
+    super(name, typeof description === 'string' ? description : '');
+
+    this.model = model;
+    this.apply = apply;
+    this.describe = typeof description === 'function' ? description : null;
+    this.result = null;
+    this.delta = null;
+  }
+
+  /**
+   * Run the edit (first time) or restore its outcome (redo)
+   */
+  execute() {
+    if (this.delta) {
+      this.model._applyDelta(this.delta, 'redo');
+      return this.result;
+    }
+
+    const baseline = GraphDelta.capture(this.model);
+    this.result = this.apply();
+    this.delta = GraphDelta.between(baseline, this.model);
+
+    if (this.describe) {
+      this.description = this.describe(this.result);
+    }
+
+    // The edit never runs again, don't keep what it closed over
+    this.apply = null;
+    this.describe = null;
+
+    return this.result;
+  }
+
+  /**
+   * Put the model back as it was before the edit
+   */
+  reverse() {
+    if (!this.delta) {
+      throw new Error(`Cannot reverse ${this.name}: it was never executed`);
+    }
+
+    this.model._applyDelta(this.delta, 'undo');
+  }
+
+  /**
+   * Summary including node/link change counts
+   */
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      changes: this.delta ? this.delta.getSummary() : null
+    };
+  }
+}
@@ -0,0 +1,59 @@
+// PathEditOperation.js - Undoable change to the saved paths
+
+import { Operation } from './Operation.js';
+
+/**
+ * PathEditOperation records the saved paths before and after an edit
+ * (save, remove, clear). Paths are small, so whole lists are kept.
+ */
+export class PathEditOperation extends Operation {
+  /**
+   * @param {GraphModel} model - Model owning the paths
+   * @param {string} name - Operation name (e.g. 'savePath')
+   * @param {string|Function} description - Text for the history, or (result) => text
+   * @param {Function} apply - Performs the edit; its return value is the operation result
+   */
+  constructor(model, name, description, apply) {
+    super(name, typeof description === 'string' ? description : '');
+
+    this.model = model;
+    this.apply = apply;
+    this.describe = typeof description === 'function' ? description : null;
+    this.result = null;
+  }
+
+  execute() {
+    if (this.afterState) {
+      this.model._restorePaths(this.afterState, 'redo');
+      return this.result;
+    }
+
+    this.saveBeforeState(this.model._capturePaths());
+    this.result = this.apply();
+    this.saveAfterState(this.model._capturePaths());
+
+    if (this.describe) {
+      this.description = this.describe(this.result);
+    }
+    this.apply = null;
+    this.describe = null;
+
+    return this.result;
+  }
+
+  reverse() {
+    this.model._restorePaths(this.beforeState, 'undo');
+  }
+
+  /**
+   * Summary including the saved path count before and after
+   */
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      paths: this.afterState
+        ? { before: this.beforeState.savedPaths.length, after: this.afterState.savedPaths.length }
+        : null
+    };
+  }
+}
@@ -0,0 +1,43 @@
+// PinOperation.js - Undoable pin/unpin of nodes
+
+import { Operation } from './Operation.js';
+
+/**
+ * PinOperation pins or unpins a set of nodes.
+ * Reversing restores each node's previous pin state and fixed position.
+ */
+export class PinOperation extends Operation {
+  constructor(model, nodeIds, pinned = true) {
+    const ids = Array.from(nodeIds);
+    super(pinned ? 'pinNodes' : 'unpinNodes',
+      `${pinned ? 'Pin' : 'Unpin'} ${ids.length === 1 ? `node ${ids[0]}` : `${ids.length} nodes`}`);
+
+    this.model = model;
+    this.nodeIds = ids;
+    this.pinned = pinned;
+  }
+
+  execute() {
+    // Remember where each node was fixed (first run only, redo pins the same way)
+    if (!this.beforeState) {
+      this.saveBeforeState(this.nodeIds.map(nodeId => {
+        const node = this.model.getNode(nodeId);
+        return {
+          nodeId,
+          pinned: this.model._pinnedNodes.has(nodeId),
+          fx: node ? node.fx : null,
+          fy: node ? node.fy : null
+        };
+      }));
+    }
+
+    this.nodeIds.forEach(nodeId => this.model._setPinned(nodeId, this.pinned));
+    return { count: this.nodeIds.length };
+  }
+
+  reverse() {
+    this.beforeState.forEach(({ nodeId, pinned, fx, fy }) => {
+      this.model._setPinned(nodeId, pinned, { fx, fy });
+    });
+  }
+}
@@ -105,11 +105,16 @@ export function updatePathsAfterMerge(savedPaths, mergeResult) {
       });
 
       // Remove consecutive duplicates (if path had multiple merged nodes in sequence)
+      // Oriented paths keep the orientation of the first step that entered the merged node
       const deduplicatedSequence = [];
+      const deduplicatedOrientations = [];
       let lastNode = null;
-      newSequence.forEach(nodeId => {
+      newSequence.forEach((nodeId, index) => {
         if (nodeId !== lastNode) {
           deduplicatedSequence.push(nodeId);
+          if (path.orientations) {
+            deduplicatedOrientations.push(path.orientations[index] || '+');
+          }
           lastNode = nodeId;
         }
       });
@@ -124,6 +129,10 @@ export function updatePathsAfterMerge(savedPaths, mergeResult) {
           mergeUpdated: true
         };
 
+        if (path.orientations) {
+          updatedPath.orientations = deduplicatedOrientations;
+        }
+
         // Recalculate edges for the updated path
         updatedPath.edges = new Set(); // Will be recalculated when path is displayed
 
@@ -1,5 +1,7 @@
 // path-exporter.js - Export saved paths to text file
 
+import { downloadTextFile, escapeHtml } from './utils/dom-utils.js';
+
 /**
  * Export all saved paths to a text file in the import format
  */
@@ -19,7 +21,13 @@ export function exportAllPathsToFile(savedPaths, filename = null) {
   const exportFilename = filename || generateExportFilename(savedPaths.length);
   
   // Create and download the file
-  downloadTextFile(textContent, exportFilename);
+  try {
+    downloadTextFile(textContent, exportFilename);
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    alert(`Error downloading file: ${error.message}`);
+    throw error;
+  }
   
   console.log(`=== EXPORT COMPLETED ===`);
   console.log(`File: ${exportFilename}`);
@@ -108,35 +116,6 @@ function generateExportFilename(pathCount) {
   return `exported_paths_${pathCount}_${timestamp}.txt`;
 }
 
-/**
- * Download text content as file
- */
-function downloadTextFile(content, filename) {
-  try {
-    const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.style.display = 'none';
-    
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    // Clean up the URL object
-    setTimeout(() => URL.revokeObjectURL(url), 100);
-    
-    console.log(`✅ File download initiated: ${filename}`);
-    
-  } catch (error) {
-    console.error('Error downloading file:', error);
-    alert(`Error downloading file: ${error.message}`);
-    throw error;
-  }
-}
-
 /**
  * Export selected paths only
  */
@@ -298,15 +277,6 @@ export function showExportPreviewDialog(savedPaths, onConfirm) {
   }
 }
 
-/**
- * Escape HTML for preview display
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 /**
  * Add export styles to the page
  */
@@ -339,6 +339,66 @@ function findLinkForPathStepWithDiagnostics(nodeA, nodeB, links, preferredOrient
   };
 }
 
+/**
+ * Find the GFA link for a path step whose orientations are already known (GFA P-lines and W-lines).
+ * Matches A(oriA) → B(oriB) directly, or the equivalent reverse link B(~oriB) → A(~oriA).
+ */
+function findOrientedLinkForPathStep(nodeA, orientationA, nodeB, orientationB, links, stepNumber = 0) {
+  console.log(`\n🧭 === ORIENTED LINK SEARCH: Step ${stepNumber}: ${nodeA.id}${orientationA} → ${nodeB.id}${orientationB} ===`);
+  
+  const normalizedA = normalizeNodeId(nodeA.id);
+  const normalizedB = normalizeNodeId(nodeB.id);
+  
+  for (const link of links) {
+    const linkSourceId = normalizeNodeId(link.source.id || link.source);
+    const linkTargetId = normalizeNodeId(link.target.id || link.target);
+    const srcOri = link.srcOrientation || '+';
+    const tgtOri = link.tgtOrientation || '+';
+    const originalLink = `L ${linkSourceId} ${srcOri} ${linkTargetId} ${tgtOri} ${link.overlap || '*'}`;
+    
+    if (linkSourceId === normalizedA && linkTargetId === normalizedB &&
+        srcOri === orientationA && tgtOri === orientationB) {
+      console.log(`  ✅ Found DIRECT link: ${originalLink}`);
+      return {
+        found: true,
+        nodeAOrientation: orientationA,
+        nodeBOrientation: orientationB,
+        overlap: link.overlap || '0M',
+        method: 'direct',
+        originalLink: originalLink
+      };
+    }
+    
+    if (linkSourceId === normalizedB && linkTargetId === normalizedA &&
+        srcOri === getOppositeOrientation(orientationB) && tgtOri === getOppositeOrientation(orientationA)) {
+      const transformedOverlap = transformCigarForReverse(link.overlap || '0M');
+      console.log(`  ✅ Found REVERSE link: ${originalLink}`);
+      return {
+        found: true,
+        nodeAOrientation: orientationA,
+        nodeBOrientation: orientationB,
+        overlap: transformedOverlap,
+        method: 'bidirectional',
+        originalLink: originalLink,
+        transformedLink: `L ${normalizedA} ${orientationA} ${normalizedB} ${orientationB} ${transformedOverlap}`
+      };
+    }
+  }
+  
+  console.log(`  ❌ NO LINK matches ${normalizedA}${orientationA} → ${normalizedB}${orientationB}`);
+  return {
+    found: false,
+    nodeAOrientation: orientationA,
+    nodeBOrientation: orientationB,
+    overlap: '0M',
+    method: 'no_link',
+    diagnostics: {
+      candidateLinks: 0,
+      testedOrientations: 0
+    }
+  };
+}
+
 // ===== SEQUENCE PROCESSING FUNCTIONS =====
 
 // Get node sequence in specified orientation
@@ -364,7 +424,7 @@ function getNodeSequence(node, orientation = '+', originalNodes = null, original
   return sequence.toUpperCase();
 }
 
-function getMergedNodeSequence(mergedNode, originalNodes, originalLinks, orientation = '+') {
+export function getMergedNodeSequence(mergedNode, originalNodes, originalLinks, orientation = '+') {
   if (!isMergedNode(mergedNode)) {
     return mergedNode.seq || '*';
   }
@@ -622,8 +682,12 @@ function mergeSequencesWithOverlap(currentSequence, newNodeSeq, overlapInfo, nod
 
 /**
  * ENHANCED: Reconstruct sequence with intelligent starting orientation
+ * When pathOrientations is given (one '+'/'-' per node, e.g. from a GFA P-line or W-line),
+ * those orientations are used as-is instead of being inferred from the links.
  */
-function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed Path') {
+function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed Path', pathOrientations = null) {
+  const hasPathOrientations = Array.isArray(pathOrientations) && pathOrientations.length === pathNodes.length;
+  
   console.log(`\n🧬 === ENHANCED SEQUENCE RECONSTRUCTION WITH INTELLIGENT STARTING ORIENTATION ===`);
   console.log(`🎯 Path: ${pathName}`);
   console.log(`📋 Node sequence: ${pathNodes.map(n => n.id).join(' → ')}`);
@@ -641,12 +705,13 @@ function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed
   }
   
   if (pathNodes.length === 1) {
-    const sequence = getNodeSequence(pathNodes[0], '+');
+    const orientation = hasPathOrientations ? pathOrientations[0] : '+';
+    const sequence = getNodeSequence(pathNodes[0], orientation);
     return {
       sequence: sequence,
       segments: [{
         nodeId: pathNodes[0].id,
-        orientation: '+',
+        orientation: orientation,
         sequence: sequence,
         start: 0,
         end: sequence.length,
@@ -665,18 +730,27 @@ function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed
   console.log(`🔍 Analyzing link between first two nodes: ${pathNodes[0].id} → ${pathNodes[1].id}`);
   
   // Find the link between first two nodes to determine starting orientations
-  const firstLinkInfo = findLinkForPathStepWithDiagnostics(
-    pathNodes[0], 
-    pathNodes[1], 
-    links, 
-    '+', // placeholder - will be determined by link analysis
-    '+', // placeholder - will be determined by link analysis
-    0
-  );
+  const firstLinkInfo = hasPathOrientations
+    ? findOrientedLinkForPathStep(pathNodes[0], pathOrientations[0], pathNodes[1], pathOrientations[1], links, 0)
+    : findLinkForPathStepWithDiagnostics(
+        pathNodes[0], 
+        pathNodes[1], 
+        links, 
+        '+', // placeholder - will be determined by link analysis
+        '+', // placeholder - will be determined by link analysis
+        0
+      );
   
   let firstNodeOrientation, secondNodeOrientation;
   
-  if (firstLinkInfo.found) {
+  if (hasPathOrientations) {
+    firstNodeOrientation = pathOrientations[0];
+    secondNodeOrientation = pathOrientations[1];
+    
+    console.log(`🧭 PATH ORIENTATIONS: Using orientations stored with the path`);
+    console.log(`   First node ${pathNodes[0].id}: ${firstNodeOrientation} orientation`);
+    console.log(`   Second node ${pathNodes[1].id}: ${secondNodeOrientation} orientation`);
+  } else if (firstLinkInfo.found) {
     firstNodeOrientation = firstLinkInfo.nodeAOrientation;
     secondNodeOrientation = firstLinkInfo.nodeBOrientation;
     
@@ -711,7 +785,8 @@ function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed
     fuzzyOverlaps: 0,
     gapInsertions: 0,
     concatenations: 0,
-    intelligentStart: firstLinkInfo.found
+    intelligentStart: firstLinkInfo.found,
+    pathOrientations: hasPathOrientations
   };
   
   // Start with first node in the determined orientation
@@ -757,14 +832,16 @@ function reconstructSequenceFromPath(pathNodes, links, pathName = 'Reconstructed
       console.log(`   Link overlap: ${linkInfo.overlap}`);
     } else {
       // For subsequent steps, find the link as normal
-      linkInfo = findLinkForPathStepWithDiagnostics(
-        prevNode, 
-        currentNode, 
-        links, 
-        currentNodeOrientation, 
-        '+', 
-        i
-      );
+      linkInfo = hasPathOrientations
+        ? findOrientedLinkForPathStep(prevNode, currentNodeOrientation, currentNode, pathOrientations[i], links, i)
+        : findLinkForPathStepWithDiagnostics(
+            prevNode, 
+            currentNode, 
+            links, 
+            currentNodeOrientation, 
+            '+', 
+            i
+          );
       nextNodeOrientation = linkInfo.nodeBOrientation || '+';
     }
     
@@ -1290,6 +1367,36 @@ function generateColorCodedSequence(sequence, segments) {
 
 // ===== EXPORT FUNCTIONS =====
 
+// Parse a saved path into node objects, keeping stored orientations aligned with surviving nodes
+function resolvePathNodes(pathData, nodes) {
+  const nodeIds = pathData.sequence.split(',').map(id => id.trim());
+  const nodeMap = new Map(nodes.map(n => [normalizeNodeId(n.id), n]));
+  const pathNodes = [];
+  const orientations = [];
+  nodeIds.forEach((id, index) => {
+    const node = nodeMap.get(normalizeNodeId(id));
+    if (node) {
+      pathNodes.push(node);
+      orientations.push(pathData.orientations ? (pathData.orientations[index] || '+') : null);
+    }
+  });
+
+  return { pathNodes, pathOrientations: pathData.orientations ? orientations : null };
+}
+
+/**
+ * Reconstruct a saved path's sequence without writing a report
+ * @returns {Object|null} Reconstruction result ({sequence, segments, totalLength, ...}) or null if no node survives
+ */
+export function reconstructPathSequence(pathData, nodes, links) {
+  const { pathNodes, pathOrientations } = resolvePathNodes(pathData, nodes);
+  if (pathNodes.length === 0) {
+    return null;
+  }
+
+  return reconstructSequenceFromPath(pathNodes, links, pathData.name, pathOrientations);
+}
+
 /**
  * Main export function with enhanced intelligent starting orientation
  */
@@ -1305,10 +1412,7 @@ export function exportPathSequence(pathData, nodes, links) {
   console.log(`📊 Available nodes: ${nodes.length}`);
   console.log(`🔗 Available links: ${links.length}`);
   
-  // Parse path and get node objects
-  const nodeIds = pathData.sequence.split(',').map(id => id.trim());
-  const nodeMap = new Map(nodes.map(n => [normalizeNodeId(n.id), n]));
-  const pathNodes = nodeIds.map(id => nodeMap.get(normalizeNodeId(id))).filter(Boolean);
+  const { pathNodes, pathOrientations } = resolvePathNodes(pathData, nodes);
   
   if (pathNodes.length === 0) {
     alert('No valid nodes found in path');
@@ -1339,7 +1443,11 @@ export function exportPathSequence(pathData, nodes, links) {
   }
   
   // Reconstruct sequence with enhanced diagnostic support and merged node handling
-  const result = reconstructSequenceFromPath(pathNodes, links, pathData.name, nodes, links);
+  if (pathData.orientations) {
+    console.log(`🧭 Path has stored orientations: ${pathNodes.map((n, i) => `${n.id}${pathOrientations[i]}`).join(' → ')}`);
+  }
+  
+  const result = reconstructSequenceFromPath(pathNodes, links, pathData.name, pathOrientations);
   
   // Generate enhanced HTML report
   const htmlContent = generateSequenceReport(result);
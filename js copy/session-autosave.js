@@ -0,0 +1,269 @@
+// session-autosave.js - Background checkpoints of the workspace to IndexedDB
+
+import { EventEmitter } from './core/EventEmitter.js';
+import { createSession } from './session-manager.js';
+
+const DB_NAME = 'viztool-sessions';
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'summaries'; // small records, listed on startup
+const SESSION_STORE = 'sessions';  // full session payloads, read only on restore
+
+// Model events after which the workspace is checkpointed
+const AUTOSAVE_EVENTS = ['graphLoaded', 'nodesMerged', 'nodeRemoved', 'pathSaved'];
+
+/**
+ * SessionStore keeps recent sessions in IndexedDB.
+ * Summaries and payloads live in separate stores so listing stays cheap on big graphs.
+ */
+export class SessionStore {
+  constructor(maxSessions = 10) {
+    this.maxSessions = maxSessions;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   */
+  async open() {
+    if (this._db) return this._db;
+
+    this._db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+          db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this._db;
+  }
+
+  /**
+   * Write a session and its summary in one transaction
+   */
+  async put(summary, session) {
+    const db = await this.open();
+    const tx = db.transaction([SUMMARY_STORE, SESSION_STORE], 'readwrite');
+    tx.objectStore(SUMMARY_STORE).put(summary);
+    tx.objectStore(SESSION_STORE).put(session, summary.id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Summaries of stored sessions, most recent first
+   */
+  async list() {
+    const db = await this.open();
+    const tx = db.transaction(SUMMARY_STORE, 'readonly');
+    const summaries = await requestDone(tx.objectStore(SUMMARY_STORE).getAll());
+    return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Full session payload for a summary ID (null if gone)
+   */
+  async get(id) {
+    const db = await this.open();
+    const tx = db.transaction(SESSION_STORE, 'readonly');
+    const session = await requestDone(tx.objectStore(SESSION_STORE).get(id));
+    return session || null;
+  }
+
+  /**
+   * Flag a session as saved to a file, so it isn't offered for recovery
+   */
+  async markSaved(id) {
+    const db = await this.open();
+    const tx = db.transaction(SUMMARY_STORE, 'readwrite');
+    const store = tx.objectStore(SUMMARY_STORE);
+    const summary = await requestDone(store.get(id));
+    if (summary) {
+      store.put({ ...summary, unsaved: false });
+    }
+    await transactionDone(tx);
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    const tx = db.transaction([SUMMARY_STORE, SESSION_STORE], 'readwrite');
+    tx.objectStore(SUMMARY_STORE).delete(id);
+    tx.objectStore(SESSION_STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction([SUMMARY_STORE, SESSION_STORE], 'readwrite');
+    tx.objectStore(SUMMARY_STORE).clear();
+    tx.objectStore(SESSION_STORE).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Drop all but the most recent sessions
+   */
+  async prune() {
+    const summaries = await this.list();
+    for (const summary of summaries.slice(this.maxSessions)) {
+      await this.delete(summary.id);
+    }
+  }
+}
+
+/**
+ * SessionAutosaver checkpoints the workspace after each mutating model event.
+ * Saves are debounced and run when the browser is idle, so bursts of edits
+ * (e.g. a resolution followed by a path update) write once.
+ *
+ * Events emitted:
+ * - autosaved: {summary}
+ * - autosaveFailed: {error}
+ */
+export class SessionAutosaver extends EventEmitter {
+  /**
+   * @param {GraphModel} model - Model to checkpoint
+   * @param {GraphView} view - View whose transform and orientations are kept
+   * @param {SessionStore} store - Where checkpoints go
+   * @param {Object} options - {getMeta: () => ({filename, formatId}), delay}
+   */
+  constructor(model, view, store, options = {}) {
+    super();
+
+    this.model = model;
+    this.view = view;
+    this.store = store;
+    this.getMeta = options.getMeta || (() => ({}));
+    this.delay = options.delay ?? 1500;
+
+    // One record per loaded graph; restoring a checkpoint continues that record
+    this.startNewSession();
+
+    this._timer = null;
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Start listening to model events
+   */
+  start() {
+    // A newly opened graph gets its own record; restores, undo and redo keep the current one
+    this._unsubscribers.push(this.model.on('graphLoaded', ({ source }) => {
+      if (source === 'user') this.startNewSession();
+    }));
+
+    AUTOSAVE_EVENTS.forEach(eventName => {
+      this._unsubscribers.push(this.model.on(eventName, () => this.schedule(eventName)));
+    });
+    console.log('[SessionAutosaver] Autosave enabled');
+  }
+
+  stop() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this._unsubscribers = [];
+    clearTimeout(this._timer);
+  }
+
+  /**
+   * Write the next checkpoints to a new record
+   */
+  startNewSession() {
+    this.sessionId = `session-${Date.now()}`;
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Keep writing to an existing record (after restoring it)
+   */
+  continueSession(summary) {
+    this.sessionId = summary.id;
+    this.createdAt = summary.createdAt || Date.now();
+  }
+
+  /**
+   * Debounce a checkpoint after a mutating event
+   */
+  schedule(reason) {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      const run = () => this.saveNow(reason);
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(run, { timeout: 5000 });
+      } else {
+        run();
+      }
+    }, this.delay);
+  }
+
+  /**
+   * Write a checkpoint now
+   * @returns {Promise<Object|null>} The stored summary (null if there was nothing to save)
+   */
+  async saveNow(reason = 'manual') {
+    if (this.model.nodes.length === 0) return null;
+
+    try {
+      const meta = this.getMeta();
+      const session = createSession(this.model, this.view, meta);
+      const summary = {
+        id: this.sessionId,
+        createdAt: this.createdAt,
+        updatedAt: Date.now(),
+        filename: meta.filename || null,
+        nodeCount: session.model.nodes.length,
+        linkCount: session.model.links.length,
+        pathCount: session.model.savedPaths.length,
+        lastEvent: reason,
+        unsaved: true
+      };
+
+      await this.store.put(summary, session);
+      await this.store.prune();
+
+      this.emit('autosaved', { summary });
+      return summary;
+    } catch (error) {
+      console.error('[SessionAutosaver] Autosave failed:', error);
+      this.emit('autosaveFailed', { error });
+      return null;
+    }
+  }
+
+  /**
+   * The current workspace was saved to a file
+   */
+  async markSaved() {
+    try {
+      await this.store.markSaved(this.sessionId);
+    } catch (error) {
+      console.error('[SessionAutosaver] Could not mark session as saved:', error);
+    }
+  }
+}
+
+// ===== HELPERS =====
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,112 @@
+// session-manager.js - Save and open the whole workspace as one (optionally gzipped) JSON file
+
+import { downloadBlob } from './utils/dom-utils.js';
+
+const SESSION_TYPE = 'viztool-session';
+const SESSION_VERSION = 1;
+
+/**
+ * Collect model and view state into a session object
+ * @param {GraphModel} model - Model to snapshot
+ * @param {GraphView} view - View whose transform and GFA orientations are kept
+ * @param {Object} meta - {filename, formatId} of the loaded file
+ * @returns {Object} Session ready for JSON.stringify
+ */
+export function createSession(model, view, meta = {}) {
+  return {
+    type: SESSION_TYPE,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    filename: meta.filename || null,
+    formatId: meta.formatId || model.format,
+    model: model.getSessionState(),
+    view: view.getViewState()
+  };
+}
+
+/**
+ * Write a session to a .session.json(.gz) download
+ * @param {Object} session - From createSession()
+ * @param {Object} options - {filename, gzip}
+ * @returns {Promise<Object>} {filename, bytes, nodes, links, paths}
+ */
+export async function saveSessionToFile(session, options = {}) {
+  const gzip = Boolean(options.gzip);
+  if (gzip && typeof CompressionStream === 'undefined') {
+    throw new Error('This browser does not support CompressionStream; save without gzip');
+  }
+
+  const baseName = options.filename || generateSessionFilename(session);
+  const filename = gzip ? `${baseName}.gz` : baseName;
+
+  let blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+  if (gzip) {
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    blob = await new Response(stream).blob();
+  }
+
+  downloadBlob(blob, filename);
+
+  const stats = {
+    nodes: session.model.nodes.length,
+    links: session.model.links.length,
+    paths: session.model.savedPaths.length
+  };
+  console.log(`💾 Session saved: ${filename} (${blob.size} bytes)`, stats);
+
+  return { filename, bytes: blob.size, ...stats };
+}
+
+/**
+ * Read a session file, gunzipping it if needed
+ * @param {File|Blob} file - File picked by the user
+ * @returns {Promise<Object>} The validated session
+ */
+export async function readSessionFile(file) {
+  const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const isGzip = magic[0] === 0x1f && magic[1] === 0x8b;
+
+  let text;
+  if (isGzip) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser does not support DecompressionStream; open an uncompressed session');
+    }
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    text = await new Response(stream).text();
+  } else {
+    text = await file.text();
+  }
+
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a session file: ${error.message}`);
+  }
+
+  validateSession(session);
+  return session;
+}
+
+/**
+ * Check that an object is a session this version can restore
+ */
+export function validateSession(session) {
+  if (!session || session.type !== SESSION_TYPE) {
+    throw new Error('Not a session file');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+  if (!session.model || !Array.isArray(session.model.nodes) || !Array.isArray(session.model.links)) {
+    throw new Error('Session has no graph data');
+  }
+}
+
+// ===== HELPERS =====
+
+function generateSessionFilename(session) {
+  const base = (session.filename || 'graph').replace(/\.[^.]+$/, '');
+  const timestamp = session.savedAt.substring(0, 19).replace(/[:.]/g, '-');
+  return `${base}_${timestamp}.session.json`;
+}
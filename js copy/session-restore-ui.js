@@ -0,0 +1,176 @@
+// session-restore-ui.js - Startup dialog offering to restore an autosaved session
+
+import { escapeHtml } from './utils/dom-utils.js';
+
+/**
+ * Show recent autosaved sessions, most recent first
+ * @param {Array} summaries - Session summaries from SessionStore.list()
+ * @param {Object} options - {title, onRestore(summary), onDiscard()}
+ */
+export function showSessionRestoreDialog(summaries, options = {}) {
+  const { title = 'Restore Previous Session?', onRestore = null, onDiscard = null } = options;
+
+  const previous = document.getElementById('sessionRestoreDialog');
+  if (previous) {
+    previous.parentElement.remove();
+  }
+
+  const rows = summaries.map((summary, index) => `
+    <li class="session-restore-item${summary.unsaved ? ' unsaved' : ''}">
+      <div class="session-restore-info">
+        <div class="session-restore-name">${escapeHtml(summary.filename || 'Untitled graph')}</div>
+        <div class="session-restore-meta">
+          ${new Date(summary.updatedAt).toLocaleString()} · ${formatAge(summary.updatedAt)}<br>
+          ${summary.nodeCount} nodes, ${summary.linkCount} links, ${summary.pathCount} paths
+          ${summary.unsaved ? '· <span class="session-restore-unsaved">not saved to file</span>' : ''}
+        </div>
+      </div>
+      <button class="confirm-btn" data-index="${index}">Restore</button>
+    </li>
+  `).join('');
+
+  const dialogHTML = `
+    <div id="sessionRestoreDialog" style="display: block;">
+      <h3>${title}</h3>
+      <p class="session-restore-intro">These sessions were autosaved in this browser.</p>
+      <ul class="session-restore-list">${rows}</ul>
+      <div class="dialog-buttons">
+        <button class="cancel-btn" id="discardSessions">Discard All</button>
+        <button class="cancel-btn" id="closeSessionRestore">Not Now</button>
+      </div>
+    </div>
+  `;
+
+  const overlay = document.getElementById('dialogOverlay');
+  if (overlay) {
+    overlay.style.display = 'block';
+  }
+
+  const dialogContainer = document.createElement('div');
+  dialogContainer.innerHTML = dialogHTML;
+  document.body.appendChild(dialogContainer);
+
+  const close = () => {
+    if (document.body.contains(dialogContainer)) {
+      document.body.removeChild(dialogContainer);
+    }
+    if (overlay) {
+      overlay.style.display = 'none';
+      overlay.removeEventListener('click', close);
+    }
+  };
+
+  dialogContainer.querySelectorAll('.session-restore-item button').forEach(button => {
+    button.addEventListener('click', () => {
+      const summary = summaries[parseInt(button.dataset.index, 10)];
+      close();
+      if (onRestore) {
+        onRestore(summary);
+      }
+    });
+  });
+
+  document.getElementById('discardSessions').addEventListener('click', () => {
+    if (!confirm('Delete all autosaved sessions?')) return;
+    close();
+    if (onDiscard) {
+      onDiscard();
+    }
+  });
+
+  document.getElementById('closeSessionRestore').addEventListener('click', close);
+
+  if (overlay) {
+    overlay.addEventListener('click', close);
+  }
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+/**
+ * Add session restore dialog styles to the page
+ */
+export function addSessionRestoreStyles() {
+  const styleId = 'session-restore-styles';
+  if (document.getElementById(styleId)) return; // Already added
+
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `
+    #sessionRestoreDialog {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      border: 2px solid #333;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 1001;
+      width: 460px;
+      max-width: 90vw;
+    }
+
+    .session-restore-intro {
+      margin: 0 0 10px 0;
+      font-size: 13px;
+      color: #555;
+    }
+
+    .session-restore-list {
+      list-style: none;
+      margin: 0 0 12px 0;
+      padding: 0;
+      max-height: 50vh;
+      overflow-y: auto;
+    }
+
+    .session-restore-item {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 10px;
+      padding: 8px;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      margin-bottom: 6px;
+    }
+
+    .session-restore-item.unsaved {
+      border-left: 4px solid #ffc107;
+    }
+
+    .session-restore-item button {
+      width: auto;
+      margin: 0;
+      flex-shrink: 0;
+    }
+
+    .session-restore-name {
+      font-weight: bold;
+      font-size: 13px;
+      word-break: break-all;
+    }
+
+    .session-restore-meta {
+      font-size: 11px;
+      color: #666;
+    }
+
+    .session-restore-unsaved {
+      color: #b8860b;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
@@ -0,0 +1,40 @@
+// dom-utils.js - Browser helpers shared by the exporters and dialogs
+
+/**
+ * Download a blob as file
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+
+  console.log(`✅ File download initiated: ${filename}`);
+}
+
+/**
+ * Download text content as file
+ * @param {string} type - MIME type of the file
+ */
+export function downloadTextFile(content, filename, type = 'text/plain;charset=utf-8') {
+  downloadBlob(new Blob([content], { type }), filename);
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
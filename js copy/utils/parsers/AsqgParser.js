@@ -0,0 +1,203 @@
+// AsqgParser.js - SGA string graph (ASQG) parser
+
+import { Parser } from './Parser.js';
+import { parseTag } from './gfa-tags.js';
+
+/**
+ * AsqgParser parses SGA assembly string graphs (.asqg).
+ *
+ *   HT  VN:i:1  ER:f:0  OL:i:45 ...
+ *   VT  read1  GATCGATC...  SS:i:0
+ *   ED  read2 read1 0 53 54 34 87 88 0 0
+ *
+ * ED fields: s1 s2 s1Start s1End s1Len s2Start s2End s2Len reverse numDiff
+ * (0-based, inclusive coordinates). Overlaps are turned into oriented links
+ * with an "<n>M" overlap, following the same suffix → prefix rule as GFA.
+ */
+export class AsqgParser extends Parser {
+  constructor() {
+    super('asqg');
+
+    this.header = {};
+  }
+
+  static get descriptor() {
+    return {
+      id: 'asqg',
+      label: 'SGA string graph (ASQG)',
+      extensions: ['asqg'],
+      capabilities: { gfaRendering: true, orientations: true, paths: false, streaming: false }
+    };
+  }
+
+  /**
+   * HT header or VT vertex records
+   */
+  static sniff(head) {
+    return /^(HT|VT)\t/m.test(head);
+  }
+
+  /**
+   * Parse ASQG text into graph data
+   * @param {string} text - ASQG text to parse
+   * @param {Function} logEvent - Optional logging function
+   * @returns {Object} {nodes, links} - Plain objects, same shape as GfaParser output
+   */
+  parse(text, logEvent = null) {
+    this.clearMessages();
+    this.header = {};
+
+    if (logEvent) logEvent('Parsing ASQG…');
+
+    if (!this.validate(text)) {
+      throw new Error('Invalid ASQG input');
+    }
+
+    const nodes = [];
+    const links = [];
+    const seen = new Set();
+
+    text.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+      if (!line) return;
+
+      const fields = line.split('\t');
+
+      try {
+        switch (fields[0]) {
+          case 'HT': // Header
+            this.parseTags(this.header, fields, 1, lineNumber);
+            break;
+
+          case 'VT': // Vertex (read)
+            const node = this.parseVertex(fields, lineNumber);
+            if (node) {
+              nodes.push(node);
+            }
+            break;
+
+          case 'ED': // Edge (overlap)
+            const link = this.parseEdge(fields, lineNumber);
+            if (link) {
+              const key = `${link.source}${link.srcOrientation}→${link.target}${link.tgtOrientation}`;
+              if (seen.has(key)) {
+                this.addWarning(`Line ${lineNumber}: duplicate overlap ${key}`);
+              } else {
+                seen.add(key);
+                link.id = `ED${links.length + 1}`;
+                links.push(link);
+              }
+            }
+            break;
+
+          default:
+            this.addWarning(`Unknown record type on line ${lineNumber}: ${fields[0]}`);
+        }
+      } catch (error) {
+        this.addError(`Error on line ${lineNumber}: ${error.message}`);
+      }
+    });
+
+    this.log(`Parsed ${nodes.length} vertices and ${links.length} overlaps`);
+    if (logEvent) logEvent(`  → parsed ${nodes.length} ASQG vertices, ${links.length} overlaps`);
+
+    return { nodes, links };
+  }
+
+  /**
+   * Parse a VT (vertex) record
+   */
+  parseVertex(fields, lineNumber) {
+    // VT readId sequence [tags]
+    if (fields.length < 3) {
+      this.addError(`Invalid vertex line ${lineNumber}: insufficient fields`);
+      return null;
+    }
+
+    const seq = fields[2];
+    const node = {
+      id: fields[1],
+      seq,
+      length: seq !== '*' ? seq.length : 1000,
+      depth: 1.0,
+      gfaType: 'segment',
+      gfaLine: lineNumber
+    };
+
+    this.parseTags(node, fields, 3, lineNumber);
+
+    return node;
+  }
+
+  /**
+   * Parse an ED (overlap) record into an oriented link
+   */
+  parseEdge(fields, lineNumber) {
+    const parts = (fields[1] || '').split(/\s+/);
+    if (parts.length < 9) {
+      this.addError(`Invalid edge line ${lineNumber}: insufficient fields`);
+      return null;
+    }
+
+    const [s1, s2] = parts;
+    const [s1Start, s1End, s1Len, s2Start, s2End, s2Len, reverseFlag] = parts.slice(2, 9).map(Number);
+    const numDiff = parts.length > 9 ? Number(parts[9]) : 0;
+
+    if ([s1Start, s1End, s1Len, s2Start, s2End, s2Len].some(n => Number.isNaN(n))) {
+      throw new Error('Non-numeric overlap coordinates');
+    }
+
+    const reverse = reverseFlag === 1;
+    const overlapLength = s1End - s1Start + 1;
+    const s1Suffix = s1End === s1Len - 1;
+    const s1Prefix = s1Start === 0;
+    const s2Contained = s2Start === 0 && s2End === s2Len - 1;
+    const s1Contained = s1Prefix && s1Suffix;
+
+    const link = {
+      source: s1,
+      target: s2,
+      srcOrientation: '+',
+      tgtOrientation: reverse ? '-' : '+',
+      overlap: `${overlapLength}M`,
+      gfaType: 'link',
+      edgeType: 'dovetail',
+      differences: numDiff,
+      gfaLine: lineNumber
+    };
+
+    if (s1Contained || s2Contained) {
+      link.edgeType = 'containment';
+      link.container = s1Contained ? s2 : s1;
+      link.contained = s1Contained ? s1 : s2;
+      return link;
+    }
+
+    if (!s1Suffix && !s1Prefix) {
+      throw new Error(`Overlap ${s1}/${s2} does not reach either end of ${s1}`);
+    }
+
+    // Overlap on s1's prefix: s2 comes first, read on the opposite strand it's s1- → s2
+    link.srcOrientation = s1Suffix ? '+' : '-';
+    link.tgtOrientation = s1Suffix === !reverse ? '+' : '-';
+
+    return link;
+  }
+
+  /**
+   * Parse TAG:TYPE:VALUE fields onto a record (same typed form as GfaParser)
+   */
+  parseTags(record, fields, startIndex, lineNumber) {
+    record.tags = record.tags || {};
+
+    for (let i = startIndex; i < fields.length; i++) {
+      try {
+        const { name, ...typed } = parseTag(fields[i]);
+        record.tags[name] = typed;
+      } catch (error) {
+        this.addWarning(`Line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+}
@@ -2,6 +2,12 @@
 
 import { Parser } from './Parser.js';
 
+// Subgraph rank values understood by the hierarchical layout
+const RANK_VALUES = ['same', 'min', 'max', 'source', 'sink'];
+
+// DOT tokens: quoted string, comment, edge operator, punctuation (newline ends a statement), bare ID
+const TOKEN_PATTERN = /"((?:[^"\\]|\\.)*)"|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(-[->])|([{}[\];,=\n])|([\w.]+|-[\d.]+)|\S/g;
+
 /**
  * DotParser parses DOT format graph files.
  * Uses graphlib-dot library for parsing.
@@ -9,6 +15,25 @@ import { Parser } from './Parser.js';
 export class DotParser extends Parser {
   constructor() {
     super('dot');
+
+    // Graph-level data kept for DOT export and layout: {directed, strict, attrs, rankGroups}
+    this.graphHeader = null;
+  }
+
+  static get descriptor() {
+    return {
+      id: 'dot',
+      label: 'DOT (Graphviz)',
+      extensions: ['dot', 'gv'],
+      capabilities: { gfaRendering: false, orientations: false, paths: false, streaming: false }
+    };
+  }
+
+  /**
+   * (strict) (di)graph [name] { — comment lines are skipped
+   */
+  static sniff(head) {
+    return /^\s*(strict\s+)?(di)?graph\b[^{]*\{/im.test(head.replace(/^\s*(\/\/|#)[^\n]*\n/gm, ''));
   }
 
   /**
@@ -51,13 +76,27 @@ export class DotParser extends Parser {
     const nodes = [];
     const links = [];
 
+    this.graphHeader = {
+      directed: graph.isDirected(),
+      strict: !graph.isMultigraph(),
+      attrs: { ...(graph.graph() || {}) },
+      // Read from the text: graphlib drops subgraphs whose nodes were declared before
+      rankGroups: this.parseRankGroups(text)
+    };
+
+    // Subgraphs and clusters are parent nodes in graphlib's compound graph, not graph nodes
+    const isSubgraph = (nodeId) => graph.isCompound() && graph.children(nodeId).length > 0;
+
     // Extract nodes as plain objects (not Node instances)
     graph.nodes().forEach(nodeId => {
-      const nodeData = graph.node(nodeId);
+      if (isSubgraph(nodeId)) return;
+
+      const nodeData = graph.node(nodeId) || {};
 
       const node = {
         id: nodeId,
-        ...nodeData
+        ...nodeData,
+        dotAttrs: { ...nodeData }
       };
 
       nodes.push(node);
@@ -70,7 +109,8 @@ export class DotParser extends Parser {
       const link = {
         source: edge.v,
         target: edge.w,
-        ...edgeData
+        ...edgeData,
+        dotAttrs: { ...edgeData }
       };
 
       links.push(link);
@@ -78,6 +118,9 @@ export class DotParser extends Parser {
 
     this.log(`Parsed ${nodes.length} nodes and ${links.length} edges`);
     if (logEvent) logEvent(`  → graphlib-dot found ${links.length} edges`);
+    if (logEvent && this.graphHeader.rankGroups.length > 0) {
+      logEvent(`  → ${this.graphHeader.rankGroups.length} rank group(s)`);
+    }
 
     return { nodes, links };
   }
@@ -90,6 +133,13 @@ export class DotParser extends Parser {
     const links = [];
     const nodeMap = new Map();
 
+    this.graphHeader = {
+      directed: /^\s*(strict\s+)?digraph\b/im.test(text),
+      strict: /^\s*strict\b/im.test(text),
+      attrs: {},
+      rankGroups: this.parseRankGroups(text)
+    };
+
     // Simple regex patterns
     const nodePattern = /(\w+)\s*\[([^\]]+)\]/g;
     const edgePattern = /(\w+)\s*-[->]\s*(\w+)(?:\s*\[([^\]]+)\])?/g;
@@ -102,7 +152,8 @@ export class DotParser extends Parser {
 
       const node = {
         id: nodeId,
-        ...attrs
+        ...attrs,
+        dotAttrs: { ...attrs }
       };
 
       nodes.push(node);
@@ -133,7 +184,8 @@ export class DotParser extends Parser {
       const link = {
         source: sourceId,
         target: targetId,
-        ...attrs
+        ...attrs,
+        dotAttrs: { ...attrs }
       };
 
       links.push(link);
@@ -146,6 +198,99 @@ export class DotParser extends Parser {
     return { nodes, links };
   }
 
+  /**
+   * Find { rank=same; a; b; } blocks (innermost braces only).
+   * Works on tokens, so quoted IDs may contain spaces, braces or semicolons.
+   */
+  parseRankGroups(text) {
+    const groups = [];
+    const tokens = this.tokenize(text);
+    const openBlocks = [];
+
+    tokens.forEach((token, index) => {
+      if (token.punct === '{') {
+        if (openBlocks.length > 0) openBlocks[openBlocks.length - 1].nested = true;
+        openBlocks.push({ start: index + 1, nested: false });
+      } else if (token.punct === '}' && openBlocks.length > 0) {
+        const block = openBlocks.pop();
+        if (!block.nested) {
+          const group = this.rankGroupOf(tokens.slice(block.start, index));
+          if (group) groups.push(group);
+        }
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Rank and member IDs of one block's tokens, null if it sets no known rank
+   */
+  rankGroupOf(tokens) {
+    let rank = null;
+    const nodes = [];
+    let statement = [];
+    let inAttrList = false;
+
+    const endStatement = () => {
+      const isAssignment = statement.some(token => token.punct === '=');
+      if (isAssignment) {
+        if (statement[0]?.id === 'rank' && statement[1]?.punct === '=' && statement[2]?.id !== undefined) {
+          rank = statement[2].id;
+        }
+      } else {
+        // Node and edge statements; node/edge/graph defaults are skipped
+        const ids = statement.filter(token => token.id !== undefined);
+        const isDefault = ids.length > 0 && !ids[0].quoted && /^(node|edge|graph)$/i.test(ids[0].id);
+        if (!isDefault) {
+          ids.forEach(token => nodes.push(token.id));
+        }
+      }
+      statement = [];
+    };
+
+    tokens.forEach(token => {
+      if (inAttrList) {
+        if (token.punct === ']') inAttrList = false;
+        return;
+      }
+      if (token.punct === '[') {
+        inAttrList = true;
+      } else if (token.punct === ';' || token.punct === '\n') {
+        endStatement();
+      } else {
+        statement.push(token);
+      }
+    });
+    endStatement();
+
+    if (!RANK_VALUES.includes(rank) || nodes.length === 0) return null;
+    return { rank, nodes: [...new Set(nodes)] };
+  }
+
+  /**
+   * Split DOT text into tokens: {id, quoted} for IDs, {punct} for punctuation and edge operators
+   */
+  tokenize(text) {
+    const tokens = [];
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+      const [, quoted, edgeOp, punct, bare] = match;
+      if (quoted !== undefined) {
+        tokens.push({ id: quoted.replace(/\\"/g, '"'), quoted: true });
+      } else if (bare !== undefined) {
+        tokens.push({ id: bare, quoted: false });
+      } else if (punct !== undefined || edgeOp !== undefined) {
+        tokens.push({ punct: punct ?? edgeOp });
+      }
+      // Comments and stray characters are dropped
+    }
+
+    return tokens;
+  }
+
   /**
    * Parse DOT attribute string
    */
@@ -0,0 +1,276 @@
+// FastgParser.js - FASTG (SPAdes/MEGAHIT assembly graph) parser
+
+import { Parser } from './Parser.js';
+import { flipOrientation, reverseComplement } from '../sequence-utils.js';
+
+/**
+ * FastgParser parses FASTG assembly graphs such as SPAdes' assembly_graph.fastg.
+ *
+ * Each edge record appears twice, once per strand:
+ *   >EDGE_1_length_56_cov_3.5:EDGE_2_length_80_cov_4.1',EDGE_7_length_120_cov_2.0;
+ *   >EDGE_1_length_56_cov_3.5':EDGE_5_length_90_cov_1.2;
+ * A trailing ' marks the reverse complement. Records become GFA-style segments
+ * (id "1", length, depth) and neighbours become oriented links (1+ → 2-).
+ * Since every adjacency is listed on both strands, only one of each pair is kept.
+ *
+ * FASTG has no overlap field. Adjacent SPAdes/MEGAHIT edges share k bases, so links
+ * get a "<k>M" overlap, with k inferred from the longest suffix/prefix the linked
+ * sequences share (the most common value wins). Without sequences it is '*'.
+ */
+export class FastgParser extends Parser {
+  constructor() {
+    super('fastg');
+
+    this.linkStats = { duplicates: 0, reverseEquivalents: 0 };
+  }
+
+  static get descriptor() {
+    return {
+      id: 'fastg',
+      label: 'FASTG',
+      extensions: ['fastg'],
+      capabilities: { gfaRendering: true, orientations: true, paths: false, streaming: false }
+    };
+  }
+
+  /**
+   * ">name[:neighbours];" headers, or SPAdes/MEGAHIT edge names
+   */
+  static sniff(head) {
+    return /^>[^\n]*;\s*$/m.test(head) || /^>(EDGE|NODE)_[^_\s]+_length_\d+_cov_/m.test(head);
+  }
+
+  /**
+   * Parse FASTG text into graph data
+   * @param {string} text - FASTG text to parse
+   * @param {Function} logEvent - Optional logging function
+   * @returns {Object} {nodes, links} - Plain objects, same shape as GfaParser output
+   */
+  parse(text, logEvent = null) {
+    this.clearMessages();
+    this.linkStats = { duplicates: 0, reverseEquivalents: 0 };
+
+    if (logEvent) logEvent('Parsing FASTG…');
+
+    if (!this.validate(text)) {
+      throw new Error('Invalid FASTG input');
+    }
+
+    const records = this.readRecords(text);
+    const segments = new Map();
+
+    // Segments: prefer the forward record's sequence, fall back to reverse-complementing
+    records.forEach(record => {
+      const { id, reverse } = record.self;
+      const existing = segments.get(id);
+
+      if (existing && !reverse && existing.fromForward) {
+        this.addWarning(`Line ${record.line}: duplicate record for ${record.self.name}`);
+        return;
+      }
+      if (existing && reverse) {
+        return;
+      }
+
+      segments.set(id, {
+        ...record.self,
+        seq: reverse ? reverseComplement(record.seq) : record.seq,
+        line: record.line,
+        fromForward: !reverse
+      });
+    });
+
+    const nodes = Array.from(segments.values()).map(segment => this.createNode(segment));
+
+    // Links: record orientation → neighbour orientation
+    const links = [];
+    const seen = new Set();
+    let linkCounter = 0;
+
+    records.forEach(record => {
+      const srcOrientation = record.self.reverse ? '-' : '+';
+
+      record.neighbours.forEach(neighbour => {
+        const tgtOrientation = neighbour.reverse ? '-' : '+';
+        const key = `${record.self.id}${srcOrientation}→${neighbour.id}${tgtOrientation}`;
+        const reverseKey = `${neighbour.id}${flipOrientation(tgtOrientation)}→` +
+                           `${record.self.id}${flipOrientation(srcOrientation)}`;
+
+        if (seen.has(key)) {
+          this.linkStats.duplicates++;
+          return;
+        }
+        if (seen.has(reverseKey)) {
+          // Same adjacency listed from the other strand's record
+          return;
+        }
+        seen.add(key);
+
+        if (!segments.has(neighbour.id)) {
+          this.addWarning(`Line ${record.line}: ${record.self.name} links to unknown edge ${neighbour.name}`);
+        }
+
+        links.push({
+          id: `L${++linkCounter}`,
+          source: record.self.id,
+          target: neighbour.id,
+          srcOrientation,
+          tgtOrientation,
+          overlap: '*', // Filled in once k is known
+          gfaType: 'link',
+          gfaLine: record.line
+        });
+      });
+    });
+
+    const k = this.inferOverlap(links, segments);
+    if (k !== null) {
+      links.forEach(link => { link.overlap = `${k}M`; });
+      this.log(`Overlap between adjacent edges: ${k} bp (inferred)`);
+    } else if (links.length > 0) {
+      this.addWarning('Could not infer the k-mer overlap between edges; links have no overlap (*)');
+    }
+
+    this.log(`Parsed ${nodes.length} edges and ${links.length} links`);
+    if (logEvent) logEvent(`  → parsed ${nodes.length} FASTG edges, ${links.length} links`);
+
+    return { nodes, links };
+  }
+
+  /**
+   * Most common longest suffix/prefix shared by linked sequences, null if none
+   * @param {Array} links - Parsed links (oriented)
+   * @param {Map} segments - id -> segment with forward seq
+   * @param {number} sampleSize - Links to inspect at most
+   */
+  inferOverlap(links, segments, sampleSize = 500) {
+    const counts = new Map();
+
+    links.slice(0, sampleSize).forEach(link => {
+      const source = this.orientedSequence(segments.get(link.source), link.srcOrientation);
+      const target = this.orientedSequence(segments.get(link.target), link.tgtOrientation);
+      if (!source || !target) return;
+
+      const overlap = this.sharedSuffixPrefix(source, target);
+      if (overlap > 0) {
+        counts.set(overlap, (counts.get(overlap) || 0) + 1);
+      }
+    });
+
+    let best = null;
+    counts.forEach((count, overlap) => {
+      if (best === null || count > counts.get(best)) best = overlap;
+    });
+    return best;
+  }
+
+  /**
+   * Sequence of a segment on the given strand, null when unknown
+   */
+  orientedSequence(segment, orientation) {
+    if (!segment || !segment.seq) return null;
+    return orientation === '-' ? reverseComplement(segment.seq) : segment.seq;
+  }
+
+  /**
+   * Length of the longest proper suffix of a that is a prefix of b
+   */
+  sharedSuffixPrefix(a, b, maxOverlap = 1000) {
+    const limit = Math.min(a.length - 1, b.length - 1, maxOverlap);
+    for (let length = limit; length > 0; length--) {
+      if (a.endsWith(b.slice(0, length))) return length;
+    }
+    return 0;
+  }
+
+  /**
+   * Split FASTG text into header/sequence records
+   */
+  readRecords(text) {
+    const records = [];
+    let current = null;
+
+    text.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.startsWith('>')) {
+        try {
+          current = { ...this.parseHeader(line), seq: '', line: index + 1 };
+          records.push(current);
+        } catch (error) {
+          this.addError(`Error on line ${index + 1}: ${error.message}`);
+          current = null;
+        }
+      } else if (current) {
+        current.seq += line;
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Parse a header line: >NAME[:NEIGHBOUR,NEIGHBOUR...];
+   */
+  parseHeader(line) {
+    const body = line.slice(1).replace(/;$/, '');
+    const colon = body.indexOf(':');
+    const selfName = colon >= 0 ? body.slice(0, colon) : body;
+    const neighbourNames = colon >= 0
+      ? body.slice(colon + 1).split(',').filter(name => name.length > 0)
+      : [];
+
+    if (!selfName) {
+      throw new Error('Empty FASTG header');
+    }
+
+    return {
+      self: this.parseEdgeName(selfName),
+      neighbours: neighbourNames.map(name => this.parseEdgeName(name))
+    };
+  }
+
+  /**
+   * Parse an edge name such as EDGE_12_length_5000_cov_23.4'
+   * @returns {Object} {name, id, reverse, length, coverage}
+   */
+  parseEdgeName(name) {
+    const reverse = name.endsWith("'");
+    const baseName = reverse ? name.slice(0, -1) : name;
+
+    // SPAdes: EDGE_<n>_length_<len>_cov_<cov>; MEGAHIT (contig2fastg): NODE_<n>_length_<len>_cov_<cov>_ID_<x>
+    const match = /^(?:EDGE|NODE)_([^_]+)_length_(\d+)_cov_([\d.eE+-]+)/.exec(baseName);
+
+    return {
+      name: baseName,
+      id: match ? match[1] : baseName,
+      reverse,
+      length: match ? parseInt(match[2], 10) : null,
+      coverage: match ? parseFloat(match[3]) : null
+    };
+  }
+
+  /**
+   * Build a GFA-style node from a FASTG edge
+   */
+  createNode(segment) {
+    const seq = segment.seq || '*';
+    const length = segment.length ?? (seq !== '*' ? seq.length : 1000);
+    const depth = segment.coverage > 0 ? segment.coverage : 1.0;
+
+    return {
+      id: segment.id,
+      seq,
+      length,
+      depth,
+      gfaType: 'segment',
+      fastgName: segment.name,
+      gfaLine: segment.line,
+      tags: {
+        LN: { type: 'i', value: length },
+        DP: { type: 'f', value: depth }
+      }
+    };
+  }
+}
@@ -0,0 +1,194 @@
+// GfaLinter.js - Validation pass over parsed GFA data
+
+/**
+ * GfaLinter checks parsed GFA nodes and links for problems that the parser
+ * tolerates but that break resolution, merging or sequence export.
+ *
+ * Each finding: {severity: 'error'|'warning', code, message, line, nodeIds}
+ * Line numbers come from the gfaLine field GfaParser sets on every segment and link.
+ */
+export class GfaLinter {
+  /**
+   * Run all checks
+   * @param {Object} parsed - {nodes, links} as returned by GfaParser
+   * @param {Parser} parser - Optional parser whose errors/warnings are folded into the report
+   * @returns {Object} {findings, errorCount, warningCount, nodeCount, linkCount, createdAt}
+   */
+  lint({ nodes, links }, parser = null) {
+    const findings = [];
+    const add = (severity, code, message, line = null, nodeIds = []) => {
+      findings.push({ severity, code, message, line, nodeIds });
+    };
+
+    if (nodes.length === 0) {
+      add('error', 'empty-graph', 'The file contains no segments');
+    }
+
+    const nodeMap = this.checkSegments(nodes, add);
+    this.checkLinks(links, nodeMap, add);
+
+    if (parser) {
+      parser.getErrors().forEach(({ message }) => add('error', 'parse-error', message, this.lineFromMessage(message)));
+      parser.getWarnings().forEach(({ message }) => add('warning', 'parse-warning', message, this.lineFromMessage(message)));
+    }
+
+    // File order reads best; findings without a line go first
+    findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+    return {
+      findings,
+      errorCount: findings.filter(f => f.severity === 'error').length,
+      warningCount: findings.filter(f => f.severity === 'warning').length,
+      nodeCount: nodes.length,
+      linkCount: links.length,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Duplicate names and LN tags that disagree with the sequence
+   * @returns {Map} id → first segment with that id
+   */
+  checkSegments(nodes, add) {
+    const nodeMap = new Map();
+
+    nodes.forEach(node => {
+      const id = String(node.id);
+
+      if (nodeMap.has(id)) {
+        const first = nodeMap.get(id);
+        add('error', 'duplicate-segment',
+          `Segment ${id} is defined again (first on line ${first.gfaLine || '?'}); the later copy is ignored`,
+          node.gfaLine, [id]);
+        return;
+      }
+      nodeMap.set(id, node);
+
+      const lnTag = node.tags && node.tags.LN;
+      if (lnTag && node.seq && node.seq !== '*' && lnTag.value !== node.seq.length) {
+        add('warning', 'length-mismatch',
+          `Segment ${id} has LN:i:${lnTag.value} but its sequence is ${node.seq.length} bp`,
+          node.gfaLine, [id]);
+      }
+    });
+
+    return nodeMap;
+  }
+
+  /**
+   * Dangling links, orientation characters, GFA2 edge kinds and CIGAR overlaps
+   */
+  checkLinks(links, nodeMap, add) {
+    links.forEach(link => {
+      const sourceId = String(link.source?.id ?? link.source);
+      const targetId = String(link.target?.id ?? link.target);
+      const source = nodeMap.get(sourceId);
+      const target = nodeMap.get(targetId);
+      const present = [sourceId, targetId].filter(id => nodeMap.has(id));
+      const label = `${sourceId}${link.srcOrientation || ''} → ${targetId}${link.tgtOrientation || ''}`;
+
+      if (!source || !target) {
+        const missing = [sourceId, targetId].filter(id => !nodeMap.has(id));
+        add('error', 'dangling-link',
+          `Link ${label} references missing segment ${missing.join(' and ')}; it was not loaded`,
+          link.gfaLine, present);
+      }
+
+      [link.srcOrientation, link.tgtOrientation].forEach(orientation => {
+        if (orientation !== '+' && orientation !== '-') {
+          add('error', 'invalid-orientation',
+            `Link ${label} has invalid orientation "${orientation}" (expected + or -)`,
+            link.gfaLine, present);
+        }
+      });
+
+      if (link.edgeType === 'internal') {
+        add('warning', 'internal-edge',
+          `Edge ${link.edgeId && link.edgeId !== '*' ? `${link.edgeId} ` : ''}(${label}) is neither a dovetail nor a containment; ` +
+          'it is kept as an internal overlap and left out of GFA export',
+          link.gfaLine, present);
+      }
+
+      this.checkOverlap(link, label, source, target, present, add);
+    });
+  }
+
+  /**
+   * A CIGAR overlap must parse and fit inside both segments
+   */
+  checkOverlap(link, label, source, target, present, add) {
+    const overlap = link.overlap;
+    if (!overlap || overlap === '*' || link.gfaType === 'gap') {
+      return;
+    }
+
+    if (!/^(\d+[MIDNSHPX=])+$/.test(overlap)) {
+      add('error', 'bad-cigar', `Link ${label} has malformed overlap "${overlap}"`, link.gfaLine, present);
+      return;
+    }
+
+    // Bases of the overlap on the source (M/D/N/=/X) and on the target (M/I/S/=/X)
+    let sourceSpan = 0;
+    let targetSpan = 0;
+    overlap.match(/\d+[MIDNSHPX=]/g).forEach(op => {
+      const length = parseInt(op, 10);
+      const code = op.charAt(op.length - 1);
+      if ('MDN=X'.includes(code)) sourceSpan += length;
+      if ('MIS=X'.includes(code)) targetSpan += length;
+    });
+
+    const sourceLength = this.knownLength(source);
+    const targetLength = this.knownLength(target);
+
+    if (sourceLength !== null && sourceSpan > sourceLength) {
+      add('error', 'overlap-too-long',
+        `Link ${label} overlap ${overlap} covers ${sourceSpan} bp of ${source.id}, which is only ${sourceLength} bp`,
+        link.gfaLine, present);
+    }
+    if (targetLength !== null && targetSpan > targetLength) {
+      add('error', 'overlap-too-long',
+        `Link ${label} overlap ${overlap} covers ${targetSpan} bp of ${target.id}, which is only ${targetLength} bp`,
+        link.gfaLine, present);
+    }
+  }
+
+  /**
+   * Segment length from its sequence or LN tag; null when unknown
+   */
+  knownLength(node) {
+    if (!node) return null;
+    if (node.seq && node.seq !== '*') return node.seq.length;
+    if (node.tags && node.tags.LN && Number.isFinite(node.tags.LN.value)) return node.tags.LN.value;
+    return null;
+  }
+
+  /**
+   * Pull "line N" out of a parser message
+   */
+  lineFromMessage(message) {
+    const match = /line (\d+)/i.exec(message);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Render a report as tab-separated text for download
+   */
+  static toText(report, filename = '') {
+    const header = [
+      `# GFA lint report${filename ? ` for ${filename}` : ''}`,
+      `# Generated: ${report.createdAt.toISOString()}`,
+      `# ${report.nodeCount} segments, ${report.linkCount} links, ${report.errorCount} errors, ${report.warningCount} warnings`,
+      ['line', 'severity', 'code', 'nodes', 'message'].join('\t')
+    ];
+
+    const rows = report.findings.map(f => [
+      f.line ?? '',
+      f.severity,
+      f.code,
+      f.nodeIds.join(','),
+      f.message
+    ].join('\t'));
+
+    return [...header, ...rows].join('\n') + '\n';
+  }
+}
@@ -1,16 +1,38 @@
 // GfaParser.js - GFA format parser
 
 import { Parser } from './Parser.js';
+import { parseTag, isNumericTag } from './gfa-tags.js';
+import { flipOrientation } from '../sequence-utils.js';
 
 /**
  * GfaParser parses GFA (Graphical Fragment Assembly) format files.
- * Supports GFA v1.0 and v2.0.
+ * Supports GFA v1.0, v1.1 (walks) and v2.0 (S, E, F, G, O, U records).
  */
 export class GfaParser extends Parser {
   constructor() {
     super('gfa');
 
     this.version = '1.0';
+    this.headerTags = {}; // typed H-line tags, kept for GFA export
+    this.linkStats = { duplicates: 0, reverseEquivalents: 0 };
+    this._stream = null;
+    this._lineNumber = 0;
+  }
+
+  static get descriptor() {
+    return {
+      id: 'gfa',
+      label: 'GFA',
+      extensions: ['gfa', 'gfa1', 'gfa2'],
+      capabilities: { gfaRendering: true, orientations: true, paths: true, streaming: true }
+    };
+  }
+
+  /**
+   * Tab-separated H/S/L/E/P/W records
+   */
+  static sniff(head) {
+    return /^(H\t|S\t[^\t]+\t|[LEPW]\t)/m.test(head);
   }
 
   /**
@@ -28,100 +50,222 @@ export class GfaParser extends Parser {
       throw new Error('Invalid GFA input');
     }
 
-    const nodes = [];
-    const links = [];
-    const seen = new Set();
+    this.beginStream();
 
-    const lines = text.split('\n');
+    text.split('\n').forEach((line, lineNum) => {
+      this.parseLine(line, lineNum + 1);
+    });
 
-    lines.forEach((line, lineNum) => {
-      line = line.trim();
+    const result = this.endStream();
 
-      if (!line || line.startsWith('#')) {
-        return; // Skip empty lines and comments
-      }
+    if (logEvent) logEvent(`  → parsed ${result.nodes.length} segments, ${result.links.length} links`);
 
-      const fields = line.split('\t');
-      const recordType = fields[0];
+    return result;
+  }
 
-      try {
-        switch (recordType) {
-          case 'H': // Header
-            this.parseHeader(fields);
-            break;
-
-          case 'S': // Segment (node)
-            const node = this.parseSegment(fields);
-            if (node) {
-              nodes.push(node);
-            }
-            break;
-
-          case 'L': // Link (edge)
-            const link = this.parseLink(fields);
-            if (link) {
-              // Check for duplicates
-              const key = `${link.source}→${link.target}`;
-              if (!seen.has(key)) {
-                seen.add(key);
-                links.push(link);
-              }
+  // ===== STREAMING API =====
+  // Used by parse() and by the worker, which feeds lines as file chunks arrive
+
+  /**
+   * Start an incremental parse
+   */
+  beginStream() {
+    this.clearMessages();
+    this.headerTags = {};
+
+    this._stream = {
+      nodes: [],
+      links: [],
+      seen: new Set(),
+      // GFA2 records that reference other records are resolved after all lines are read
+      fragments: [],
+      groups: [],
+      edgesById: new Map(),
+      linkCounter: 0
+    };
+
+    this.linkStats = {
+      duplicates: 0,
+      reverseEquivalents: 0
+    };
+  }
+
+  /**
+   * Parse a single GFA line
+   * @param {string} line - Raw line (without newline)
+   * @param {number} lineNumber - 1-based line number for messages
+   */
+  parseLine(line, lineNumber) {
+    const { nodes, fragments, groups, edgesById } = this._stream;
+    this._lineNumber = lineNumber;
+
+    line = line.trim();
+
+    if (!line || line.startsWith('#')) {
+      return; // Skip empty lines and comments
+    }
+
+    const fields = line.split('\t');
+    const recordType = fields[0];
+
+    try {
+      switch (recordType) {
+        case 'H': // Header
+          this.parseHeader(fields);
+          break;
+
+        case 'S': // Segment (node)
+          const node = this.parseSegment(fields);
+          if (node) {
+            node.gfaLine = lineNumber;
+            nodes.push(node);
+          }
+          break;
+
+        case 'L': // Link (edge)
+          const link = this.parseLink(fields);
+          if (link) {
+            this.addLink(link, `L${++this._stream.linkCounter}`);
+          }
+          break;
+
+        case 'P': // Path
+          this.parsePath(fields);
+          break;
+
+        case 'W': // Walk (GFA v1.1)
+          this.parseWalk(fields);
+          break;
+
+        case 'E': // Edge (GFA v2)
+          const edgeV2 = this.parseEdge(fields);
+          if (edgeV2) {
+            if (edgeV2.edgeId !== '*') {
+              edgesById.set(edgeV2.edgeId, edgeV2);
             }
-            break;
-
-          case 'P': // Path
-            this.parsePath(fields);
-            break;
-
-          case 'E': // Edge (GFA v2)
-            const edgeV2 = this.parseEdge(fields);
-            if (edgeV2) {
-              const key = `${edgeV2.source}→${edgeV2.target}`;
-              if (!seen.has(key)) {
-                seen.add(key);
-                links.push(edgeV2);
-              }
+            this.addLink(edgeV2, edgeV2.edgeId !== '*' ? edgeV2.edgeId : `E${++this._stream.linkCounter}`);
+          }
+          break;
+
+        case 'G': // Gap (GFA v2)
+          const gap = this.parseGap(fields);
+          if (gap) {
+            if (gap.gapId !== '*') {
+              edgesById.set(gap.gapId, gap);
             }
-            break;
-
-          default:
-            this.addWarning(`Unknown record type on line ${lineNum + 1}: ${recordType}`);
-        }
-      } catch (error) {
-        this.addError(`Error on line ${lineNum + 1}: ${error.message}`);
+            this.addLink(gap, gap.gapId !== '*' ? gap.gapId : `G${++this._stream.linkCounter}`);
+          }
+          break;
+
+        case 'F': // Fragment (GFA v2)
+          const fragment = this.parseFragment(fields);
+          if (fragment) {
+            fragments.push({ ...fragment, lineNum: lineNumber });
+          }
+          break;
+
+        case 'O': // Ordered group (GFA v2)
+        case 'U': // Unordered group (GFA v2)
+          const group = this.parseGroup(fields);
+          if (group) {
+            groups.push(group);
+          }
+          break;
+
+        default:
+          this.addWarning(`Unknown record type on line ${lineNumber}: ${recordType}`);
       }
-    });
+    } catch (error) {
+      this.addError(`Error on line ${lineNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finish an incremental parse and resolve cross-record references
+   * @returns {Object} {nodes, links}
+   */
+  endStream() {
+    const { nodes, links, fragments, groups, edgesById } = this._stream;
+    this._stream = null;
+
+    if (fragments.length > 0) {
+      this.attachFragments(nodes, fragments);
+    }
+    if (groups.length > 0) {
+      this.resolveGroups(groups, nodes, edgesById);
+    }
+
+    const { duplicates, reverseEquivalents } = this.linkStats;
+    if (duplicates > 0) {
+      this.addWarning(`Dropped ${duplicates} duplicate link(s) with identical source, target and orientations`);
+    }
+    if (reverseEquivalents > 0) {
+      this.addWarning(`Kept ${reverseEquivalents} link(s) that restate an earlier link on the opposite strand`);
+    }
 
     this.log(`Parsed ${nodes.length} segments and ${links.length} links`);
-    if (logEvent) logEvent(`  → parsed ${nodes.length} segments, ${links.length} links`);
 
     return { nodes, links };
   }
 
+  /**
+   * Store a link under a stable ID.
+   * Only exact duplicates (same source, srcOrientation, target, tgtOrientation) are dropped;
+   * links equivalent to an earlier one read on the opposite strand (A+ B+ vs B- A-) are kept and counted.
+   */
+  addLink(link, id) {
+    const { links, seen } = this._stream;
+    const prefix = link.gfaType === 'gap' ? 'gap:' : '';
+    const key = `${prefix}${link.source}${link.srcOrientation}→${link.target}${link.tgtOrientation}`;
+
+    if (seen.has(key)) {
+      this.linkStats.duplicates++;
+      return false;
+    }
+
+    const reverseKey = `${prefix}${link.target}${flipOrientation(link.tgtOrientation)}→` +
+                       `${link.source}${flipOrientation(link.srcOrientation)}`;
+    if (reverseKey !== key && seen.has(reverseKey)) {
+      this.linkStats.reverseEquivalents++;
+    }
+
+    seen.add(key);
+    link.id = id;
+    link.gfaLine = this._lineNumber;
+    links.push(link);
+
+    return true;
+  }
+
   /**
    * Parse GFA header line
    */
   parseHeader(fields) {
-    // H VN:Z:1.0
-    fields.forEach(field => {
-      if (field.startsWith('VN:Z:')) {
-        this.version = field.substring(5);
-      }
-    });
+    // H VN:Z:1.0 (tags of repeated H lines are merged)
+    const header = {};
+    this.parseOptionalTags(header, fields, 1);
+    Object.assign(this.headerTags, header.tags);
+
+    if (this.headerTags.VN) {
+      this.version = String(this.headerTags.VN.value);
+    }
   }
 
   /**
    * Parse GFA segment (node)
    */
   parseSegment(fields) {
-    // S segmentName sequence [tags]
+    // GFA1: S segmentName sequence [tags]
+    // GFA2: S segmentName length sequence [tags]
     if (fields.length < 3) {
       this.addError('Invalid segment line: insufficient fields');
       return null;
     }
 
+    const isGfa2 = this.isGfa2Segment(fields);
     const id = fields[1];
-    const seq = fields[2];
+    const seq = isGfa2 ? fields[3] : fields[2];
+    const tagStart = isGfa2 ? 4 : 3;
 
     const node = {
       id: id,
@@ -131,55 +275,41 @@ export class GfaParser extends Parser {
       gfaType: 'segment'
     };
 
-    // Parse optional tags
-    for (let i = 3; i < fields.length; i++) {
-      const tag = fields[i];
-      const parts = tag.split(':');
-
-      if (parts.length >= 3) {
-        const tagName = parts[0];
-        const tagType = parts[1];
-        const tagValue = parts.slice(2).join(':');
-
-        switch (tagName) {
-          case 'LN': // Length
-            node.length = parseInt(tagValue, 10);
-            node.LN = node.length;
-            break;
-
-          case 'DP': // Depth/Coverage
-            const depthValue = parseFloat(tagValue);
-            if (!isNaN(depthValue) && depthValue > 0) {
-              node.depth = depthValue;
-              node.DP = depthValue;
-            }
-            break;
+    if (isGfa2) {
+      node.length = parseInt(fields[2], 10);
+    }
 
-          case 'KC': // K-mer count (use as depth)
-            const kcValue = parseFloat(tagValue);
-            if (!isNaN(kcValue) && kcValue > 0 && node.length > 0) {
-              node.depth = kcValue / node.length;
-              node.KC = kcValue;
-            }
-            break;
+    // Parse optional tags; a few well-known ones drive length and depth
+    this.parseOptionalTags(node, fields, tagStart);
 
-          case 'RC': // Read count (use as depth)
-            const rcValue = parseFloat(tagValue);
-            if (!isNaN(rcValue) && rcValue > 0 && node.length > 0) {
-              node.depth = rcValue / node.length;
-              node.RC = rcValue;
-            }
-            break;
+    const { LN, DP, KC, RC } = node.tags;
 
-          default:
-            node[tagName] = tagValue;
-        }
-      }
+    if (isNumericTag(LN)) { // Length
+      node.length = LN.value;
+    }
+
+    if (isNumericTag(DP) && DP.value > 0) { // Depth/Coverage
+      node.depth = DP.value;
+    } else if (isNumericTag(KC) && KC.value > 0 && node.length > 0) { // K-mer count (use as depth)
+      node.depth = KC.value / node.length;
+    } else if (isNumericTag(RC) && RC.value > 0 && node.length > 0) { // Read count (use as depth)
+      node.depth = RC.value / node.length;
     }
 
     return node;
   }
 
+  /**
+   * Check whether a segment line uses the GFA2 layout (explicit length before the sequence)
+   */
+  isGfa2Segment(fields) {
+    if (this.version.startsWith('2')) {
+      return fields.length >= 4;
+    }
+
+    return fields.length >= 4 && /^\d+$/.test(fields[2]) && !fields[3].includes(':');
+  }
+
   /**
    * Parse GFA link (edge)
    */
@@ -205,62 +335,443 @@ export class GfaParser extends Parser {
       gfaType: 'link'
     };
 
-    // Parse optional tags
-    for (let i = 6; i < fields.length; i++) {
-      const tag = fields[i];
-      const parts = tag.split(':');
-
-      if (parts.length >= 3) {
-        const tagName = parts[0];
-        const tagValue = parts.slice(2).join(':');
-        link[tagName] = tagValue;
-      }
-    }
+    this.parseOptionalTags(link, fields, 6);
 
     return link;
   }
 
   /**
    * Parse GFA path
+   * Emits 'pathFound' with the oriented steps so listeners can turn it into a saved path
    */
   parsePath(fields) {
     // P pathName segmentNames overlaps
-    // Paths will be handled separately
-    this.emit('pathFound', {
-      name: fields[1],
-      segments: fields[2],
-      overlaps: fields[3]
+    if (fields.length < 3) {
+      this.addError('Invalid path line: insufficient fields');
+      return null;
+    }
+
+    const name = fields[1];
+    const segments = [];
+    const orientations = [];
+
+    fields[2].split(',').filter(step => step.length > 0).forEach(step => {
+      const orientation = step.charAt(step.length - 1);
+      if (orientation !== '+' && orientation !== '-') {
+        throw new Error(`Invalid orientation in path ${name} step "${step}"`);
+      }
+
+      segments.push(step.slice(0, -1));
+      orientations.push(orientation);
     });
+
+    // Overlaps are optional ('*' means unspecified)
+    const overlapField = fields[3];
+    const overlaps = overlapField && overlapField !== '*'
+      ? overlapField.split(',')
+      : [];
+
+    const path = {
+      name,
+      segments,
+      orientations,
+      overlaps,
+      gfaType: 'path'
+    };
+
+    this.emit('pathFound', path);
+
+    return path;
+  }
+
+  /**
+   * Parse GFA v1.1 walk
+   * Walks are emitted as 'pathFound' (like P-lines) with their haplotype metadata attached
+   */
+  parseWalk(fields) {
+    // W sampleId hapIndex seqId seqStart seqEnd walk [tags]
+    if (fields.length < 7) {
+      this.addError('Invalid walk line: insufficient fields');
+      return null;
+    }
+
+    const [, sample, hapIndex, sequenceId, seqStart, seqEnd, walk] = fields;
+
+    const segments = [];
+    const orientations = [];
+    const stepPattern = /([><])([^><]+)/g;
+    let consumed = 0;
+    let match;
+
+    while ((match = stepPattern.exec(walk)) !== null) {
+      if (match.index !== consumed) {
+        break;
+      }
+      orientations.push(match[1] === '>' ? '+' : '-');
+      segments.push(match[2]);
+      consumed = stepPattern.lastIndex;
+    }
+
+    if (consumed !== walk.length || segments.length === 0) {
+      throw new Error(`Invalid walk "${walk}" for ${sample}#${hapIndex}#${sequenceId}`);
+    }
+
+    const haplotypeIndex = parseInt(hapIndex, 10);
+    const sequenceStart = seqStart === '*' ? null : parseInt(seqStart, 10);
+    const sequenceEnd = seqEnd === '*' ? null : parseInt(seqEnd, 10);
+
+    // PanSN-style name: sample#haplotype#sequence[:start-end]
+    let name = `${sample}#${hapIndex}#${sequenceId}`;
+    if (sequenceStart !== null && sequenceEnd !== null) {
+      name += `:${sequenceStart}-${sequenceEnd}`;
+    }
+
+    const path = {
+      name,
+      segments,
+      orientations,
+      overlaps: [],
+      gfaType: 'walk',
+      metadata: {
+        sample,
+        haplotypeIndex: isNaN(haplotypeIndex) ? hapIndex : haplotypeIndex,
+        sequenceId,
+        sequenceStart,
+        sequenceEnd
+      }
+    };
+
+    this.emit('pathFound', path);
+
+    return path;
   }
 
   /**
    * Parse GFA v2 edge
+   * Classifies the edge from its begin/end coordinates. Dovetails are stored as
+   * regular oriented links (source suffix → target prefix); containments keep
+   * which segment contains the other and where.
    */
   parseEdge(fields) {
-    // E edgeId segmentA orientationA segmentB orientationB begin end overlap [tags]
+    // E edgeId segmentA± segmentB± beginA endA beginB endB alignment [tags]
     if (fields.length < 9) {
       this.addError('Invalid edge line: insufficient fields');
       return null;
     }
 
-    const sourceId = fields[2];
-    const srcOrientation = fields[3];
-    const targetId = fields[4];
-    const tgtOrientation = fields[5];
-    const overlap = fields[8];
+    const edgeId = fields[1];
+    const refA = this.parseReference(fields[2]);
+    const refB = this.parseReference(fields[3]);
+    const coordinates = {
+      sourceBegin: this.parsePosition(fields[4]),
+      sourceEnd: this.parsePosition(fields[5]),
+      targetBegin: this.parsePosition(fields[6]),
+      targetEnd: this.parsePosition(fields[7])
+    };
+    const alignment = fields[8];
+
+    const edgeType = this.classifyEdge(coordinates, refA.orientation, refB.orientation);
+    const overlapLength = coordinates.sourceEnd.position - coordinates.sourceBegin.position;
+    const overlap = /^(\d+[MIDNSHPX=])+$/.test(alignment) ? alignment : `${overlapLength}M`;
 
     const link = {
-      source: sourceId,
-      target: targetId,
-      srcOrientation: srcOrientation,
-      tgtOrientation: tgtOrientation,
-      overlap: overlap || '0M',
+      source: refA.id,
+      target: refB.id,
+      srcOrientation: refA.orientation,
+      tgtOrientation: refB.orientation,
+      overlap,
       gfaType: 'edge',
-      edgeId: fields[1],
-      begin: fields[6],
-      end: fields[7]
+      edgeId,
+      edgeType,
+      coordinates,
+      alignment
+    };
+
+    if (edgeType === 'dovetail') {
+      // The overlap must sit on the suffix of oriented segment A; otherwise B precedes A,
+      // which is the same adjacency read on the opposite strand
+      const sourceSuffix = refA.orientation === '+'
+        ? coordinates.sourceEnd.isEnd
+        : coordinates.sourceBegin.position === 0;
+
+      if (!sourceSuffix) {
+        link.srcOrientation = flipOrientation(refA.orientation);
+        link.tgtOrientation = flipOrientation(refB.orientation);
+      }
+    } else if (edgeType === 'containment') {
+      const sourceContained = coordinates.sourceBegin.position === 0 && coordinates.sourceEnd.isEnd;
+      link.container = sourceContained ? refB.id : refA.id;
+      link.contained = sourceContained ? refA.id : refB.id;
+      link.containmentPosition = sourceContained
+        ? coordinates.targetBegin.position
+        : coordinates.sourceBegin.position;
+    }
+
+    this.parseOptionalTags(link, fields, 9);
+
+    return link;
+  }
+
+  /**
+   * Classify a GFA v2 edge as dovetail, containment or internal overlap.
+   * Coordinates are on the forward strands, so a '-' segment's prefix is its forward suffix.
+   * A dovetail joins the suffix of one oriented segment to the prefix of the other;
+   * anything else that covers neither segment fully is 'internal' (flagged by GfaLinter).
+   */
+  classifyEdge({ sourceBegin, sourceEnd, targetBegin, targetEnd }, orientationA = '+', orientationB = '+') {
+    const sourceFull = sourceBegin.position === 0 && sourceEnd.isEnd;
+    const targetFull = targetBegin.position === 0 && targetEnd.isEnd;
+
+    if (sourceFull || targetFull) {
+      return 'containment';
+    }
+
+    const sourcePrefix = orientationA === '+' ? sourceBegin.position === 0 : sourceEnd.isEnd;
+    const sourceSuffix = orientationA === '+' ? sourceEnd.isEnd : sourceBegin.position === 0;
+    const targetPrefix = orientationB === '+' ? targetBegin.position === 0 : targetEnd.isEnd;
+    const targetSuffix = orientationB === '+' ? targetEnd.isEnd : targetBegin.position === 0;
+
+    return (sourceSuffix && targetPrefix) || (sourcePrefix && targetSuffix) ? 'dovetail' : 'internal';
+  }
+
+  /**
+   * Parse GFA v2 gap
+   * Gaps are kept as links with gfaType 'gap' so they can be drawn with their estimated distance
+   */
+  parseGap(fields) {
+    // G gapId segmentA± segmentB± distance variance [tags]
+    if (fields.length < 6) {
+      this.addError('Invalid gap line: insufficient fields');
+      return null;
+    }
+
+    const refA = this.parseReference(fields[2]);
+    const refB = this.parseReference(fields[3]);
+    const distance = parseInt(fields[4], 10);
+
+    if (isNaN(distance)) {
+      throw new Error(`Invalid gap distance "${fields[4]}"`);
+    }
+
+    const link = {
+      source: refA.id,
+      target: refB.id,
+      srcOrientation: refA.orientation,
+      tgtOrientation: refB.orientation,
+      overlap: '*',
+      gfaType: 'gap',
+      gapId: fields[1],
+      distance,
+      variance: fields[5] === '*' ? null : parseInt(fields[5], 10)
     };
 
+    this.parseOptionalTags(link, fields, 6);
+
     return link;
   }
+
+  /**
+   * Parse GFA v2 fragment (read or external sequence aligned to a segment)
+   */
+  parseFragment(fields) {
+    // F segmentName external± segBegin segEnd fragBegin fragEnd alignment [tags]
+    if (fields.length < 8) {
+      this.addError('Invalid fragment line: insufficient fields');
+      return null;
+    }
+
+    const external = this.parseReference(fields[2]);
+
+    const fragment = {
+      segment: fields[1],
+      external: external.id,
+      orientation: external.orientation,
+      segmentBegin: this.parsePosition(fields[3]),
+      segmentEnd: this.parsePosition(fields[4]),
+      fragmentBegin: this.parsePosition(fields[5]),
+      fragmentEnd: this.parsePosition(fields[6]),
+      alignment: fields[7]
+    };
+
+    this.parseOptionalTags(fragment, fields, 8);
+
+    return fragment;
+  }
+
+  /**
+   * Parse GFA v2 ordered (O) or unordered (U) group
+   */
+  parseGroup(fields) {
+    // O groupId ref+ ref- ...   /   U groupId ref ref ...
+    if (fields.length < 3) {
+      this.addError('Invalid group line: insufficient fields');
+      return null;
+    }
+
+    const ordered = fields[0] === 'O';
+    const references = fields[2].split(' ').filter(ref => ref.length > 0).map(ref =>
+      ordered ? this.parseReference(ref) : { id: ref, orientation: '+' }
+    );
+
+    return {
+      id: fields[1],
+      ordered,
+      references
+    };
+  }
+
+  /**
+   * Attach parsed fragments to their segments
+   */
+  attachFragments(nodes, fragments) {
+    const nodeMap = new Map(nodes.map(node => [node.id, node]));
+
+    fragments.forEach(({ lineNum, ...fragment }) => {
+      const node = nodeMap.get(fragment.segment);
+      if (!node) {
+        this.addWarning(`Fragment on line ${lineNum} references unknown segment ${fragment.segment}`);
+        return;
+      }
+
+      if (!node.fragments) {
+        node.fragments = [];
+      }
+      node.fragments.push(fragment);
+    });
+  }
+
+  /**
+   * Resolve GFA v2 groups once every record is known.
+   * O-groups are emitted as 'pathFound' (segment steps in order, edges/gaps implied),
+   * U-groups as 'selectionSetFound' (segments plus the endpoints of any edge or gap).
+   */
+  resolveGroups(groups, nodes, edgesById) {
+    const segmentIds = new Set(nodes.map(node => node.id));
+    const groupsById = new Map(groups.filter(g => g.id !== '*').map(g => [g.id, g]));
+
+    const expandOrdered = (group, visiting) => {
+      const segments = [];
+      const orientations = [];
+
+      group.references.forEach(({ id, orientation }) => {
+        if (segmentIds.has(id)) {
+          segments.push(id);
+          orientations.push(orientation);
+        } else if (groupsById.has(id) && groupsById.get(id).ordered && !visiting.has(id)) {
+          visiting.add(id);
+          const inner = expandOrdered(groupsById.get(id), visiting);
+          visiting.delete(id);
+
+          if (orientation === '-') {
+            inner.segments.reverse();
+            inner.orientations = inner.orientations.reverse().map(o => flipOrientation(o));
+          }
+          segments.push(...inner.segments);
+          orientations.push(...inner.orientations);
+        } else if (!edgesById.has(id)) {
+          this.addWarning(`Ordered group ${group.id} references unknown element ${id}`);
+        }
+      });
+
+      return { segments, orientations };
+    };
+
+    const expandUnordered = (group, visiting, nodeIds) => {
+      group.references.forEach(({ id }) => {
+        if (segmentIds.has(id)) {
+          nodeIds.add(id);
+        } else if (edgesById.has(id)) {
+          nodeIds.add(edgesById.get(id).source);
+          nodeIds.add(edgesById.get(id).target);
+        } else if (groupsById.has(id) && !visiting.has(id)) {
+          visiting.add(id);
+          expandUnordered(groupsById.get(id), visiting, nodeIds);
+          visiting.delete(id);
+        } else if (!groupsById.has(id)) {
+          this.addWarning(`Unordered group ${group.id} references unknown element ${id}`);
+        }
+      });
+
+      return nodeIds;
+    };
+
+    groups.forEach((group, index) => {
+      const name = group.id !== '*' ? group.id : `Group ${index + 1}`;
+
+      if (group.ordered) {
+        const { segments, orientations } = expandOrdered(group, new Set([group.id]));
+        if (segments.length === 0) {
+          this.addWarning(`Ordered group ${name} contains no segments`);
+          return;
+        }
+
+        this.emit('pathFound', {
+          name,
+          segments,
+          orientations,
+          overlaps: [],
+          gfaType: 'ordered-group'
+        });
+      } else {
+        const nodeIds = expandUnordered(group, new Set([group.id]), new Set());
+
+        this.emit('selectionSetFound', {
+          name,
+          nodeIds: Array.from(nodeIds),
+          gfaType: 'unordered-group'
+        });
+      }
+    });
+  }
+
+  // ===== GFA2 FIELD HELPERS =====
+
+  /**
+   * Parse an oriented reference such as "utg12+"
+   */
+  parseReference(ref) {
+    const orientation = ref.charAt(ref.length - 1);
+    if (ref.length < 2 || (orientation !== '+' && orientation !== '-')) {
+      throw new Error(`Invalid oriented reference "${ref}"`);
+    }
+
+    return { id: ref.slice(0, -1), orientation };
+  }
+
+  /**
+   * Parse a GFA2 position; a trailing '$' marks the end of the segment
+   */
+  parsePosition(value) {
+    const match = /^(\d+)(\$?)$/.exec(value);
+    if (!match) {
+      throw new Error(`Invalid position "${value}"`);
+    }
+
+    return { position: parseInt(match[1], 10), isEnd: match[2] === '$' };
+  }
+
+  /**
+   * Parse optional TAG:TYPE:VALUE fields onto a record.
+   * Tags live only in record.tags ({LN: {type: 'i', value: 1200, raw: '1200'}}), with their
+   * type and raw text, so they can be written back out unchanged.
+   */
+  parseOptionalTags(record, fields, startIndex) {
+    record.tags = {};
+
+    for (let i = startIndex; i < fields.length; i++) {
+      let tag;
+      try {
+        tag = parseTag(fields[i]);
+      } catch (error) {
+        this.addWarning(`Line ${this._lineNumber}: ${error.message}; kept as text`);
+
+        const parts = fields[i].split(':');
+        if (parts.length < 3) continue;
+        tag = { name: parts[0], type: 'Z', value: parts.slice(2).join(':'), raw: parts.slice(2).join(':') };
+      }
+
+      const { name, ...typed } = tag;
+      record.tags[name] = typed;
+    }
+  }
 }
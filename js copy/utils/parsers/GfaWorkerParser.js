@@ -0,0 +1,143 @@
+// GfaWorkerParser.js - Streams GFA files through a Web Worker
+
+import { Parser } from './Parser.js';
+
+/**
+ * GfaWorkerParser parses a GFA File in a Web Worker (see gfa-parse-worker.js),
+ * reading it as a stream so multi-gigabyte files never sit in one string on the main thread.
+ *
+ * Errors and warnings from the worker are replayed through addError()/addWarning(),
+ * so errors/warnings and the 'error'/'warning' events behave like GfaParser's.
+ *
+ * Events emitted:
+ * - progress: {bytesRead, totalBytes, fraction, lineCount}
+ * - pathFound: same payload as GfaParser
+ * - selectionSetFound: same payload as GfaParser
+ */
+export class GfaWorkerParser extends Parser {
+  constructor() {
+    super('gfa');
+
+    this.version = '1.0';
+    this.headerTags = {};
+    this.linkStats = { duplicates: 0, reverseEquivalents: 0 };
+    this.worker = null;
+    this._cancelRequested = false;
+  }
+
+  /**
+   * Check whether the browser can run the streaming worker
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+           typeof Blob !== 'undefined' &&
+           typeof Blob.prototype.stream === 'function';
+  }
+
+  /**
+   * Parse a GFA file in the worker
+   * @param {File|Blob} file - File to parse
+   * @returns {Promise<Object|null>} {nodes, links}, or null if cancelled
+   */
+  parseFile(file) {
+    if (this.worker) {
+      return Promise.reject(new Error('A parse is already running'));
+    }
+
+    this.clearMessages();
+    this._cancelRequested = false;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./gfa-parse-worker.js', import.meta.url), { type: 'module' });
+      this.worker = worker;
+
+      worker.onmessage = ({ data }) => {
+        switch (data.type) {
+          case 'progress':
+            this._replayMessages(data);
+            this.emit('progress', {
+              bytesRead: data.bytesRead,
+              totalBytes: data.totalBytes,
+              fraction: data.totalBytes > 0 ? data.bytesRead / data.totalBytes : 0,
+              lineCount: data.lineCount
+            });
+            break;
+
+          case 'done':
+            this._terminate();
+            this._replayMessages(data);
+            this.version = data.version;
+            this.headerTags = data.headerTags;
+            this.linkStats = data.linkStats;
+            this.emit('progress', {
+              bytesRead: file.size,
+              totalBytes: file.size,
+              fraction: 1,
+              lineCount: data.lineCount
+            });
+            data.paths.forEach(path => this.emit('pathFound', path));
+            data.selectionSets.forEach(selectionSet => this.emit('selectionSetFound', selectionSet));
+            this.log(`Parsed ${data.nodes.length} segments and ${data.links.length} links from ${data.lineCount} lines`);
+            resolve({ nodes: data.nodes, links: data.links });
+            break;
+
+          case 'cancelled':
+            this._terminate();
+            resolve(null);
+            break;
+
+          case 'failed':
+            this._terminate();
+            this.addError(data.message);
+            reject(new Error(data.message));
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this._terminate();
+
+        if (this._cancelRequested) {
+          resolve(null);
+        } else {
+          const message = event.message || 'GFA worker failed';
+          this.addError(message);
+          reject(new Error(message));
+        }
+      };
+
+      worker.postMessage({ type: 'parse', file });
+    });
+  }
+
+  /**
+   * Ask the worker to stop; the pending parseFile() promise resolves with null
+   */
+  cancel() {
+    if (!this.worker) {
+      return;
+    }
+
+    this._cancelRequested = true;
+    this.worker.postMessage({ type: 'cancel' });
+  }
+
+  /**
+   * Re-add errors and warnings collected in the worker
+   */
+  _replayMessages({ errors = [], warnings = [] }) {
+    errors.forEach(message => this.addError(message));
+    warnings.forEach(message => this.addWarning(message));
+  }
+
+  /**
+   * Shut down the worker
+   */
+  _terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
@@ -15,6 +15,23 @@ export class Parser extends EventEmitter {
     this.warnings = [];
   }
 
+  /**
+   * Format description used by ParserRegistry
+   * Subclasses return {id, label, extensions, filenames?, capabilities}
+   */
+  static get descriptor() {
+    return null;
+  }
+
+  /**
+   * Check whether the start of a file looks like this format
+   * @param {string} head - First chunk of the file
+   * @returns {boolean}
+   */
+  static sniff(head) {
+    return false;
+  }
+
   /**
    * Parse text content into graph data
    * Must be implemented by subclasses
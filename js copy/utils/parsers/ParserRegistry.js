@@ -0,0 +1,127 @@
+// ParserRegistry.js - Registry of graph format parsers
+
+/**
+ * ParserRegistry keeps the list of available Parser subclasses and picks one for a file.
+ *
+ * Each registered class provides:
+ * - static get descriptor(): {id, label, extensions, filenames?, capabilities}
+ *     capabilities: {gfaRendering, orientations, paths, streaming}
+ * - static sniff(head): true if the first chunk of a file looks like this format
+ *
+ * Classes are tried in registration order, so register more specific formats first.
+ */
+export class ParserRegistry {
+  constructor() {
+    this._parsers = [];
+  }
+
+  /**
+   * Register a Parser subclass
+   */
+  register(ParserClass) {
+    const descriptor = ParserClass.descriptor;
+
+    if (!descriptor || !descriptor.id) {
+      throw new Error(`${ParserClass.name} has no descriptor`);
+    }
+    if (typeof ParserClass.sniff !== 'function') {
+      throw new Error(`${ParserClass.name} has no sniff() function`);
+    }
+    if (this.get(descriptor.id)) {
+      throw new Error(`A parser for "${descriptor.id}" is already registered`);
+    }
+
+    this._parsers.push(ParserClass);
+    return this;
+  }
+
+  /**
+   * Get a parser class by format id
+   */
+  get(formatId) {
+    return this._parsers.find(P => P.descriptor.id === formatId) || null;
+  }
+
+  /**
+   * Descriptors of all registered formats
+   */
+  list() {
+    return this._parsers.map(P => P.descriptor);
+  }
+
+  /**
+   * Create a parser instance for a format id
+   */
+  create(formatId) {
+    const ParserClass = this.get(formatId);
+    if (!ParserClass) {
+      throw new Error(`No parser registered for "${formatId}"`);
+    }
+    return new ParserClass();
+  }
+
+  /**
+   * Pick a parser class from file content, falling back to the file name
+   * @param {string} text - File content (only the first 64 KB are inspected)
+   * @param {string} filename - File name, used when no sniffer matches
+   * @returns {Function|null} Parser class
+   */
+  detect(text, filename = '') {
+    const head = text.slice(0, 64 * 1024);
+
+    const sniffed = this._parsers.find(P => {
+      try {
+        return P.sniff(head);
+      } catch (error) {
+        console.warn(`[ParserRegistry] ${P.name}.sniff() failed:`, error);
+        return false;
+      }
+    });
+    if (sniffed) {
+      return sniffed;
+    }
+
+    return this.detectByFilename(filename);
+  }
+
+  /**
+   * Pick a parser class from the file name alone
+   */
+  detectByFilename(filename) {
+    const baseName = filename.split(/[\\/]/).pop().toLowerCase();
+    const extension = baseName.includes('.') ? baseName.split('.').pop() : '';
+
+    return this._parsers.find(P => {
+      const { extensions = [], filenames = [] } = P.descriptor;
+      return filenames.some(name => name.toLowerCase() === baseName) ||
+             (extension && extensions.includes(extension));
+    }) || null;
+  }
+
+  /**
+   * Value for a file input's accept attribute, e.g. ".gfa,.dot,LastGraph".
+   * Formats recognised by file name (Velvet's LastGraph has no extension) add the names themselves.
+   */
+  acceptList() {
+    const entries = new Set();
+    this._parsers.forEach(P => {
+      (P.descriptor.extensions || []).forEach(ext => entries.add(`.${ext}`));
+      (P.descriptor.filenames || []).forEach(name => entries.add(name));
+    });
+    return Array.from(entries).join(',');
+  }
+
+  /**
+   * Capabilities of a format id (all false if unknown)
+   */
+  capabilitiesOf(formatId) {
+    const ParserClass = this.get(formatId);
+    return {
+      gfaRendering: false,
+      orientations: false,
+      paths: false,
+      streaming: false,
+      ...(ParserClass ? ParserClass.descriptor.capabilities : {})
+    };
+  }
+}
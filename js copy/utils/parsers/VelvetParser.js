@@ -0,0 +1,173 @@
+// VelvetParser.js - Velvet LastGraph parser
+
+import { Parser } from './Parser.js';
+
+/**
+ * VelvetParser parses Velvet's LastGraph (also Graph/Graph2) files.
+ *
+ *   $NUMBER_OF_NODES $NUMBER_OF_SEQUENCES $HASH_LENGTH
+ *   NODE $ID $LENGTH $COV_SHORT1 $O_COV_SHORT1 [$COV_SHORT2 $O_COV_SHORT2]
+ *   $ENDS_OF_KMERS_OF_NODE
+ *   $ENDS_OF_KMERS_OF_TWIN_NODE
+ *   ARC $START_NODE $END_NODE $MULTIPLICITY
+ *   NR / SEQ blocks (read tracking, ignored)
+ *
+ * Negative node IDs in ARC lines are the twin (reverse) node, so "ARC 3 -7 2"
+ * becomes 3+ → 7-. Node sequences are the ends-of-kmers, as Bandage shows them,
+ * so consecutive nodes join without overlap.
+ */
+export class VelvetParser extends Parser {
+  constructor() {
+    super('velvet');
+
+    this.hashLength = null;
+  }
+
+  static get descriptor() {
+    return {
+      id: 'velvet',
+      label: 'Velvet LastGraph',
+      extensions: ['lastgraph'],
+      filenames: ['LastGraph', 'Graph', 'Graph2'],
+      capabilities: { gfaRendering: true, orientations: true, paths: false, streaming: false }
+    };
+  }
+
+  /**
+   * "<nodes> <sequences> <k>" header followed by NODE blocks
+   */
+  static sniff(head) {
+    return /^\s*\d+\s+\d+\s+\d+/.test(head) && /^NODE\s+-?\d+\s+\d+/m.test(head);
+  }
+
+  /**
+   * Parse LastGraph text into graph data
+   * @param {string} text - LastGraph text to parse
+   * @param {Function} logEvent - Optional logging function
+   * @returns {Object} {nodes, links} - Plain objects, same shape as GfaParser output
+   */
+  parse(text, logEvent = null) {
+    this.clearMessages();
+
+    if (logEvent) logEvent('Parsing Velvet LastGraph…');
+
+    if (!this.validate(text)) {
+      throw new Error('Invalid LastGraph input');
+    }
+
+    const lines = text.split('\n');
+    const nodes = [];
+    const links = [];
+    const seen = new Set();
+
+    const headerFields = lines[0].trim().split(/\s+/);
+    this.hashLength = headerFields.length >= 3 ? parseInt(headerFields[2], 10) : null;
+
+    let pendingNode = null; // NODE line waiting for its two sequence lines
+
+    for (let index = 1; index < lines.length; index++) {
+      const line = lines[index].trim();
+      const lineNumber = index + 1;
+      if (!line) continue;
+
+      if (pendingNode) {
+        if (pendingNode.seq === null) {
+          pendingNode.seq = line;
+        } else {
+          pendingNode.twinSeq = line;
+          nodes.push(this.createNode(pendingNode));
+          pendingNode = null;
+        }
+        continue;
+      }
+
+      const fields = line.split(/\s+/);
+
+      try {
+        switch (fields[0]) {
+          case 'NODE':
+            if (fields.length < 4) {
+              throw new Error('NODE line has too few fields');
+            }
+            pendingNode = {
+              id: fields[1],
+              kmerLength: parseInt(fields[2], 10),
+              coverage: fields.slice(3).filter((_, i) => i % 2 === 0).reduce((sum, c) => sum + Number(c), 0),
+              seq: null,
+              line: lineNumber
+            };
+            break;
+
+          case 'ARC':
+            const link = this.parseArc(fields, lineNumber);
+            const key = `${link.source}${link.srcOrientation}→${link.target}${link.tgtOrientation}`;
+            if (!seen.has(key)) {
+              seen.add(key);
+              link.id = `ARC${links.length + 1}`;
+              links.push(link);
+            }
+            break;
+
+          // Read tracking blocks and their numeric rows are not needed for the graph
+          default:
+            break;
+        }
+      } catch (error) {
+        this.addError(`Error on line ${lineNumber}: ${error.message}`);
+      }
+    }
+
+    if (pendingNode) {
+      this.addError(`NODE ${pendingNode.id} on line ${pendingNode.line} is missing its sequence lines`);
+    }
+
+    this.log(`Parsed ${nodes.length} nodes and ${links.length} arcs (k=${this.hashLength})`);
+    if (logEvent) logEvent(`  → parsed ${nodes.length} Velvet nodes, ${links.length} arcs`);
+
+    return { nodes, links };
+  }
+
+  /**
+   * Parse an ARC line: ARC start end multiplicity
+   */
+  parseArc(fields, lineNumber) {
+    if (fields.length < 3) {
+      throw new Error('ARC line has too few fields');
+    }
+
+    const start = fields[1];
+    const end = fields[2];
+
+    return {
+      source: start.replace(/^-/, ''),
+      target: end.replace(/^-/, ''),
+      srcOrientation: start.startsWith('-') ? '-' : '+',
+      tgtOrientation: end.startsWith('-') ? '-' : '+',
+      overlap: '0M',
+      gfaType: 'link',
+      multiplicity: fields.length > 3 ? parseInt(fields[3], 10) : 1,
+      gfaLine: lineNumber
+    };
+  }
+
+  /**
+   * Build a GFA-style node from a Velvet NODE block
+   */
+  createNode({ id, kmerLength, coverage, seq, line }) {
+    const length = seq ? seq.length : kmerLength;
+    const depth = kmerLength > 0 && coverage > 0 ? coverage / kmerLength : 1.0;
+
+    return {
+      id,
+      seq: seq || '*',
+      length,
+      depth,
+      gfaType: 'segment',
+      gfaLine: line,
+      tags: {
+        LN: { type: 'i', value: length },
+        DP: { type: 'f', value: depth }
+      }
+    };
+  }
+}
@@ -0,0 +1,125 @@
+// gfa-parse-worker.js - Web Worker that streams a GFA file through GfaParser off the main thread
+
+import { GfaParser } from './GfaParser.js';
+
+/**
+ * Protocol (main → worker):
+ * - {type: 'parse', file}  Start parsing a File/Blob
+ * - {type: 'cancel'}       Stop reading and discard the result
+ *
+ * Protocol (worker → main):
+ * - {type: 'progress', bytesRead, totalBytes, lineCount, errors, warnings}
+ * - {type: 'done', nodes, links, paths, selectionSets, version, headerTags, linkStats, lineCount, errors, warnings}
+ * - {type: 'cancelled'}
+ * - {type: 'failed', message}
+ *
+ * errors/warnings carry only the messages added since the previous post,
+ * so the main thread can replay them into its own Parser instance.
+ */
+
+const PROGRESS_INTERVAL_BYTES = 8 * 1024 * 1024;
+
+let cancelled = false;
+let activeReader = null;
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+
+  if (type === 'parse') {
+    cancelled = false;
+    parseFile(event.data.file).catch(error => {
+      self.postMessage({ type: 'failed', message: error.message });
+    });
+  } else if (type === 'cancel') {
+    cancelled = true;
+    if (activeReader) {
+      activeReader.cancel().catch(() => {});
+    }
+  }
+};
+
+async function parseFile(file) {
+  const parser = new GfaParser();
+  const paths = [];
+  const selectionSets = [];
+
+  parser.on('pathFound', path => paths.push(path));
+  parser.on('selectionSetFound', selectionSet => selectionSets.push(selectionSet));
+
+  // Only send messages that were added since the last post
+  let sentErrors = 0;
+  let sentWarnings = 0;
+  const takeMessages = () => {
+    const errors = parser.errors.slice(sentErrors).map(e => e.message);
+    const warnings = parser.warnings.slice(sentWarnings).map(w => w.message);
+    sentErrors = parser.errors.length;
+    sentWarnings = parser.warnings.length;
+    return { errors, warnings };
+  };
+
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  activeReader = reader;
+
+  let remainder = '';
+  let bytesRead = 0;
+  let lineNumber = 0;
+  let nextProgress = PROGRESS_INTERVAL_BYTES;
+
+  parser.beginStream();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (cancelled) {
+        self.postMessage({ type: 'cancelled' });
+        return;
+      }
+      if (done) break;
+
+      bytesRead += value.byteLength;
+
+      // Carry the trailing partial line over to the next chunk
+      const lines = (remainder + decoder.decode(value, { stream: true })).split('\n');
+      remainder = lines.pop();
+
+      for (const line of lines) {
+        parser.parseLine(line, ++lineNumber);
+      }
+
+      if (bytesRead >= nextProgress) {
+        nextProgress = bytesRead + PROGRESS_INTERVAL_BYTES;
+        self.postMessage({
+          type: 'progress',
+          bytesRead,
+          totalBytes: file.size,
+          lineCount: lineNumber,
+          ...takeMessages()
+        });
+      }
+    }
+  } finally {
+    activeReader = null;
+  }
+
+  remainder += decoder.decode();
+  if (remainder) {
+    parser.parseLine(remainder, ++lineNumber);
+  }
+
+  const { nodes, links } = parser.endStream();
+
+  self.postMessage({
+    type: 'done',
+    nodes,
+    links,
+    paths,
+    selectionSets,
+    version: parser.version,
+    headerTags: parser.headerTags,
+    linkStats: parser.linkStats,
+    lineCount: lineNumber,
+    ...takeMessages()
+  });
+}
@@ -0,0 +1,179 @@
+// gfa-tags.js - Typed GFA optional fields (TAG:TYPE:VALUE)
+
+/**
+ * Typed array used for each B-array subtype
+ */
+const B_ARRAY_TYPES = {
+  c: Int8Array,
+  C: Uint8Array,
+  s: Int16Array,
+  S: Uint16Array,
+  i: Int32Array,
+  I: Uint32Array,
+  f: Float32Array
+};
+
+/**
+ * Parse a GFA optional field into a typed value.
+ * Values: A/Z → string, i → integer (string if beyond Number's safe range), f → float,
+ * J → parsed JSON, H → Uint8Array, B → typed array matching its subtype.
+ * The value text is kept as raw, so unedited tags are written back exactly.
+ * @param {string} field - Raw field such as "LN:i:1200"
+ * @returns {Object} {name, type, value, raw, subtype?}
+ * @throws {Error} If the field or its value is malformed
+ */
+export function parseTag(field) {
+  const match = /^([A-Za-z][A-Za-z0-9]):([AifZJHB]):(.*)$/.exec(field);
+  if (!match) {
+    throw new Error(`Malformed tag "${field}"`);
+  }
+
+  const [, name, type, raw] = match;
+  return { name, ...parseValue(name, type, raw), raw };
+}
+
+/**
+ * Typed value of a tag's value text
+ */
+function parseValue(name, type, raw) {
+  switch (type) {
+    case 'A':
+      if (raw.length !== 1) {
+        throw new Error(`Tag ${name}:A must be a single character`);
+      }
+      return { type, value: raw };
+
+    case 'Z':
+      return { type, value: raw };
+
+    case 'i': {
+      if (!/^[-+]?\d+$/.test(raw)) {
+        throw new Error(`Tag ${name}:i has non-integer value "${raw}"`);
+      }
+      const value = parseInt(raw, 10);
+      return { type, value: Number.isSafeInteger(value) ? value : raw.replace(/^\+/, '') };
+    }
+
+    case 'f': {
+      const value = Number(raw);
+      if (raw.trim() === '' || Number.isNaN(value)) {
+        throw new Error(`Tag ${name}:f has non-numeric value "${raw}"`);
+      }
+      return { type, value };
+    }
+
+    case 'J':
+      try {
+        return { type, value: JSON.parse(raw) };
+      } catch (error) {
+        throw new Error(`Tag ${name}:J has invalid JSON`);
+      }
+
+    case 'H': {
+      if (raw.length % 2 !== 0 || !/^[0-9A-Fa-f]*$/.test(raw)) {
+        throw new Error(`Tag ${name}:H has invalid hex value`);
+      }
+      const bytes = new Uint8Array(raw.length / 2);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(raw.substr(i * 2, 2), 16);
+      }
+      return { type, value: bytes };
+    }
+
+    case 'B': {
+      const [subtype, ...items] = raw.split(',');
+      const ArrayType = B_ARRAY_TYPES[subtype];
+      if (!ArrayType) {
+        throw new Error(`Tag ${name}:B has unknown array type "${subtype}"`);
+      }
+      const numbers = items.map(Number);
+      if (numbers.some(n => Number.isNaN(n))) {
+        throw new Error(`Tag ${name}:B has non-numeric elements`);
+      }
+      return { type, subtype, value: ArrayType.from(numbers) };
+    }
+  }
+}
+
+/**
+ * Write a typed tag back to its GFA form. Tags whose value still matches their
+ * raw text are written as read; edited ones are formatted from the value.
+ * @param {string} name - Two-character tag name
+ * @param {Object} tag - {type, value, raw?, subtype?} as returned by parseTag()
+ * @returns {string} "TAG:TYPE:VALUE"
+ */
+export function formatTag(name, tag) {
+  if (typeof tag.raw === 'string' && isUnedited(name, tag)) {
+    return `${name}:${tag.type}:${tag.raw}`;
+  }
+  return formatValue(name, tag);
+}
+
+function isUnedited(name, { type, value, subtype, raw }) {
+  try {
+    return formatValue(name, { type, value, subtype }) === formatValue(name, parseValue(name, type, raw));
+  } catch (error) {
+    return false;
+  }
+}
+
+function formatValue(name, { type, value, subtype }) {
+  switch (type) {
+    case 'i':
+      // Out-of-range integers are kept as their digits
+      return `${name}:i:${typeof value === 'string' ? value : Math.trunc(value)}`;
+
+    case 'f':
+      return `${name}:f:${value}`;
+
+    case 'J':
+      return `${name}:J:${JSON.stringify(value)}`;
+
+    case 'H':
+      return `${name}:H:${toNumberArray(value)
+        .map(byte => byte.toString(16).toUpperCase().padStart(2, '0'))
+        .join('')}`;
+
+    case 'B': {
+      const items = toNumberArray(value);
+      return `${name}:B:${[subtype, ...(subtype === 'f' ? items.map(shortestFloat32) : items)].join(',')}`;
+    }
+
+    default:
+      return `${name}:${type}:${value}`;
+  }
+}
+
+/**
+ * Check whether a tag holds a single number (i or f, within Number's range)
+ */
+export function isNumericTag(tag) {
+  return Boolean(tag) && (tag.type === 'i' || tag.type === 'f') && typeof tag.value === 'number';
+}
+
+/**
+ * Shortest decimal that reads back as the same 32-bit float (1.1, not 1.100000023841858)
+ */
+function shortestFloat32(value) {
+  if (!Number.isFinite(value)) return String(value);
+
+  for (let digits = 1; digits < 10; digits++) {
+    const candidate = Number(value.toPrecision(digits));
+    if (Math.fround(candidate) === Math.fround(value)) {
+      return String(candidate);
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Typed arrays lose their class when deep-copied through JSON; accept both forms
+ */
+function toNumberArray(value) {
+  if (ArrayBuffer.isView(value) || Array.isArray(value)) {
+    return Array.from(value);
+  }
+  return Object.keys(value)
+    .sort((a, b) => a - b)
+    .map(key => value[key]);
+}
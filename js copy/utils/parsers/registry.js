@@ -0,0 +1,19 @@
+// registry.js - Default parser registry with the built-in formats
+
+import { ParserRegistry } from './ParserRegistry.js';
+import { AsqgParser } from './AsqgParser.js';
+import { GfaParser } from './GfaParser.js';
+import { VelvetParser } from './VelvetParser.js';
+import { FastgParser } from './FastgParser.js';
+import { DotParser } from './DotParser.js';
+
+/**
+ * Shared registry used by the app. Order matters: most specific sniffers first.
+ * To add a format, write a Parser subclass with descriptor/sniff() and register it here.
+ */
+export const parserRegistry = new ParserRegistry()
+  .register(AsqgParser)
+  .register(GfaParser)
+  .register(VelvetParser)
+  .register(FastgParser)
+  .register(DotParser);
@@ -0,0 +1,23 @@
+// sequence-utils.js - Strand helpers shared by the parsers, model and exporters
+
+const COMPLEMENT = {
+  A: 'T', T: 'A', G: 'C', C: 'G', N: 'N',
+  a: 't', t: 'a', g: 'c', c: 'g', n: 'n'
+};
+
+/**
+ * Opposite strand orientation ('+' ↔ '-'); anything else is returned unchanged
+ * so invalid orientations stay visible to the linter
+ */
+export function flipOrientation(orientation) {
+  if (orientation === '+') return '-';
+  if (orientation === '-') return '+';
+  return orientation;
+}
+
+/**
+ * Reverse complement of a DNA sequence; unknown characters are kept as they are
+ */
+export function reverseComplement(seq) {
+  return seq.split('').reverse().map(base => COMPLEMENT[base] || base).join('');
+}
@@ -19,7 +19,8 @@ export class DotRenderer extends Renderer {
 
   /**
    * Render the DOT graph
-   * @param {Object} renderData - {nodes, edges, transform, selection, pinnedNodes, highlightedPath}
+   * @param {Object} renderData - {nodes, edges, transform, selection, pinnedNodes, highlightedPath, showLabels}
+   * showLabels is off unless asked for (image export); the interactive view draws none
    */
   render(renderData) {
     if (!this.isInitialized) {
@@ -32,7 +33,8 @@ export class DotRenderer extends Renderer {
       transform,
       selection = { nodes: new Set(), edges: new Set() },
       pinnedNodes = new Set(),
-      highlightedPath = null
+      highlightedPath = null,
+      showLabels = false
     } = renderData;
 
     // Clear canvas
@@ -51,6 +53,17 @@ export class DotRenderer extends Renderer {
       this.drawDotNode(node, selection, pinnedNodes, highlightedPath);
     });
 
+    if (showLabels) {
+      nodes.forEach(node => {
+        const r = node.penwidth ? 4 + Number(node.penwidth) : this.defaultNodeRadius;
+        this.drawLabel(String(node.label ?? node.id), node.x, node.y + r + 2, {
+          fontSize: 10,
+          color: '#333',
+          textBaseline: 'top'
+        });
+      });
+    }
+
     // Restore transform
     this.restoreTransform();
   }
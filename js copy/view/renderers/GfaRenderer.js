@@ -30,6 +30,9 @@ export class GfaRenderer extends Renderer {
     this.gfaVisualNodes = [];
     this.lastScaleFactor = 1.0;
     this.lastNodeCount = 0;
+
+    // Saved angles/flips to apply when visual nodes are next created (session restore)
+    this._pendingNodeStates = null;
   }
 
   /**
@@ -47,7 +50,8 @@ export class GfaRenderer extends Renderer {
       selection = { nodes: new Set(), edges: new Set() },
       pinnedNodes = new Set(),
       highlightedPath = null,
-      scaleFactor = 1.0
+      scaleFactor = 1.0,
+      showLabels = true
     } = renderData;
 
     // Create or update GFA visual nodes
@@ -63,6 +67,7 @@ export class GfaRenderer extends Renderer {
 
       // Run layout algorithm to calculate initial orientations
       this.layoutGfaNodes(this.gfaVisualNodes, edges);
+      this.applyPendingNodeStates();
     }
 
     // Update positions from simulation (match by ID, not index)
@@ -89,7 +94,7 @@ export class GfaRenderer extends Renderer {
     edges.forEach((edge, index) => {
       const isHighlighted = highlightedPath && highlightedPath.edges &&
                            highlightedPath.edges.has(index);
-      this.drawGfaEdge(edge, index, transform, isHighlighted, highlightedPath);
+      this.drawGfaEdge(edge, index, transform, isHighlighted, highlightedPath, showLabels);
     });
     this.ctx.globalAlpha = 1.0;
 
@@ -100,7 +105,7 @@ export class GfaRenderer extends Renderer {
       const isHighlighted = highlightedPath && highlightedPath.nodes &&
                            highlightedPath.nodes.has(String(gfaNode.id));
 
-      gfaNode.draw(this.ctx, transform, isSelected, isPinned, isHighlighted);
+      gfaNode.draw(this.ctx, transform, isSelected, isPinned, isHighlighted, showLabels);
     });
   }
 
@@ -255,7 +260,7 @@ export class GfaRenderer extends Renderer {
   /**
    * Draw GFA edge with curve
    */
-  drawGfaEdge(edge, index, transform, isHighlighted, highlightedPath) {
+  drawGfaEdge(edge, index, transform, isHighlighted, highlightedPath, showLabels = true) {
     const sourceId = edge.source.id || edge.source;
     const targetId = edge.target.id || edge.target;
 
@@ -283,6 +288,13 @@ export class GfaRenderer extends Renderer {
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
 
+    // GFA2 gaps are dashed, containments dotted
+    if (edge.gfaType === 'gap') {
+      this.ctx.setLineDash([8 * transform.k, 6 * transform.k]);
+    } else if (edge.edgeType === 'containment') {
+      this.ctx.setLineDash([2 * transform.k, 4 * transform.k]);
+    }
+
     // Transform coordinates
     const startX = start.x * transform.k + transform.x;
     const startY = start.y * transform.k + transform.y;
@@ -292,9 +304,31 @@ export class GfaRenderer extends Renderer {
     // Draw curved edge
     this.drawCurvedEdge(startX, startY, endX, endY, 0.1);
 
+    if (showLabels && edge.gfaType === 'gap' && edge.distance !== undefined) {
+      this.drawGapLabel(edge, startX, startY, endX, endY, transform);
+    }
+
     this.ctx.restore();
   }
 
+  /**
+   * Draw the estimated gap distance at the middle of a gap edge
+   */
+  drawGapLabel(edge, startX, startY, endX, endY, transform) {
+    const ctx = this.ctx;
+    const label = edge.variance !== null && edge.variance !== undefined
+      ? `${edge.distance} ± ${edge.variance} bp`
+      : `${edge.distance} bp`;
+
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1.0;
+    ctx.fillStyle = '#555555';
+    ctx.font = `${Math.min(12, Math.max(8, 10 * transform.k))}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(label, (startX + endX) / 2, (startY + endY) / 2 - 4);
+  }
+
   /**
    * Determine edge direction based on GFA semantics
    */
@@ -337,32 +371,34 @@ export class GfaRenderer extends Renderer {
    */
   drawCurvedEdge(startX, startY, endX, endY, curvature) {
     const ctx = this.ctx;
+    const control = this.getCurveControlPoint(startX, startY, endX, endY, curvature);
 
-    const midX = (startX + endX) / 2;
-    const midY = (startY + endY) / 2;
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    if (control) {
+      ctx.quadraticCurveTo(control.x, control.y, endX, endY);
+    } else {
+      ctx.lineTo(endX, endY);
+    }
+    ctx.stroke();
+  }
 
+  /**
+   * Control point of a curved edge, offset perpendicular to its midpoint
+   * (null for zero-length edges, which are drawn straight)
+   */
+  getCurveControlPoint(startX, startY, endX, endY, curvature) {
     const dx = endX - startX;
     const dy = endY - startY;
     const length = Math.sqrt(dx * dx + dy * dy);
 
-    if (length > 0) {
-      const perpX = -dy / length;
-      const perpY = dx / length;
-
-      const offset = length * curvature;
-      const controlX = midX + perpX * offset;
-      const controlY = midY + perpY * offset;
+    if (length === 0) return null;
 
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-      ctx.quadraticCurveTo(controlX, controlY, endX, endY);
-      ctx.stroke();
-    } else {
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-      ctx.lineTo(endX, endY);
-      ctx.stroke();
-    }
+    const offset = length * curvature;
+    return {
+      x: (startX + endX) / 2 + (-dy / length) * offset,
+      y: (startY + endY) / 2 + (dx / length) * offset
+    };
   }
 
   /**
@@ -377,6 +413,46 @@ export class GfaRenderer extends Renderer {
     return false;
   }
 
+  /**
+   * Orientation of every visual node, keyed by node ID
+   * @returns {Object} {nodeId: {angle, isFlipped}}
+   */
+  getNodeStates() {
+    const states = {};
+    this.gfaVisualNodes.forEach(gfaNode => {
+      states[gfaNode.id] = { angle: gfaNode.angle, isFlipped: gfaNode.isFlipped };
+    });
+    return states;
+  }
+
+  /**
+   * Restore orientations saved by getNodeStates()
+   * (applied now if the visual nodes exist, otherwise when they are created)
+   */
+  setNodeStates(states) {
+    this._pendingNodeStates = states;
+    if (this.gfaVisualNodes.length > 0) {
+      this.applyPendingNodeStates();
+    }
+  }
+
+  applyPendingNodeStates() {
+    if (!this._pendingNodeStates) return;
+
+    this.gfaVisualNodes.forEach(gfaNode => {
+      const state = this._pendingNodeStates[gfaNode.id];
+      if (!state) return;
+
+      if (Boolean(state.isFlipped) !== gfaNode.isFlipped) {
+        gfaNode.flip();
+      }
+      gfaNode.angle = state.angle;
+      gfaNode.updatePosition();
+    });
+
+    this._pendingNodeStates = null;
+  }
+
   /**
    * Get subnode at screen coordinates
    */
@@ -667,25 +743,16 @@ class GfaVisualNode {
     return null;
   }
 
-  draw(ctx, transform, isSelected = false, isPinned = false, isHighlighted = false) {
+  draw(ctx, transform, isSelected = false, isPinned = false, isHighlighted = false, showLabels = true) {
     if (this.segments.length < 2) return;
 
     ctx.save();
 
-    const width = this.width * transform.k;
-    const minWidth = 2;
-    const effectiveWidth = Math.max(width, minWidth);
-
     // Determine colors
-    if (isHighlighted) {
-      ctx.fillStyle = '#ff6b6b';
-      ctx.strokeStyle = '#cc0000';
-      ctx.lineWidth = Math.max(0.5, 3 * transform.k);
-    } else {
-      ctx.fillStyle = this.getColor();
-      ctx.strokeStyle = isSelected ? '#ff0000' : (isPinned ? '#ff8800' : '#000000');
-      ctx.lineWidth = Math.max(0.5, (isSelected ? 2 : 0.5) * transform.k);
-    }
+    const style = this.getStyle(transform, isSelected, isPinned, isHighlighted);
+    ctx.fillStyle = style.fill;
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.lineWidth;
 
     // Transform segments
     const transformedSegments = this.segments.map(segment => ({
@@ -694,25 +761,22 @@ class GfaVisualNode {
     }));
 
     // Create and draw path
-    const nodeWidth = isHighlighted ? effectiveWidth * 1.5 : effectiveWidth;
-    const path = this.createNodePath(transformedSegments, nodeWidth);
+    const path = this.createNodePath(transformedSegments, style.width);
 
     ctx.fill(path);
     ctx.stroke(path);
 
     // Draw label if zoomed in
-    if (transform.k > 0.3 && this.drawnLength > 30) {
+    if (showLabels && this.hasLabel(transform)) {
       const centerX = this.x * transform.k + transform.x;
       const centerY = this.y * transform.k + transform.y;
 
-      const fontSize = Math.min(12, Math.max(8, 10 * transform.k));
+      const fontSize = this.getLabelFontSize(transform);
       ctx.font = `${fontSize}px Arial`;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
 
-      const label = this.drawnLength > 80 ?
-        `${this.id} (${this.formatLength(this.length)})${this.isFlipped ? ' ↻' : ''}` :
-        `${this.id}${this.isFlipped ? ' ↻' : ''}`;
+      const label = this.getLabel();
       const metrics = ctx.measureText(label);
       const textWidth = metrics.width;
       const textHeight = fontSize;
@@ -755,10 +819,50 @@ class GfaVisualNode {
     ctx.restore();
   }
 
-  createNodePath(segments, width) {
-    if (segments.length < 2) return new Path2D();
+  /**
+   * Fill/stroke colors and drawn width for the current state
+   */
+  getStyle(transform, isSelected = false, isPinned = false, isHighlighted = false) {
+    const effectiveWidth = Math.max(this.width * transform.k, 2);
+
+    if (isHighlighted) {
+      return {
+        fill: '#ff6b6b',
+        stroke: '#cc0000',
+        lineWidth: Math.max(0.5, 3 * transform.k),
+        width: effectiveWidth * 1.5
+      };
+    }
+
+    return {
+      fill: this.getColor(),
+      stroke: isSelected ? '#ff0000' : (isPinned ? '#ff8800' : '#000000'),
+      lineWidth: Math.max(0.5, (isSelected ? 2 : 0.5) * transform.k),
+      width: effectiveWidth
+    };
+  }
+
+  hasLabel(transform) {
+    return transform.k > 0.3 && this.drawnLength > 30;
+  }
+
+  getLabelFontSize(transform) {
+    return Math.min(12, Math.max(8, 10 * transform.k));
+  }
+
+  getLabel() {
+    return this.drawnLength > 80 ?
+      `${this.id} (${this.formatLength(this.length)})${this.isFlipped ? ' ↻' : ''}` :
+      `${this.id}${this.isFlipped ? ' ↻' : ''}`;
+  }
+
+  /**
+   * Build the rounded node outline into `path` (a Path2D, or any object with
+   * the same arc/lineTo/closePath methods, e.g. for SVG export)
+   */
+  createNodePath(segments, width, path = new Path2D()) {
+    if (segments.length < 2) return path;
 
-    const path = new Path2D();
     const halfWidth = width / 2;
 
     const topPoints = [];
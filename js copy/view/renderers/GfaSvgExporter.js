@@ -0,0 +1,297 @@
+// GfaSvgExporter.js - Vector (SVG) export of the Bandage-style GFA view
+
+import { escapeHtml } from '../../utils/dom-utils.js';
+
+/**
+ * GfaSvgExporter writes what GfaRenderer draws as an SVG document.
+ * It reuses the renderer's cached visual nodes (angles, flips, subnodes) and
+ * geometry helpers, so the file matches the canvas.
+ */
+export class GfaSvgExporter {
+  /**
+   * @param {GfaRenderer} renderer - Renderer whose current view is exported
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.padding = 20;
+  }
+
+  /**
+   * Build the SVG document
+   * @param {Object} renderData - Same shape as GfaRenderer.render() receives
+   * @param {Object} options - {scope: 'graph'|'viewport', width, height, includeSelection, background}
+   * @returns {Object} {svg, width, height, nodeCount, edgeCount}
+   */
+  export(renderData, options = {}) {
+    const {
+      edges = [],
+      transform,
+      selection = { nodes: new Set(), edges: new Set() },
+      pinnedNodes = new Set(),
+      highlightedPath = null
+    } = renderData;
+    const { scope = 'graph', includeSelection = false, background = '#ffffff' } = options;
+
+    const visualNodes = this.renderer.gfaVisualNodes;
+    if (visualNodes.length === 0) {
+      throw new Error('Nothing has been rendered yet');
+    }
+
+    // Whole graph: current zoom, shifted so the bounds start at the padding
+    let view;
+    if (scope === 'viewport') {
+      view = { transform, width: options.width, height: options.height };
+    } else {
+      const bounds = this.getGraphBounds(visualNodes);
+      view = {
+        transform: {
+          k: transform.k,
+          x: this.padding - bounds.minX * transform.k,
+          y: this.padding - bounds.minY * transform.k
+        },
+        width: (bounds.maxX - bounds.minX) * transform.k + 2 * this.padding,
+        height: (bounds.maxY - bounds.minY) * transform.k + 2 * this.padding
+      };
+    }
+
+    const t = view.transform;
+    const visible = box => scope !== 'viewport' ||
+      (box.maxX >= 0 && box.minX <= view.width && box.maxY >= 0 && box.minY <= view.height);
+
+    // Edges first, as on the canvas
+    const nodesById = new Map(visualNodes.map(gfaNode => [gfaNode.id, gfaNode]));
+    const edgeElements = [];
+    edges.forEach((edge, index) => {
+      const isHighlighted = highlightedPath && highlightedPath.edges && highlightedPath.edges.has(index);
+      const element = this.edgeElement(edge, t, isHighlighted, highlightedPath, visible, nodesById);
+      if (element) edgeElements.push(element);
+    });
+
+    const nodeElements = [];
+    visualNodes.forEach(gfaNode => {
+      const isSelected = includeSelection && selection.nodes && selection.nodes.has(gfaNode.id);
+      const isPinned = includeSelection && pinnedNodes.has(gfaNode.id);
+      const isHighlighted = highlightedPath && highlightedPath.nodes &&
+                           highlightedPath.nodes.has(String(gfaNode.id));
+      const element = this.nodeElement(gfaNode, t, isSelected, isPinned, isHighlighted, visible);
+      if (element) nodeElements.push(element);
+    });
+
+    const width = Math.ceil(view.width);
+    const height = Math.ceil(view.height);
+    const svg = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      background ? `  <rect width="100%" height="100%" fill="${background}"/>` : '',
+      '  <g id="edges" stroke-opacity="0.6" fill="none" stroke-linecap="round" stroke-linejoin="round">',
+      ...edgeElements,
+      '  </g>',
+      '  <g id="nodes" font-family="Arial, sans-serif">',
+      ...nodeElements,
+      '  </g>',
+      '</svg>'
+    ].filter(Boolean).join('\n');
+
+    return { svg, width, height, nodeCount: nodeElements.length, edgeCount: edgeElements.length };
+  }
+
+  // ===== ELEMENTS =====
+
+  /**
+   * Curved edge between subnodes (mirrors GfaRenderer.drawGfaEdge)
+   */
+  edgeElement(edge, t, isHighlighted, highlightedPath, visible, nodesById) {
+    const sourceId = edge.source.id || edge.source;
+    const targetId = edge.target.id || edge.target;
+
+    const sourceNode = nodesById.get(sourceId);
+    const targetNode = nodesById.get(targetId);
+    if (!sourceNode || !targetNode) return null;
+
+    const { fromSubnode, toSubnode } = this.renderer.determineEdgeDirection(sourceNode, targetNode, edge);
+    const startX = fromSubnode.x * t.k + t.x;
+    const startY = fromSubnode.y * t.k + t.y;
+    const endX = toSubnode.x * t.k + t.x;
+    const endY = toSubnode.y * t.k + t.y;
+    const control = this.renderer.getCurveControlPoint(startX, startY, endX, endY, 0.1);
+
+    const xs = [startX, endX, control ? control.x : startX];
+    const ys = [startY, endY, control ? control.y : startY];
+    if (!visible({ minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) })) {
+      return null;
+    }
+
+    const stroke = isHighlighted ? (highlightedPath.currentColor || '#ff6b6b') : (edge.color || '#333333');
+    const strokeWidth = Math.max(1, (isHighlighted ? 6 : 2) * t.k);
+
+    let dash = '';
+    if (edge.gfaType === 'gap') {
+      dash = ` stroke-dasharray="${num(8 * t.k)} ${num(6 * t.k)}"`;
+    } else if (edge.edgeType === 'containment') {
+      dash = ` stroke-dasharray="${num(2 * t.k)} ${num(4 * t.k)}"`;
+    }
+
+    const d = control
+      ? `M${num(startX)},${num(startY)} Q${num(control.x)},${num(control.y)} ${num(endX)},${num(endY)}`
+      : `M${num(startX)},${num(startY)} L${num(endX)},${num(endY)}`;
+
+    let element = `    <path d="${d}" stroke="${escapeHtml(stroke)}" stroke-width="${num(strokeWidth)}"${dash}/>`;
+
+    if (edge.gfaType === 'gap' && edge.distance !== undefined) {
+      const label = edge.variance !== null && edge.variance !== undefined
+        ? `${edge.distance} ± ${edge.variance} bp`
+        : `${edge.distance} bp`;
+      const fontSize = Math.min(12, Math.max(8, 10 * t.k));
+      element += `\n    <text x="${num((startX + endX) / 2)}" y="${num((startY + endY) / 2 - 4)}" ` +
+        `font-family="Arial, sans-serif" font-size="${num(fontSize)}" fill="#555555" stroke="none" ` +
+        `fill-opacity="1" text-anchor="middle">${escapeHtml(label)}</text>`;
+    }
+
+    return element;
+  }
+
+  /**
+   * Rounded node with label and subnodes (mirrors GfaVisualNode.draw)
+   */
+  nodeElement(gfaNode, t, isSelected, isPinned, isHighlighted, visible) {
+    if (gfaNode.segments.length < 2) return null;
+
+    const segments = gfaNode.segments.map(segment => ({
+      x: segment.x * t.k + t.x,
+      y: segment.y * t.k + t.y
+    }));
+    const style = gfaNode.getStyle(t, isSelected, isPinned, isHighlighted);
+
+    const margin = style.width;
+    const xs = segments.map(s => s.x);
+    const ys = segments.map(s => s.y);
+    if (!visible({
+      minX: Math.min(...xs) - margin, maxX: Math.max(...xs) + margin,
+      minY: Math.min(...ys) - margin, maxY: Math.max(...ys) + margin
+    })) {
+      return null;
+    }
+
+    const path = gfaNode.createNodePath(segments, style.width, new SvgPathBuilder());
+    const parts = [
+      `    <g data-node-id="${escapeHtml(gfaNode.id)}">`,
+      `      <path d="${path.toString()}" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${num(style.lineWidth)}"/>`
+    ];
+
+    if (gfaNode.hasLabel(t)) {
+      const centerX = gfaNode.x * t.k + t.x;
+      const centerY = gfaNode.y * t.k + t.y;
+      const fontSize = gfaNode.getLabelFontSize(t);
+      const label = gfaNode.getLabel();
+      const textWidth = this.measureLabel(label, fontSize);
+
+      parts.push(
+        `      <rect x="${num(centerX - textWidth / 2 - 2)}" y="${num(centerY - fontSize / 2 - 1)}" ` +
+        `width="${num(textWidth + 4)}" height="${num(fontSize + 2)}" fill="rgba(255, 255, 255, 0.8)"/>`,
+        `      <text x="${num(centerX)}" y="${num(centerY)}" font-size="${num(fontSize)}" ` +
+        `text-anchor="middle" dominant-baseline="central" fill="#000000">${escapeHtml(label)}</text>`
+      );
+    }
+
+    if (t.k > 1.5) {
+      const radius = num(4 * t.k);
+      parts.push(
+        `      <circle cx="${num(gfaNode.inSubnode.x * t.k + t.x)}" cy="${num(gfaNode.inSubnode.y * t.k + t.y)}" r="${radius}" fill="rgba(255, 0, 0, 0.8)"/>`,
+        `      <circle cx="${num(gfaNode.outSubnode.x * t.k + t.x)}" cy="${num(gfaNode.outSubnode.y * t.k + t.y)}" r="${radius}" fill="rgba(0, 255, 0, 0.8)"/>`
+      );
+    }
+
+    parts.push('    </g>');
+    return parts.join('\n');
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Bounds of all node outlines in simulation coordinates
+   */
+  getGraphBounds(visualNodes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    visualNodes.forEach(gfaNode => {
+      const margin = gfaNode.width * 1.5;
+      gfaNode.segments.forEach(segment => {
+        minX = Math.min(minX, segment.x - margin);
+        minY = Math.min(minY, segment.y - margin);
+        maxX = Math.max(maxX, segment.x + margin);
+        maxY = Math.max(maxY, segment.y + margin);
+      });
+    });
+
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Label width as the canvas measures it (for the label background box)
+   */
+  measureLabel(label, fontSize) {
+    const ctx = this.renderer.ctx;
+    if (!ctx) return label.length * fontSize * 0.6;
+
+    ctx.save();
+    ctx.font = `${fontSize}px Arial`;
+    const width = ctx.measureText(label).width;
+    ctx.restore();
+    return width;
+  }
+}
+
+/**
+ * Minimal Path2D stand-in that records an SVG path string
+ * (supports the calls GfaVisualNode.createNodePath makes)
+ */
+class SvgPathBuilder {
+  constructor() {
+    this.commands = [];
+    this.hasCurrentPoint = false;
+  }
+
+  moveTo(x, y) {
+    this.commands.push(`M${num(x)},${num(y)}`);
+    this.hasCurrentPoint = true;
+  }
+
+  lineTo(x, y) {
+    this.commands.push(`${this.hasCurrentPoint ? 'L' : 'M'}${num(x)},${num(y)}`);
+    this.hasCurrentPoint = true;
+  }
+
+  /**
+   * Canvas arc semantics: line (or move) to the start point, then sweep.
+   * Split in two so no single SVG arc spans half a turn or more.
+   */
+  arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+    const startX = cx + radius * Math.cos(startAngle);
+    const startY = cy + radius * Math.sin(startAngle);
+    this.lineTo(startX, startY);
+
+    let sweep = endAngle - startAngle;
+    if (!anticlockwise && sweep < 0) sweep += 2 * Math.PI;
+    if (anticlockwise && sweep > 0) sweep -= 2 * Math.PI;
+
+    const sweepFlag = sweep >= 0 ? 1 : 0;
+    const midAngle = startAngle + sweep / 2;
+    [midAngle, startAngle + sweep].forEach(angle => {
+      const x = cx + radius * Math.cos(angle);
+      const y = cy + radius * Math.sin(angle);
+      this.commands.push(`A${num(radius)},${num(radius)} 0 0 ${sweepFlag} ${num(x)},${num(y)}`);
+    });
+  }
+
+  closePath() {
+    this.commands.push('Z');
+  }
+
+  toString() {
+    return this.commands.join(' ');
+  }
+}
+
+function num(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : 0;
+}